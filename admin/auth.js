@@ -0,0 +1,40 @@
+// Shared by the admin pages: shows who is logged in, sends expired sessions
+// back to the login form and explains 403s to read-only users.
+(function () {
+  const originalFetch = window.fetch.bind(window);
+
+  window.fetch = async (...args) => {
+    const res = await originalFetch(...args);
+    if (res.status === 401) {
+      location.href = `/login?next=${encodeURIComponent(location.pathname + location.search)}`;
+    } else if (res.status === 403) {
+      alert('Your account is read-only; ask an admin to make this change.');
+    }
+    return res;
+  };
+
+  async function renderBadge() {
+    const res = await originalFetch('/api/me');
+    if (!res.ok) return;
+    const me = await res.json();
+
+    const badge = document.createElement('div');
+    badge.style.cssText = 'position:fixed;bottom:12px;right:12px;z-index:50;font:12px sans-serif;background:#1f2937;color:#f9fafb;padding:6px 10px;border-radius:6px;display:flex;gap:8px;align-items:center;';
+    badge.textContent = `${me.name} (${me.role})`;
+
+    if (me.via === 'session') {
+      const form = document.createElement('form');
+      form.method = 'POST';
+      form.action = '/logout';
+      form.innerHTML = '<button type="submit" style="color:#93c5fd;text-decoration:underline;">Log out</button>';
+      badge.appendChild(form);
+    }
+    document.body.appendChild(badge);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', renderBadge);
+  } else {
+    renderBadge();
+  }
+})();
@@ -1,8 +1,8 @@
 import "dotenv/config";
 import axios from "axios";
-import { createClient } from "@supabase/supabase-js";
+import { createDatabaseClient, isMemoryStorage } from "./services/storage/index.js";
 
-const REQUIRED_ENV = ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"];
+const REQUIRED_ENV = isMemoryStorage() ? [] : ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"];
 const missingEnv = REQUIRED_ENV.filter((key) => !process.env[key]);
 if (missingEnv.length) {
   console.error(`Missing required environment variables: ${missingEnv.join(", ")}`);
@@ -15,7 +15,7 @@ const BATCH_SIZE = Number(process.env.HYDRAX_SYNC_BATCH_SIZE || 200);
 const REQUEST_TIMEOUT_MS = Number(process.env.HYDRAX_TIMEOUT_MS || 20000);
 const REQUEST_DELAY_MS = Number(process.env.HYDRAX_REQUEST_DELAY_MS || 200);
 
-const supabase = createClient(
+const supabase = createDatabaseClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY,
 );
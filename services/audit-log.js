@@ -0,0 +1,251 @@
+import fs from "fs";
+import path from "path";
+import { randomBytes } from "crypto";
+
+const DEFAULT_AUDIT_FILE = path.join(process.cwd(), "bin", "audit_log.json");
+
+// Tables whose rows can be put back with revert(). iframe rows are only ever
+// inserted and are referenced by episode servers, so they stay as they are.
+const REVERTIBLE_TABLES = new Set(["series", "movies", "episodes"]);
+const SYSTEM_COLUMNS = new Set(["id", "created_at"]);
+// Rewritten by every sync, so a later sync touching them is no conflict and
+// a revert leaves their current values alone.
+const BOOKKEEPING_COLUMNS = new Set(["updated_at", "random_key"]);
+
+function restorable(field) {
+  return !SYSTEM_COLUMNS.has(field) && !BOOKKEEPING_COLUMNS.has(field);
+}
+
+function createEntryId() {
+  return `${Date.now().toString(36)}-${randomBytes(4).toString("hex")}`;
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+export function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return Array.from(keys).filter((key) => !sameJson(before?.[key], after?.[key])).sort();
+}
+
+function toRow(entry) {
+  return {
+    id: entry.id,
+    created_at: entry.createdAt,
+    actor: entry.actor,
+    actor_role: entry.actorRole,
+    route: entry.route,
+    action: entry.action,
+    target_table: entry.table,
+    target_key: entry.key,
+    changed_fields: entry.changedFields,
+    revert_of: entry.revertOf,
+    before: entry.before,
+    after: entry.after,
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actor: row.actor,
+    actorRole: row.actor_role,
+    route: row.route,
+    action: row.action,
+    table: row.target_table,
+    key: row.target_key,
+    changedFields: row.changed_fields || [],
+    revertOf: row.revert_of || null,
+    before: row.before,
+    after: row.after,
+  };
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.table && entry.table !== filters.table) return false;
+  if (filters.actor && entry.actor !== filters.actor) return false;
+  if (filters.action && entry.action !== filters.action) return false;
+  if (filters.key) {
+    for (const [column, value] of Object.entries(filters.key)) {
+      if (String(entry.key?.[column]) !== String(value)) return false;
+    }
+  }
+  return true;
+}
+
+// Trail of catalog mutations made through the admin API: who changed which
+// row through which route, with the row before and after. Entries are kept
+// in a local file and, when AUDIT_LOG_TABLE names a table (see the README
+// for its DDL), in Supabase so they survive Render's ephemeral disk.
+export class AuditLog {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_FILE;
+    this.historyLimit = Number(options.historyLimit || process.env.AUDIT_LOG_HISTORY_LIMIT || 1000);
+    this.supabase = options.supabase || null;
+    this.table = options.table ?? process.env.AUDIT_LOG_TABLE ?? null;
+    this.entries = this.load();
+  }
+
+  get remote() {
+    return Boolean(this.supabase && this.table);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      return Array.isArray(parsed?.entries) ? parsed.entries : [];
+    } catch (err) {
+      console.warn(`⚠️ Failed to load audit log from ${this.filePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save audit log to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  async record({ actor, route, action, table, key, before, after, revertOf }) {
+    const entry = {
+      id: createEntryId(),
+      createdAt: new Date().toISOString(),
+      actor: actor?.name || "unknown",
+      actorRole: actor?.role || null,
+      route: route || null,
+      action,
+      table,
+      key,
+      changedFields: changedFields(before, after),
+      revertOf: revertOf || null,
+      before: before ?? null,
+      after: after ?? null,
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.historyLimit) {
+      this.entries = this.entries.slice(this.entries.length - this.historyLimit);
+    }
+    this.save();
+
+    if (this.remote) {
+      const { error } = await this.supabase.from(this.table).insert(toRow(entry));
+      if (error) {
+        console.warn(`⚠️ Failed to store audit entry ${entry.id} in ${this.table}: ${error.message}`);
+      }
+    }
+
+    console.log(`📝 Audit: ${entry.actor} ${action} ${table} ${JSON.stringify(key)} (${entry.changedFields.join(", ") || "no changes"})`);
+    return entry;
+  }
+
+  // Reads the rows matching `keys`, runs `write` once and records one entry
+  // per row the write actually changed. Returns what `write` returned, so
+  // callers keep handling `{ error }` as before, plus the recorded entries.
+  async trackMany(db, { actor, route, action, table, keys, revertOf }, write) {
+    const before = [];
+    for (const key of keys) before.push(await this.readRow(db, table, key));
+
+    const result = await write();
+    if (result?.error) return result;
+
+    const auditEntries = [];
+    for (const [index, key] of keys.entries()) {
+      const after = await this.readRow(db, table, key);
+      if (!sameJson(before[index], after)) {
+        auditEntries.push(await this.record({ actor, route, action, table, key, before: before[index], after, revertOf }));
+      }
+    }
+    return { ...result, auditEntries };
+  }
+
+  track(db, { key, ...context }, write) {
+    return this.trackMany(db, { ...context, keys: [key] }, write);
+  }
+
+  async readRow(db, table, key) {
+    const { data, error } = await db.from(table).select("*").match(key).maybeSingle();
+    if (error) {
+      console.warn(`⚠️ Audit could not read ${table} ${JSON.stringify(key)}: ${error.message}`);
+      return null;
+    }
+    return data;
+  }
+
+  async list(filters = {}) {
+    const limit = filters.limit || 50;
+    if (this.remote) {
+      let query = this.supabase.from(this.table).select("*");
+      if (filters.table) query = query.eq("target_table", filters.table);
+      if (filters.actor) query = query.eq("actor", filters.actor);
+      if (filters.action) query = query.eq("action", filters.action);
+      const { data, error } = await query.order("created_at", { ascending: false }).limit(filters.key ? 1000 : limit);
+      if (!error) {
+        return data.map(fromRow).filter((entry) => matchesFilters(entry, filters)).slice(0, limit);
+      }
+      console.warn(`⚠️ Failed to read audit log from ${this.table}, using the local copy: ${error.message}`);
+    }
+
+    return this.entries
+      .filter((entry) => matchesFilters(entry, filters))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async get(id) {
+    const local = this.entries.find((entry) => entry.id === id);
+    if (local || !this.remote) return local || null;
+
+    const { data, error } = await this.supabase.from(this.table).select("*").eq("id", id).maybeSingle();
+    if (error) throw new Error(error.message);
+    return data ? fromRow(data) : null;
+  }
+
+  // Puts the row of entry `id` back to how it was before that change: the
+  // changed columns get their old values, a created row is deleted and a
+  // deleted row is re-inserted. If the row was edited again since, the
+  // conflicting fields are returned unless `force` is set. The revert is
+  // recorded like any other change.
+  async revert(db, id, { actor, route, force = false } = {}) {
+    const entry = await this.get(id);
+    if (!entry) return { status: "not_found" };
+    if (!REVERTIBLE_TABLES.has(entry.table)) return { status: "not_revertible", entry };
+
+    const current = await this.readRow(db, entry.table, entry.key);
+    const conflicts = this.revertConflicts(entry, current);
+    if (conflicts.length && !force) return { status: "conflict", entry, conflicts };
+
+    const context = { actor, route, action: "revert", table: entry.table, key: entry.key, revertOf: entry.id };
+    let write;
+    if (!entry.before) {
+      write = () => db.from(entry.table).delete().match(entry.key);
+    } else if (!current) {
+      write = () => db.from(entry.table).insert(entry.before);
+    } else {
+      const fields = entry.after ? entry.changedFields : Object.keys(entry.before);
+      const values = Object.fromEntries(
+        fields.filter(restorable).map((field) => [field, entry.before[field] ?? null]),
+      );
+      write = () => db.from(entry.table).update(values).match(entry.key);
+    }
+
+    const { error, auditEntries } = await this.track(db, context, write);
+    if (error) return { status: "failed", entry, error: error.message };
+    return { status: "reverted", entry, revert: auditEntries[0] || null };
+  }
+
+  // Fields whose current value is no longer what the change wrote.
+  revertConflicts(entry, current) {
+    if (!entry.after) return current ? ["row was re-created"] : [];
+    if (!current) return ["row no longer exists"];
+    const fields = entry.before ? entry.changedFields : Object.keys(entry.after);
+    return fields.filter((field) => restorable(field) && !sameJson(current[field], entry.after[field]));
+  }
+}
@@ -0,0 +1,274 @@
+import crypto from "crypto";
+
+// Roles in increasing order of power. A route asks for the least role it
+// needs; "viewer" can read the dashboard and logs, "admin" can also change
+// the catalog and trigger syncs.
+export const ROLES = ["viewer", "admin"];
+
+const SESSION_COOKIE = "ts_session";
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function normalizeRole(role, entry) {
+  const value = String(role || "").trim().toLowerCase();
+  if (roleRank(value) === -1) {
+    console.warn(`⚠️ Ignoring auth entry "${entry}": unknown role "${role}"`);
+    return null;
+  }
+  return value;
+}
+
+// AUTH_USERS="alice:s3cret:admin,bob:hunter2:viewer"
+function parseUsers(raw) {
+  const users = new Map();
+  for (const entry of String(raw || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [name, password, role] = entry.split(":");
+    if (!name || !password) {
+      console.warn(`⚠️ Ignoring malformed AUTH_USERS entry for "${name || "?"}"`);
+      continue;
+    }
+    const normalized = normalizeRole(role || "viewer", name);
+    if (normalized) users.set(name, { name, password, role: normalized });
+  }
+  return users;
+}
+
+// AUTH_TOKENS="<token>:admin:ci,<token>:viewer:grafana"
+function parseTokens(raw) {
+  const tokens = new Map();
+  for (const entry of String(raw || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [token, role, name] = entry.split(":");
+    if (!token) continue;
+    const normalized = normalizeRole(role || "viewer", name || "token");
+    if (normalized) tokens.set(token, { name: name || "token", role: normalized });
+  }
+  return tokens;
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash("sha256").update(String(a)).digest();
+  const right = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    const key = part.slice(0, index).trim();
+    if (key) cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function isHtmlRequest(req) {
+  return req.method === "GET" && String(req.headers.accept || "").includes("text/html");
+}
+
+// Where to go after logging in: a path on this site, else `fallback`.
+// Browsers read "/\evil.com" as "//evil.com", so backslashes are refused and
+// the target has to resolve to the same origin.
+export function loginRedirect(target, fallback = "/admin/") {
+  if (typeof target !== "string" || !target.startsWith("/") || target.includes("\\")) return fallback;
+  try {
+    const url = new URL(target, "http://login.invalid");
+    return url.origin === "http://login.invalid" ? `${url.pathname}${url.search}${url.hash}` : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Session cookies are stateless: the payload is signed with AUTH_SECRET and
+// re-checked against the configured users on every request, so removing a
+// user from AUTH_USERS revokes their sessions.
+export class AuthService {
+  constructor(options = {}) {
+    this.users = options.users || new Map();
+    this.tokens = options.tokens || new Map();
+    this.disabled = Boolean(options.disabled);
+    this.sessionTtlMs = Number(options.sessionTtlHours || DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+    this.secret = options.secret || null;
+    this.loginFailures = new Map();
+    // Tokens added later with addToken() are internal and do not count as
+    // configuration.
+    this.configured = this.users.size > 0 || this.tokens.size > 0;
+
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString("hex");
+      if (this.enabled && this.users.size) {
+        console.warn("⚠️ AUTH_SECRET is not set; sessions will not survive a restart");
+      }
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    return new AuthService({
+      users: parseUsers(env.AUTH_USERS),
+      tokens: parseTokens(env.AUTH_TOKENS),
+      secret: env.AUTH_SECRET,
+      sessionTtlHours: env.AUTH_SESSION_TTL_HOURS,
+      disabled: env.AUTH_DISABLED === "true",
+    });
+  }
+
+  get enabled() {
+    return !this.disabled;
+  }
+
+  // Registers a token at runtime, e.g. for a child process the server spawns.
+  addToken(token, role, name) {
+    this.tokens.set(token, { name, role });
+  }
+
+  authenticate(name, password) {
+    const user = this.users.get(String(name || ""));
+    // Compare against a dummy when the user is unknown so timing does not
+    // reveal which names exist.
+    const ok = safeEqual(password ?? "", user ? user.password : crypto.randomBytes(16).toString("hex"));
+    return user && ok ? { name: user.name, role: user.role } : null;
+  }
+
+  sign(payload) {
+    return crypto.createHmac("sha256", this.secret).update(payload).digest("base64url");
+  }
+
+  createSession(user) {
+    const payload = Buffer.from(
+      JSON.stringify({ u: user.name, exp: Date.now() + this.sessionTtlMs }),
+    ).toString("base64url");
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  verifySession(value) {
+    const [payload, signature] = String(value || "").split(".");
+    if (!payload || !signature || !safeEqual(signature, this.sign(payload))) return null;
+    try {
+      const session = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+      if (!session.exp || session.exp < Date.now()) return null;
+      const user = this.users.get(session.u);
+      return user ? { name: user.name, role: user.role, via: "session" } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  userFromRequest(req) {
+    if (!this.enabled) return { name: "anonymous", role: "admin", via: "disabled" };
+
+    const header = String(req.headers.authorization || "");
+    if (header.toLowerCase().startsWith("bearer ")) {
+      const presented = header.slice(7).trim();
+      for (const [token, entry] of this.tokens) {
+        if (safeEqual(presented, token)) return { ...entry, via: "token" };
+      }
+      return null;
+    }
+
+    return this.verifySession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  }
+
+  sessionCookie(req, value, maxAgeMs) {
+    const secure = req.secure || req.headers["x-forwarded-proto"] === "https";
+    return [
+      `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+      secure ? "Secure" : null,
+    ]
+      .filter(Boolean)
+      .join("; ");
+  }
+
+  loginLocked(key) {
+    const entry = this.loginFailures.get(key);
+    if (!entry) return false;
+    if (entry.resetAt < Date.now()) {
+      this.loginFailures.delete(key);
+      return false;
+    }
+    return entry.count >= LOGIN_MAX_FAILURES;
+  }
+
+  recordLoginFailure(key) {
+    const entry = this.loginFailures.get(key);
+    if (!entry || entry.resetAt < Date.now()) {
+      this.loginFailures.set(key, { count: 1, resetAt: Date.now() + LOGIN_LOCKOUT_MS });
+    } else {
+      entry.count += 1;
+    }
+  }
+
+  // Express middleware. Browsers asking for a page are sent to the login
+  // form; API clients get a JSON 401/403.
+  requireRole(role) {
+    return (req, res, next) => {
+      if (this.enabled && !this.configured) {
+        return res.status(503).json({
+          error: "Authentication is not configured. Set AUTH_USERS or AUTH_TOKENS (or AUTH_DISABLED=true for local use).",
+        });
+      }
+
+      const user = this.userFromRequest(req);
+      if (!user) {
+        if (isHtmlRequest(req)) {
+          return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      if (roleRank(user.role) < roleRank(role)) {
+        return res.status(403).json({ error: `The ${role} role is required` });
+      }
+
+      req.user = user;
+      next();
+    };
+  }
+
+  // Mounts /login, /logout and /api/me.
+  mountRoutes(app, loginPagePath) {
+    app.get("/login", (req, res) => res.sendFile(loginPagePath));
+
+    app.post("/login", (req, res) => {
+      const { username, password } = req.body || {};
+      const next = loginRedirect(req.body?.next);
+      const wantsJson = req.is("application/json");
+      const lockKey = `${req.ip}:${username || ""}`;
+
+      if (this.loginLocked(lockKey)) {
+        return res.status(429).json({ error: "Too many failed logins, try again later" });
+      }
+
+      const user = this.authenticate(username, password);
+      if (!user) {
+        this.recordLoginFailure(lockKey);
+        console.warn(`🔒 Failed login for "${username || ""}" from ${req.ip}`);
+        if (wantsJson) return res.status(401).json({ error: "Invalid username or password" });
+        return res.redirect(`/login?error=1&next=${encodeURIComponent(next)}`);
+      }
+
+      this.loginFailures.delete(lockKey);
+      console.log(`🔓 ${user.name} logged in (${user.role})`);
+      res.setHeader("Set-Cookie", this.sessionCookie(req, this.createSession(user), this.sessionTtlMs));
+      if (wantsJson) return res.json({ success: true, user });
+      res.redirect(next);
+    });
+
+    app.post("/logout", (req, res) => {
+      res.setHeader("Set-Cookie", this.sessionCookie(req, "", 0));
+      if (req.is("application/json")) return res.json({ success: true });
+      res.redirect("/login");
+    });
+
+    app.get("/api/me", this.requireRole("viewer"), (req, res) => {
+      res.json({ name: req.user.name, role: req.user.role, via: req.user.via });
+    });
+  }
+}
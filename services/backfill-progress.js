@@ -0,0 +1,101 @@
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_STATE_FILE = path.join(process.cwd(), "bin", "backfill_state.json");
+const FAILURE_LIMIT = 200;
+
+// Checkpoint of the catalog backfill. The cursor is the id of the last series
+// row that was handled, so a pass cut short by a restart, a failed job or the
+// per-run limit continues with the next row instead of starting over.
+export class BackfillProgress {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.BACKFILL_STATE_FILE || DEFAULT_STATE_FILE;
+    this.state = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+    } catch (err) {
+      console.warn(`⚠️ Failed to load backfill state from ${this.filePath}: ${err.message}`);
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save backfill state to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  get resumable() {
+    return Boolean(this.state && this.state.status !== "completed");
+  }
+
+  // Continues the unfinished pass, or starts a new one.
+  begin({ total, restart = false }) {
+    const now = new Date().toISOString();
+    if (restart || !this.resumable) {
+      this.state = {
+        passStartedAt: now,
+        status: "running",
+        cursor: 0,
+        total,
+        processed: 0,
+        filled: 0,
+        failed: 0,
+        failures: [],
+        current: null,
+        runs: 0,
+        updatedAt: now,
+        finishedAt: null,
+      };
+    }
+    this.state.status = "running";
+    this.state.total = total;
+    this.state.runs += 1;
+    this.state.runStartedAt = now;
+    this.save();
+    return this.state;
+  }
+
+  startSeries(row) {
+    this.state.current = { id: row.id, slug: row.slug, startedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  finishSeries(row, { filled = 0, error = null } = {}) {
+    this.state.cursor = row.id;
+    this.state.processed += 1;
+    this.state.filled += filled;
+    if (error) {
+      this.state.failed += 1;
+      this.state.failures.push({ slug: row.slug, error: error.message || String(error), at: new Date().toISOString() });
+      if (this.state.failures.length > FAILURE_LIMIT) this.state.failures.shift();
+    }
+    this.state.current = null;
+    this.state.updatedAt = new Date().toISOString();
+    this.save();
+  }
+
+  // `completed` ends the pass; `paused` leaves it to be resumed.
+  end(status) {
+    this.state.status = status;
+    this.state.current = null;
+    this.state.updatedAt = new Date().toISOString();
+    if (status === "completed") this.state.finishedAt = this.state.updatedAt;
+    this.save();
+    return this.state;
+  }
+
+  toJSON() {
+    if (!this.state) return null;
+    const { total, processed } = this.state;
+    return { ...this.state, percent: total ? Math.min(100, Math.round((processed / total) * 100)) : null };
+  }
+}
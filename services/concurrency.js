@@ -0,0 +1,159 @@
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "unknown";
+  }
+}
+
+export async function runWithConcurrency(items, limit, worker) {
+  const list = Array.from(items);
+  const results = new Array(list.length);
+  const size = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  let cursor = 0;
+
+  const runners = Array.from({ length: size }, async () => {
+    while (cursor < list.length) {
+      const index = cursor++;
+      try {
+        results[index] = { status: "fulfilled", value: await worker(list[index], index) };
+      } catch (err) {
+        results[index] = { status: "rejected", reason: err };
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Caps in-flight requests per hostname and spaces out request starts so a
+// wide pool does not hammer a single site.
+export class HostLimiter {
+  constructor(options = {}) {
+    this.maxConcurrent = Number(options.maxConcurrent || process.env.HOST_MAX_CONCURRENCY || 2);
+    this.minIntervalMs = Number(options.minIntervalMs ?? process.env.HOST_MIN_INTERVAL_MS ?? 300);
+    this.overrides = options.overrides || {};
+    this.hosts = new Map();
+  }
+
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      const override = this.overrides[host] || {};
+      this.hosts.set(host, {
+        active: 0,
+        waiting: [],
+        nextStartAt: 0,
+        maxConcurrent: Number(override.maxConcurrent || this.maxConcurrent),
+        minIntervalMs: Number(override.minIntervalMs ?? this.minIntervalMs),
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  async acquire(host) {
+    const state = this.getHostState(host);
+    if (state.active < state.maxConcurrent) {
+      state.active++;
+    } else {
+      // release() hands its slot straight to the next waiter.
+      await new Promise((resolve) => state.waiting.push(resolve));
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStartAt);
+    state.nextStartAt = startAt + state.minIntervalMs;
+    if (startAt > now) await delay(startAt - now);
+  }
+
+  release(host) {
+    const state = this.getHostState(host);
+    const next = state.waiting.shift();
+    if (next) next();
+    else state.active--;
+  }
+
+  async schedule(url, task) {
+    const host = hostOf(url);
+    await this.acquire(host);
+    try {
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  getStats() {
+    const stats = {};
+    for (const [host, state] of this.hosts) {
+      stats[host] = { active: state.active, waiting: state.waiting.length };
+    }
+    return stats;
+  }
+}
+
+// Token bucket shared by every caller of one rate-limited API: `capacity`
+// requests can start at once, then `ratePerSecond`. Callers queue in order
+// instead of failing; pause() holds the whole queue, e.g. for a 429's
+// Retry-After.
+export class TokenBucket {
+  constructor(options = {}) {
+    this.ratePerSecond = Math.max(Number(options.ratePerSecond) || 1, 0.01);
+    this.capacity = Math.max(Number(options.capacity) || 1, 1);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.waiting = [];
+    this.timer = null;
+    this.throttled = 0;
+  }
+
+  // Tokens earned since the last refill; none while paused.
+  refill(now) {
+    const from = Math.max(this.updatedAt, Math.min(this.pausedUntil, now));
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - from) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const now = Date.now();
+    this.refill(now);
+    while (this.waiting.length && now >= this.pausedUntil && this.tokens >= 1) {
+      this.tokens--;
+      this.waiting.shift()();
+    }
+    if (!this.waiting.length) return;
+    const wait = now < this.pausedUntil ? this.pausedUntil - now : ((1 - this.tokens) / this.ratePerSecond) * 1000;
+    this.timer = setTimeout(() => this.drain(), Math.ceil(wait));
+  }
+
+  take() {
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+      this.drain();
+    });
+  }
+
+  pause(ms) {
+    this.throttled++;
+    this.tokens = 0;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    if (this.waiting.length) this.drain();
+  }
+
+  async schedule(task) {
+    await this.take();
+    return await task();
+  }
+
+  getStats() {
+    const pausedMs = Math.max(0, this.pausedUntil - Date.now());
+    return { waiting: this.waiting.length, pausedMs, throttled: this.throttled };
+  }
+}
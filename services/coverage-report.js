@@ -0,0 +1,147 @@
+function episodeLabel(season, episode) {
+  return `S${season}E${episode}`;
+}
+
+function groupBySeason(episodes) {
+  const seasons = new Map();
+  for (const { season, episode } of episodes) {
+    const s = Number(season);
+    if (!seasons.has(s)) seasons.set(s, new Set());
+    seasons.get(s).add(Number(episode));
+  }
+  return seasons;
+}
+
+function missing(from, present) {
+  if (!from) return [];
+  return [...from].filter((episode) => !present?.has(episode)).sort((a, b) => a - b);
+}
+
+// Compares one series' episodes in the database with TMDB's season lists and
+// the source's season API. `tmdbSeasons` and `sourceEpisodes` are optional;
+// a side that is null was not checked.
+export function buildSeriesCoverage({ series, dbEpisodes, tmdbSeasons = null, sourceEpisodes = null }) {
+  const counts = new Map();
+  const duplicates = [];
+  const zeroServers = [];
+  const duplicateServers = [];
+
+  for (const row of dbEpisodes) {
+    const key = `${row.season}:${row.episode}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+
+    const servers = Array.isArray(row.servers) ? row.servers : [];
+    const urls = servers.map((server) => server?.real_video || server?.url).filter(Boolean);
+    if (!urls.length) zeroServers.push({ season: row.season, episode: row.episode });
+    const repeated = urls.filter((url, index) => urls.indexOf(url) !== index);
+    if (repeated.length) {
+      duplicateServers.push({ season: row.season, episode: row.episode, urls: [...new Set(repeated)] });
+    }
+  }
+  for (const [key, count] of counts) {
+    if (count < 2) continue;
+    const [season, episode] = key.split(":").map(Number);
+    duplicates.push({ season, episode, count });
+  }
+
+  const db = groupBySeason(dbEpisodes);
+  const source = sourceEpisodes ? groupBySeason(sourceEpisodes) : null;
+  const tmdb = tmdbSeasons
+    ? new Map([...tmdbSeasons].map(([season, episodes]) => [Number(season), new Set(episodes.map(Number))]))
+    : null;
+
+  const seasonNumbers = new Set([...db.keys(), ...(source?.keys() || []), ...(tmdb?.keys() || [])]);
+  const seasons = [...seasonNumbers]
+    .sort((a, b) => a - b)
+    .map((season) => ({
+      season,
+      db: db.get(season)?.size || 0,
+      source: source ? source.get(season)?.size || 0 : null,
+      tmdb: tmdb ? tmdb.get(season)?.size || 0 : null,
+      missingFromSource: source ? missing(source.get(season), db.get(season)) : null,
+      missingFromTmdb: tmdb ? missing(tmdb.get(season), db.get(season)) : null,
+    }));
+
+  const dbTotal = [...db.values()].reduce((sum, set) => sum + set.size, 0);
+  const gaps = seasons.flatMap(({ season, missingFromSource, missingFromTmdb }) =>
+    [...new Set([...(missingFromSource || []), ...(missingFromTmdb || [])])]
+      .sort((a, b) => a - b)
+      .map((episode) => ({
+        season,
+        episode,
+        label: episodeLabel(season, episode),
+        onSource: Boolean(missingFromSource?.includes(episode)),
+        onTmdb: Boolean(missingFromTmdb?.includes(episode)),
+      })),
+  );
+
+  return {
+    slug: series.slug,
+    title: series.title,
+    tmdbId: series.tmdb_id || null,
+    totals: {
+      db: dbTotal,
+      dbRows: dbEpisodes.length,
+      source: source ? [...source.values()].reduce((sum, set) => sum + set.size, 0) : null,
+      tmdb: tmdb ? [...tmdb.values()].reduce((sum, set) => sum + set.size, 0) : null,
+      tmdbTotalEpisodes: series.total_episodes ?? null,
+    },
+    seasons,
+    gaps,
+    duplicates,
+    duplicateServers,
+    zeroServers,
+    hasIssues: Boolean(gaps.length || duplicates.length || duplicateServers.length || zeroServers.length),
+  };
+}
+
+// Season episode lists for the seasons TMDB knows (specials excluded) plus
+// the ones we store, so a season missing on either side shows up.
+async function loadTmdbSeasons(tmdb, tmdbId, knownSeasons) {
+  const listed = (await tmdb.getSeasons(tmdbId)).map((season) => season.season_number).filter((n) => n > 0);
+  const seasonNumbers = [...new Set([...listed, ...knownSeasons])].sort((a, b) => a - b);
+  const seasons = new Map();
+  for (const season of seasonNumbers) {
+    const episodes = await tmdb.getSeasonEpisodes(tmdbId, season);
+    if (episodes.length) seasons.set(season, episodes.map((ep) => ep.episode_number));
+  }
+  return seasons;
+}
+
+// Builds coverage for one series row. The source and TMDB sides are fetched
+// live; either is skipped (null) when switched off or unavailable, and an
+// error on one side is reported instead of failing the whole series.
+export async function collectSeriesCoverage(series, { db, tmdb = null, sources = null, checkSource = true, checkTmdb = true }) {
+  const errors = [];
+  const { data: dbEpisodes, error } = await db
+    .from("episodes")
+    .select("season, episode, servers")
+    .eq("series_slug", series.slug);
+  if (error) throw new Error(`Failed to load episodes of ${series.slug}: ${error.message}`);
+
+  let sourceEpisodes = null;
+  if (checkSource && sources) {
+    const source = sources.getDefault();
+    try {
+      const { episodes } = await source.discoverEpisodes(source.seriesUrlFromSlug(series.slug), { slug: series.slug });
+      sourceEpisodes = episodes;
+    } catch (err) {
+      errors.push({ side: "source", error: err.message });
+    }
+  }
+
+  let tmdbSeasons = null;
+  if (checkTmdb && tmdb?.apiKey && series.tmdb_id) {
+    const seasonNumbers = new Set([
+      ...dbEpisodes.map((ep) => Number(ep.season)),
+      ...(sourceEpisodes || []).map((ep) => Number(ep.season)),
+    ]);
+    try {
+      tmdbSeasons = await loadTmdbSeasons(tmdb, series.tmdb_id, [...seasonNumbers]);
+    } catch (err) {
+      errors.push({ side: "tmdb", error: err.message });
+    }
+  }
+
+  return { ...buildSeriesCoverage({ series, dbEpisodes, tmdbSeasons, sourceEpisodes }), errors };
+}
@@ -0,0 +1,88 @@
+// Embed resolvers unwrap the player URL a source page links to. Each plugin
+// knows a set of hosts and provides:
+//
+//   name, hosts                                     identity + the hosts it handles
+//   resolve(url, { http, referer, direct, report }) { next } to follow a nested player,
+//                                                   { direct } for an HLS/MP4 file, or
+//                                                   null when `url` is the final player
+//
+// `http` is the adapter's http object (get, buildHeaders). Plugins for
+// players that need a request should skip it when `direct` is false and
+// there is nothing to unwrap.
+
+import { hostnameOf } from "../source-adapters/utils.js";
+import { BUILTIN_RESOLVERS } from "./plugins.js";
+
+export { findIframes, findMediaUrl } from "./plugins.js";
+
+export class EmbedResolverRegistry {
+  constructor(options = {}) {
+    this.plugins = new Map();
+    this.maxDepth = Number(options.maxDepth ?? process.env.EMBED_MAX_DEPTH ?? 3);
+    this.direct = options.direct ?? process.env.EMBED_RESOLVE_DIRECT === "true";
+  }
+
+  register(plugin) {
+    if (!plugin?.name) throw new Error("Embed resolver needs a name");
+    if (!plugin.hosts?.length) throw new Error(`Embed resolver ${plugin.name} needs hosts`);
+    this.plugins.set(plugin.name, plugin);
+    return this;
+  }
+
+  list() {
+    return Array.from(this.plugins.values());
+  }
+
+  forUrl(url) {
+    const host = hostnameOf(url);
+    if (!host) return null;
+    return this.list().find((plugin) => plugin.hosts.some((name) => host === name || host.endsWith(`.${name}`))) || null;
+  }
+
+  knows(url) {
+    return Boolean(this.forUrl(url));
+  }
+
+  // Follows `url` through the plugins until a player has nothing left to
+  // unwrap, a direct file is found or `maxDepth` hops were taken. `chain`
+  // starts with the URLs already followed to get here (e.g. the source's own
+  // embed page); they count towards the depth. The result's `url` is the
+  // last player in the chain; `direct` is only set when direct URLs are on.
+  async resolve(url, { http, referer = null, report = null, chain = [], maxDepth = this.maxDepth, direct = this.direct } = {}) {
+    const followed = [...chain, url];
+    let current = url;
+    let currentReferer = referer;
+    let directUrl = null;
+
+    while (followed.length - 1 < maxDepth) {
+      const plugin = this.forUrl(current);
+      if (!plugin) break;
+
+      let step;
+      try {
+        step = await plugin.resolve(current, { http, referer: currentReferer, direct, report });
+      } catch (err) {
+        report?.recordHttpError(current, err);
+        console.warn(`            ⚠️ ${plugin.name} could not resolve ${current}: ${err.message}`);
+        break;
+      }
+
+      if (step?.direct && direct) {
+        directUrl = step.direct;
+        break;
+      }
+      if (!step?.next || followed.includes(step.next)) break;
+      currentReferer = current;
+      current = step.next;
+      followed.push(current);
+    }
+
+    return { url: current, direct: directUrl, chain: directUrl ? [...followed, directUrl] : followed };
+  }
+}
+
+export function createEmbedResolvers(options = {}) {
+  const registry = new EmbedResolverRegistry(options);
+  for (const plugin of BUILTIN_RESOLVERS) registry.register(plugin);
+  return registry;
+}
@@ -0,0 +1,85 @@
+const THUMBNAIL_FIELDS = [
+  "thumbnail",
+  "episode_main_poster",
+  "episode_card_thumbnail",
+  "episode_list_thumbnail",
+  "video_player_thumbnail",
+];
+
+function serverUrl(server) {
+  return server?.real_video || server?.url;
+}
+
+function serverUrls(servers) {
+  return (Array.isArray(servers) ? servers : []).map(serverUrl).filter(Boolean);
+}
+
+// A server's fields with sorted keys, so two entries compare equal only
+// when everything stored for them (provider, language, quality, chain...)
+// is the same, whatever order the keys were written in.
+function stableServer(value) {
+  if (Array.isArray(value)) return value.map(stableServer);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => [key, stableServer(value[key])]),
+  );
+}
+
+// `added` / `removed` URLs, `reordered` when only the order differs, and
+// `updated`: URLs in both lists whose stored fields differ, e.g. a row
+// written before the server metadata existed.
+export function diffServers(previous, next) {
+  const beforeList = serverUrls(previous);
+  const afterList = serverUrls(next);
+  const before = new Set(beforeList);
+  const after = new Set(afterList);
+  const added = afterList.filter((url) => !before.has(url));
+  const removed = beforeList.filter((url) => !after.has(url));
+  const reordered =
+    added.length === 0 &&
+    removed.length === 0 &&
+    beforeList.join("\n") !== afterList.join("\n");
+
+  const stored = new Map((Array.isArray(previous) ? previous : []).map((server) => [serverUrl(server), server]));
+  const updated = (Array.isArray(next) ? next : [])
+    .filter((server) => stored.has(serverUrl(server)))
+    .filter((server) => JSON.stringify(stableServer(server)) !== JSON.stringify(stableServer(stored.get(serverUrl(server)))))
+    .map(serverUrl);
+  return { added, removed, reordered, updated };
+}
+
+export function serversChanged(changes) {
+  return Boolean(changes && (changes.added.length || changes.removed.length || changes.reordered || changes.updated.length));
+}
+
+// Compares a freshly built episode payload with the stored row and returns
+// only the fields that would actually change. Fields the payload leaves out
+// (e.g. servers when extraction found none) are never reported.
+export function diffEpisode(existing, payload) {
+  if (!existing) return { isNew: true, changed: true, fields: {} };
+
+  const fields = {};
+
+  if (payload.title && payload.title !== existing.title) {
+    fields.title = { from: existing.title ?? null, to: payload.title };
+  }
+
+  if (payload.servers !== undefined) {
+    const servers = diffServers(existing.servers, payload.servers);
+    if (serversChanged(servers)) fields.servers = servers;
+  }
+
+  for (const field of THUMBNAIL_FIELDS) {
+    if (payload[field] === undefined || payload[field] === null) continue;
+    if (payload[field] !== existing[field]) {
+      fields[field] = { from: existing[field] ?? null, to: payload[field] };
+    }
+  }
+
+  return { isNew: false, changed: Object.keys(fields).length > 0, fields };
+}
+
+export const EPISODE_DIFF_COLUMNS = ["title", "servers", ...THUMBNAIL_FIELDS].join(", ");
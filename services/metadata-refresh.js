@@ -0,0 +1,95 @@
+// Columns of a series row that come from TMDB details, keyed by the field
+// MetadataService.getDetails() returns them in.
+const REFRESHED_COLUMNS = {
+  poster: "poster",
+  banner_image: "banner_image",
+  description: "description",
+  rating: "rating",
+  genres: "genres",
+  total_seasons: "total_seasons",
+  total_episodes: "total_episodes",
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Re-reads TMDB details for every series with a tmdb_id and writes the
+// columns that changed upstream. Empty TMDB values never overwrite stored
+// ones. With an audit log, each update is recorded and can be reverted.
+// A slug alias with a forced TMDB id (see services/slug-aliases.js) wins
+// over the stored tmdb_id, which is then corrected too.
+export async function refreshSeriesMetadata({
+  db,
+  tmdb,
+  aliases = null,
+  auditLog = null,
+  actor,
+  delayMs = 250,
+  batchSize = 100,
+}) {
+  if (!tmdb?.apiKey) {
+    console.log("ℹ️ TMDB refresh skipped: TMDB_API_KEY is not set");
+    return { skipped: "TMDB_API_KEY is not set" };
+  }
+
+  const columns = ["id", "slug", "tmdb_id", ...Object.values(REFRESHED_COLUMNS)].join(", ");
+  const result = { checked: 0, updated: 0, failed: 0 };
+
+  for (let from = 0; ; from += batchSize) {
+    const { data: rows, error } = await db
+      .from("series")
+      .select(columns)
+      .order("id", { ascending: true })
+      .range(from, from + batchSize - 1);
+    if (error) throw new Error(`Failed to load series: ${error.message}`);
+    if (!rows?.length) break;
+
+    for (const row of rows) {
+      const tmdbId = aliases?.tmdbLookup({ slug: row.slug }).tmdbId || row.tmdb_id;
+      if (!tmdbId) continue;
+      result.checked++;
+
+      const details = await tmdb.getDetails(tmdbId, "tv");
+      if (delayMs) await delay(delayMs);
+      if (!details) {
+        result.failed++;
+        continue;
+      }
+
+      const changes = tmdbId === row.tmdb_id ? {} : { tmdb_id: tmdbId };
+      for (const [field, column] of Object.entries(REFRESHED_COLUMNS)) {
+        const value = details[field];
+        const empty = value === null || value === undefined || value === "" || (Array.isArray(value) && !value.length);
+        if (!empty && !sameValue(value, row[column])) changes[column] = value;
+      }
+      if (!Object.keys(changes).length) continue;
+
+      changes.updated_at = new Date().toISOString();
+      const write = () => db.from("series").update(changes).eq("id", row.id);
+      const { error: updateError } = auditLog
+        ? await auditLog.track(
+            db,
+            { actor, route: "schedule tmdb-refresh", action: "series.tmdb-refresh", table: "series", key: { id: row.id } },
+            write,
+          )
+        : await write();
+
+      if (updateError) {
+        result.failed++;
+        console.warn(`⚠️ TMDB refresh failed for ${row.slug}: ${updateError.message}`);
+        continue;
+      }
+      result.updated++;
+      console.log(`🎞️ Refreshed TMDB metadata for ${row.slug}: ${Object.keys(changes).join(", ")}`);
+    }
+    if (rows.length < batchSize) break;
+  }
+
+  console.log(`🎞️ TMDB refresh finished: ${result.checked} checked, ${result.updated} updated, ${result.failed} failed`);
+  return result;
+}
@@ -0,0 +1,282 @@
+import fs from "fs";
+import path from "path";
+import cron from "node-cron";
+
+const DEFAULT_STATE_FILE = path.join(process.cwd(), "bin", "scheduler_state.json");
+const SEARCH_HORIZON_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// [min, max, names] per field of a six-field expression (seconds first).
+const FIELDS = [
+  [0, 59],
+  [0, 59],
+  [0, 23],
+  [1, 31],
+  [1, 12, MONTH_NAMES],
+  [0, 7, DAY_NAMES],
+];
+
+function parseValue(raw, names, min) {
+  const lower = raw.toLowerCase();
+  if (names) {
+    const index = names.findIndex((name) => lower.startsWith(name));
+    if (index !== -1) return index + min;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value)) throw new Error(`Invalid cron value "${raw}"`);
+  return value;
+}
+
+function parseField(field, [min, max, names]) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const [range, stepRaw] = part.split("/");
+    const step = stepRaw ? Number(stepRaw) : 1;
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step "${part}"`);
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseValue(start, names, min);
+      to = end !== undefined ? parseValue(end, names, min) : stepRaw ? max : from;
+    }
+    if (from < min || to > max || from > to) throw new Error(`Cron value out of range "${part}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Parses a node-cron expression (five fields, or six with seconds). Like
+// node-cron, day-of-month and day-of-week must both match.
+export function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift("0");
+  if (parts.length !== 6) throw new Error(`Invalid cron expression "${expression}"`);
+
+  const [seconds, minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+    parseField(part, FIELDS[index]),
+  );
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return { seconds: [...seconds].sort((a, b) => a - b), minutes, hours, daysOfMonth, months, daysOfWeek };
+}
+
+const formatters = new Map();
+
+function zonedFields(date, timezone) {
+  if (!timezone) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay(),
+    };
+  }
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        minute: "numeric",
+        hour: "numeric",
+        day: "numeric",
+        month: "numeric",
+        weekday: "short",
+      }),
+    );
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+  };
+}
+
+// First time after `from` the expression fires, or null if it never does
+// within five years (e.g. "0 0 30 2 *").
+export function nextFireTime(expression, from = new Date(), timezone = null) {
+  const spec = typeof expression === "string" ? parseCronExpression(expression) : expression;
+  const start = from.getTime();
+  let t = Math.floor(start / 60000) * 60000;
+
+  while (t - start < SEARCH_HORIZON_MS) {
+    const f = zonedFields(new Date(t), timezone);
+    if (!spec.months.has(f.month) || !spec.daysOfMonth.has(f.day) || !spec.daysOfWeek.has(f.weekday)) {
+      t += ((23 - f.hour) * 60 + (60 - f.minute)) * 60000;
+    } else if (!spec.hours.has(f.hour)) {
+      t += (60 - f.minute) * 60000;
+    } else if (!spec.minutes.has(f.minute)) {
+      t += 60000;
+    } else {
+      const second = spec.seconds.find((s) => t + s * 1000 > start);
+      if (second !== undefined) return new Date(t + second * 1000);
+      t += 60000;
+    }
+  }
+  return null;
+}
+
+function loadState(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return parsed?.jobs || {};
+  } catch (err) {
+    console.warn(`⚠️ Failed to load scheduler state from ${filePath}: ${err.message}`);
+    return {};
+  }
+}
+
+// Named cron schedules. Each has its own expression and on/off switch; the
+// switch set from the API and the last result of every schedule are kept in
+// the state file so they survive restarts.
+export class Scheduler {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SCHEDULER_STATE_FILE || DEFAULT_STATE_FILE;
+    this.timezone = options.timezone || process.env.CRON_TIMEZONE || null;
+    this.jobs = new Map();
+    this.state = loadState(this.filePath);
+    this.started = false;
+
+    // A run still marked running was cut off by a restart.
+    for (const entry of Object.values(this.state)) {
+      if (entry.lastRun && !entry.lastRun.finishedAt) {
+        entry.lastRun.finishedAt = new Date().toISOString();
+        entry.lastRun.status = "failed";
+        entry.lastRun.error = "Interrupted by restart";
+      }
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ jobs: this.state }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save scheduler state to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  define(name, { schedule, enabled = false, description = "", run }) {
+    if (!cron.validate(schedule)) throw new Error(`Invalid cron expression for ${name}: "${schedule}"`);
+    this.jobs.set(name, {
+      name,
+      schedule,
+      spec: parseCronExpression(schedule),
+      defaultEnabled: Boolean(enabled),
+      description,
+      run,
+      task: null,
+      running: false,
+    });
+    if (!this.state[name]) this.state[name] = {};
+    return this;
+  }
+
+  get(name) {
+    return this.jobs.get(name) || null;
+  }
+
+  isEnabled(name) {
+    const override = this.state[name]?.enabled;
+    return typeof override === "boolean" ? override : this.jobs.get(name).defaultEnabled;
+  }
+
+  start() {
+    this.started = true;
+    for (const job of this.jobs.values()) this.arm(job);
+    return this;
+  }
+
+  stop() {
+    this.started = false;
+    for (const job of this.jobs.values()) {
+      job.task?.stop();
+      job.task = null;
+    }
+  }
+
+  arm(job) {
+    job.task?.stop();
+    job.task = null;
+    if (!this.started || !this.isEnabled(job.name)) return;
+    job.task = cron.schedule(job.schedule, () => this.trigger(job.name, "cron"), {
+      timezone: this.timezone || undefined,
+    });
+  }
+
+  setEnabled(name, enabled) {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+    this.state[name].enabled = Boolean(enabled);
+    this.save();
+    this.arm(job);
+    console.log(`⏰ Schedule ${name} ${enabled ? "enabled" : "disabled"}`);
+    return this.describe(job);
+  }
+
+  async trigger(name, trigger = "manual") {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+    if (job.running) {
+      console.log(`⏭️ Schedule ${name} is still running, skipping this ${trigger} run`);
+      return { status: "already_running", lastRun: this.state[name].lastRun };
+    }
+
+    job.running = true;
+    const lastRun = { trigger, startedAt: new Date().toISOString(), finishedAt: null, status: "running" };
+    this.state[name].lastRun = lastRun;
+    this.save();
+    console.log(`\n⏰ Schedule ${name} triggered (${trigger})`);
+
+    try {
+      lastRun.result = (await job.run({ trigger })) ?? null;
+      lastRun.status = "succeeded";
+    } catch (err) {
+      lastRun.status = "failed";
+      lastRun.error = err.message;
+      console.error(`❌ Schedule ${name} failed: ${err.message}`);
+    } finally {
+      lastRun.finishedAt = new Date().toISOString();
+      job.running = false;
+      this.save();
+    }
+    return { status: lastRun.status, lastRun };
+  }
+
+  describe(job) {
+    const enabled = this.isEnabled(job.name);
+    const next = enabled ? nextFireTime(job.spec, new Date(), this.timezone) : null;
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: this.timezone,
+      enabled,
+      running: job.running,
+      nextRunAt: next ? next.toISOString() : null,
+      lastRun: this.state[job.name]?.lastRun || null,
+    };
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map((job) => this.describe(job));
+  }
+
+  // Earliest next fire time over the enabled schedules.
+  nextRunAt() {
+    const times = this.list()
+      .map((job) => job.nextRunAt)
+      .filter(Boolean)
+      .sort();
+    return times[0] || null;
+  }
+}
@@ -0,0 +1,384 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { runWithConcurrency, HostLimiter } from "./concurrency.js";
+
+const DEFAULT_STATE_FILE = path.join(process.cwd(), "bin", "server_health.json");
+const BODY_SAMPLE_BYTES = 64 * 1024;
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+// How each embed host is probed. A server is dead when the host answers with
+// one of `deadStatuses` or the start of the page matches one of
+// `deadPatterns`; any other 2xx/3xx answer means it still plays. Entries in
+// SERVER_HEALTH_PROBES (JSON, keyed by host) are merged over these.
+export const DEFAULT_PROBES = {
+  "*": { method: "HEAD", deadStatuses: [404, 410] },
+  "short.icu": {
+    method: "GET",
+    deadStatuses: [404, 410],
+    deadPatterns: ["file not found", "file was deleted", "video not found"],
+  },
+  "abysscdn.com": {
+    method: "GET",
+    deadStatuses: [404, 410],
+    deadPatterns: ["file not found", "file was deleted", "video not found"],
+  },
+  "rumble.com": {
+    method: "GET",
+    deadStatuses: [404, 410],
+    deadPatterns: ["this video has been removed", "video not found"],
+  },
+  "vidnest.fun": { method: "GET", deadStatuses: [404, 410], deadPatterns: ["not found"] },
+  "stream.lastanime.in": { method: "GET", deadStatuses: [404, 410], deadPatterns: ["video not found"] },
+};
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function serverUrl(server) {
+  return server?.real_video || server?.url || null;
+}
+
+// Servers added by hand (the stream.lastanime.in players created from the
+// admin, or anything marked `manual`) that a re-scrape must not drop.
+export function isManualServer(server, manualHosts = []) {
+  if (server?.manual === true) return true;
+  const host = hostOf(serverUrl(server));
+  return Boolean(host) && manualHosts.some((name) => host === name || host.endsWith(`.${name}`));
+}
+
+// The servers to store after a scrape: the freshly scraped ones that are not
+// known to be dead, followed by the stored manual servers the scrape did not
+// find. Returns null when the scrape found nothing usable, in which case the
+// stored list should be kept as it is.
+export function mergeServers(existing, scraped, { isManual = () => false, isDead = () => false } = {}) {
+  const fresh = (scraped || []).filter((server) => serverUrl(server) && !isDead(server));
+  if (!fresh.length) return null;
+
+  const urls = new Set(fresh.map(serverUrl));
+  const kept = (Array.isArray(existing) ? existing : []).filter(
+    (server) => isManual(server) && !urls.has(serverUrl(server)),
+  );
+  return [...fresh, ...kept].map((server, index) => ("option" in server ? { ...server, option: index + 1 } : server));
+}
+
+export function episodeHealthKey(seriesSlug, season, episode) {
+  return `${seriesSlug}:${season}:${episode}`;
+}
+
+function parseProbes(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`⚠️ Ignoring SERVER_HEALTH_PROBES: ${err.message}`);
+    return {};
+  }
+}
+
+function loadState(filePath) {
+  const empty = { servers: {}, flagged: {}, lastRun: null };
+  if (!fs.existsSync(filePath)) return empty;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return { ...empty, ...parsed };
+  } catch (err) {
+    console.warn(`⚠️ Failed to load server health from ${filePath}: ${err.message}`);
+    return empty;
+  }
+}
+
+async function readBodySample(stream) {
+  let body = "";
+  for await (const chunk of stream) {
+    body += chunk.toString("utf-8");
+    if (body.length >= BODY_SAMPLE_BYTES) break;
+  }
+  stream.destroy();
+  return body;
+}
+
+// Probes the `real_video` URLs stored on episodes and remembers, per URL,
+// whether it still answers, how fast and when it was last checked. Episodes
+// whose every server is dead are flagged for a re-scrape. Timeouts and 5xx
+// answers say nothing about the video, so a server only counts as dead after
+// `deadAfterFailures` of those in a row, or at once on a definite "gone".
+export class ServerHealth {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SERVER_HEALTH_FILE || DEFAULT_STATE_FILE;
+    this.probes = {
+      ...DEFAULT_PROBES,
+      ...parseProbes(process.env.SERVER_HEALTH_PROBES),
+      ...(options.probes || {}),
+    };
+    // host → async (url) => URL to probe instead, e.g. the iframe a
+    // stream.lastanime.in player wraps.
+    this.resolvers = options.resolvers || {};
+    this.timeoutMs = Number(options.timeoutMs || process.env.SERVER_HEALTH_TIMEOUT_MS || 15000);
+    this.concurrency = Number(options.concurrency || process.env.SERVER_HEALTH_CONCURRENCY || 4);
+    this.deadAfterFailures = Number(options.deadAfterFailures || process.env.SERVER_HEALTH_DEAD_AFTER || 3);
+    this.recheckAfterMs =
+      Number(options.recheckAfterHours ?? process.env.SERVER_HEALTH_RECHECK_HOURS ?? 24) * 60 * 60 * 1000;
+    this.limiter = options.limiter || new HostLimiter({ minIntervalMs: options.minIntervalMs });
+    this.state = loadState(this.filePath);
+    this.inFlight = new Map();
+  }
+
+  addResolver(host, resolver) {
+    this.resolvers[host] = resolver;
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save server health to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  probeFor(host) {
+    const key = Object.keys(this.probes).find((name) => name !== "*" && (host === name || host?.endsWith(`.${name}`)));
+    return { ...this.probes["*"], ...(key ? this.probes[key] : {}) };
+  }
+
+  async resolve(url) {
+    const resolver = this.resolvers[hostOf(url)];
+    if (!resolver) return url;
+    try {
+      return (await resolver(url)) || url;
+    } catch (err) {
+      console.warn(`⚠️ Could not resolve ${url} for a health probe: ${err.message}`);
+      return url;
+    }
+  }
+
+  // One request against `url`, without touching the stored state.
+  async probe(url) {
+    const target = await this.resolve(url);
+    const host = hostOf(target);
+    const probe = this.probeFor(host);
+    const result = {
+      status: "error",
+      httpStatus: null,
+      latencyMs: null,
+      checkedAt: new Date().toISOString(),
+      error: null,
+      probedUrl: target !== url ? target : null,
+    };
+    if (!host) return { ...result, status: "dead", error: "Invalid URL" };
+
+    const request = async (method) => {
+      const startedAt = Date.now();
+      const response = await axios.request({
+        url: target,
+        method,
+        timeout: probe.timeoutMs || this.timeoutMs,
+        maxRedirects: 5,
+        responseType: "stream",
+        validateStatus: () => true,
+        headers: { "User-Agent": USER_AGENT, Accept: "*/*", ...(probe.headers || {}) },
+      });
+      const latencyMs = Date.now() - startedAt;
+      let body = "";
+      if (method === "GET") body = await readBodySample(response.data);
+      else response.data.destroy();
+      return { response, latencyMs, body };
+    };
+
+    try {
+      let answer = await this.limiter.schedule(target, () => request(probe.method));
+      // Some hosts refuse HEAD outright; ask again with a GET.
+      if (probe.method === "HEAD" && [403, 405, 501].includes(answer.response.status)) {
+        answer = await this.limiter.schedule(target, () => request("GET"));
+      }
+
+      const { response, latencyMs, body } = answer;
+      result.httpStatus = response.status;
+      result.latencyMs = latencyMs;
+      const text = body.toLowerCase();
+      const pattern = (probe.deadPatterns || []).find((p) => text.includes(String(p).toLowerCase()));
+
+      if ((probe.deadStatuses || []).includes(response.status)) {
+        result.status = "dead";
+        result.error = `HTTP ${response.status}`;
+      } else if (pattern) {
+        result.status = "dead";
+        result.error = `Page says "${pattern}"`;
+      } else if (response.status < 400) {
+        result.status = "alive";
+      } else {
+        result.error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      result.error = err.code === "ECONNABORTED" ? `Timed out after ${probe.timeoutMs || this.timeoutMs}ms` : err.message;
+    }
+    return result;
+  }
+
+  isDead(record) {
+    if (!record) return false;
+    return record.status === "dead" || (record.status === "error" && record.failures >= this.deadAfterFailures);
+  }
+
+  // Dead according to what is already known, without probing.
+  isKnownDead(url) {
+    return this.isDead(this.state.servers[url]);
+  }
+
+  // "alive", "error", "dead" (including repeated errors) or null when the
+  // URL was never probed.
+  statusOf(url) {
+    const record = this.state.servers[url];
+    if (!record) return null;
+    return this.isDead(record) ? "dead" : record.status;
+  }
+
+  isFresh(record) {
+    return Boolean(record?.checkedAt) && Date.now() - Date.parse(record.checkedAt) < this.recheckAfterMs;
+  }
+
+  // Probes `url` unless it was checked recently and stores the result.
+  // Concurrent checks of the same URL share one probe.
+  async checkUrl(url, { force = false } = {}) {
+    const existing = this.state.servers[url];
+    if (!force && this.isFresh(existing)) return existing;
+    if (this.inFlight.has(url)) return this.inFlight.get(url);
+
+    const check = this.probe(url)
+      .then((result) => {
+        const alive = result.status === "alive";
+        const record = {
+          url,
+          host: hostOf(url),
+          ...result,
+          lastAliveAt: alive ? result.checkedAt : existing?.lastAliveAt || null,
+          failures: alive ? 0 : (existing?.failures || 0) + 1,
+        };
+        this.state.servers[url] = record;
+        return record;
+      })
+      .finally(() => this.inFlight.delete(url));
+    this.inFlight.set(url, check);
+    return check;
+  }
+
+  // Checks every server of one episode row and updates its flag.
+  async checkEpisode(row, options = {}) {
+    const key = episodeHealthKey(row.series_slug, row.season, row.episode);
+    const urls = [...new Set((Array.isArray(row.servers) ? row.servers : []).map(serverUrl).filter(Boolean))];
+    const servers = [];
+    for (const url of urls) servers.push(await this.checkUrl(url, options));
+
+    const allDead = servers.length > 0 && servers.every((record) => this.isDead(record));
+    const wasFlagged = Boolean(this.state.flagged[key]);
+    if (allDead) {
+      this.state.flagged[key] = {
+        series_slug: row.series_slug,
+        season: row.season,
+        episode: row.episode,
+        servers: urls,
+        flaggedAt: this.state.flagged[key]?.flaggedAt || new Date().toISOString(),
+      };
+      if (!wasFlagged) {
+        console.log(`⚰️ All ${urls.length} server(s) of ${row.series_slug} S${row.season}E${row.episode} are dead`);
+      }
+    } else if (wasFlagged) {
+      delete this.state.flagged[key];
+    }
+    return { key, servers, allDead, cleared: wasFlagged && !allDead };
+  }
+
+  // Walks the episodes table (one series with `slug`) and checks every
+  // stored server. A full pass also forgets URLs no episode uses anymore.
+  async run({ db, slug = null, force = false, batchSize = 100, onProgress = null } = {}) {
+    const startedAt = new Date().toISOString();
+    const summary = { episodes: 0, servers: 0, alive: 0, dead: 0, error: 0, flagged: 0, cleared: 0 };
+    const seen = new Set();
+    let cursor = 0;
+
+    console.log(`\n🩺 Server health check${slug ? ` for ${slug}` : ""} started`);
+    for (;;) {
+      let query = db.from("episodes").select("id, series_slug, season, episode, servers").gt("id", cursor);
+      if (slug) query = query.eq("series_slug", slug);
+      const { data: rows, error } = await query.order("id", { ascending: true }).limit(batchSize);
+      if (error) throw new Error(`Failed to load episodes: ${error.message}`);
+      if (!rows?.length) break;
+
+      const results = await runWithConcurrency(rows, this.concurrency, (row) => this.checkEpisode(row, { force }));
+      for (const [index, outcome] of results.entries()) {
+        if (outcome.status === "rejected") {
+          console.warn(`⚠️ Health check failed for episode ${rows[index].id}: ${outcome.reason?.message}`);
+          continue;
+        }
+        const { servers, allDead, cleared } = outcome.value;
+        summary.episodes++;
+        if (allDead) summary.flagged++;
+        if (cleared) summary.cleared++;
+        for (const record of servers) {
+          if (seen.has(record.url)) continue;
+          seen.add(record.url);
+          summary.servers++;
+          summary[this.isDead(record) ? "dead" : record.status === "alive" ? "alive" : "error"]++;
+        }
+      }
+
+      cursor = rows[rows.length - 1].id;
+      this.save();
+      onProgress?.({ ...summary });
+      if (rows.length < batchSize) break;
+    }
+
+    if (!slug) {
+      for (const url of Object.keys(this.state.servers)) {
+        if (!seen.has(url)) delete this.state.servers[url];
+      }
+    }
+    this.state.lastRun = { startedAt, finishedAt: new Date().toISOString(), slug, force, summary };
+    this.save();
+    console.log(
+      `🩺 Server health check finished: ${summary.servers} server(s) on ${summary.episodes} episode(s) — ${summary.alive} alive, ${summary.dead} dead, ${summary.error} unreachable; ${summary.flagged} episode(s) flagged`,
+    );
+    return summary;
+  }
+
+  flagged() {
+    return Object.values(this.state.flagged).sort((a, b) => a.flaggedAt.localeCompare(b.flaggedAt));
+  }
+
+  servers({ status, host } = {}) {
+    return Object.values(this.state.servers).filter((record) => {
+      const effective = this.isDead(record) ? "dead" : record.status;
+      return (!status || effective === status) && (!host || record.host === host);
+    });
+  }
+
+  // Per-host totals for the dashboard.
+  summary() {
+    const hosts = {};
+    for (const record of Object.values(this.state.servers)) {
+      const host = (hosts[record.host] ||= { alive: 0, dead: 0, error: 0, avgLatencyMs: null, latencies: [] });
+      host[this.isDead(record) ? "dead" : record.status === "alive" ? "alive" : "error"]++;
+      if (record.latencyMs !== null && record.status === "alive") host.latencies.push(record.latencyMs);
+    }
+    for (const host of Object.values(hosts)) {
+      if (host.latencies.length) {
+        host.avgLatencyMs = Math.round(host.latencies.reduce((sum, ms) => sum + ms, 0) / host.latencies.length);
+      }
+      delete host.latencies;
+    }
+    return {
+      lastRun: this.state.lastRun,
+      servers: Object.keys(this.state.servers).length,
+      flagged: Object.keys(this.state.flagged).length,
+      hosts,
+    };
+  }
+}
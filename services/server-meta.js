@@ -0,0 +1,175 @@
+import { BUILTIN_RESOLVERS } from "./embed-resolvers/plugins.js";
+
+// Every `servers` entry, whoever writes it, has this shape:
+//
+//   option       1-based position in the list
+//   real_video   the player URL
+//   host         the player's hostname (without www.)
+//   provider     the player family: an embed resolver name (hydrax, rumble,
+//                vidnest, streamtape), "lastanime" or the host itself
+//   label        what the source called the server, else the provider name
+//   language     audio language (Hindi, English, Japanese, Tamil, Telugu,
+//                Multi) or null when nothing says
+//   subtitles    true when the server is known to carry subtitles
+//   quality      "1080p"-style guess, "auto" for HLS, or null
+//
+// Scraper extras (`direct_url`, `chain`) and `manual` are kept as they are.
+
+const EXTRA_PROVIDERS = { "stream.lastanime.in": "lastanime" };
+
+// Most reliable first; SERVER_PROVIDER_ORDER (comma-separated provider names
+// or hosts) replaces it.
+export const DEFAULT_PROVIDER_ORDER = ["hydrax", "lastanime", "vidnest", "rumble", "streamtape"];
+
+// A working server before one never probed, before one that failed to
+// answer, before a dead one.
+const HEALTH_RANK = { alive: 0, unknown: 1, error: 2, dead: 3 };
+
+// Checked in order, so "Hindi Dub" is Hindi rather than the generic dub.
+const LANGUAGES = [
+  { name: "Multi", pattern: /\bmulti(?:[\s-]?audio)?\b|\bdual[\s-]?audio\b/i },
+  { name: "Hindi", pattern: /\b(?:hindi|hin)\b/i },
+  { name: "Tamil", pattern: /\b(?:tamil|tam)\b/i },
+  { name: "Telugu", pattern: /\b(?:telugu|tel)\b/i },
+  { name: "Japanese", pattern: /\b(?:japanese|jap|jpn|raw|sub(?:bed)?)\b/i },
+  { name: "English", pattern: /\b(?:english|eng|dub(?:bed)?)\b/i },
+];
+
+const SUBTITLE_PATTERN = /\b(?:e?subs?|subtitles?|subbed|softsub|hardsub|cc)\b/i;
+
+const QUALITIES = [
+  { name: "2160p", pattern: /\b(?:2160p|4k|uhd)\b/i },
+  { name: "1440p", pattern: /\b1440p\b/i },
+  { name: "1080p", pattern: /\b(?:1080p|fhd|full[\s-]?hd)\b/i },
+  { name: "720p", pattern: /\b(?:720p|hd)\b/i },
+  { name: "480p", pattern: /\b(?:480p|sd)\b/i },
+  { name: "360p", pattern: /\b360p\b/i },
+];
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function matchesHost(host, names) {
+  return names.some((name) => host === name || host.endsWith(`.${name}`));
+}
+
+export function providerOf(url) {
+  const host = hostOf(url);
+  if (!host) return null;
+  const plugin = BUILTIN_RESOLVERS.find((resolver) => matchesHost(host, resolver.hosts));
+  if (plugin) return plugin.name;
+  const extra = Object.keys(EXTRA_PROVIDERS).find((name) => matchesHost(host, [name]));
+  return extra ? EXTRA_PROVIDERS[extra] : host;
+}
+
+// Words in labels and URLs ("Hindi 1080p", "?lang=hin") with separators
+// spaced out so \b matches inside query strings and paths. Hostnames are
+// left out: "sub.vidnest.fun" says nothing about subtitles.
+function searchText(...parts) {
+  return parts
+    .filter(Boolean)
+    .map((part) => part.replace(/^[a-z]+:\/\/[^/?#]*/i, ""))
+    .join(" ")
+    .replace(/[_=&?/.#-]+/g, " ");
+}
+
+function languageName(value) {
+  if (!value) return null;
+  return guessLanguage(value) || value;
+}
+
+export function guessLanguage(text) {
+  if (!text) return null;
+  return LANGUAGES.find(({ pattern }) => pattern.test(searchText(text)))?.name || null;
+}
+
+export function guessQuality(text) {
+  if (!text) return null;
+  return QUALITIES.find(({ pattern }) => pattern.test(searchText(text)))?.name || null;
+}
+
+function providerLabel(provider, host) {
+  if (!provider || provider === host) return host;
+  return provider.charAt(0).toUpperCase() + provider.slice(1);
+}
+
+// Fills in the schema above for one server. Values already on the server
+// win, then `hints` (what an admin picked), then guesses from the label and
+// URLs. Legacy `{ name, url }` entries are read as `{ label, real_video }`.
+export function normalizeServer(server, hints = {}) {
+  const { name, url, ...rest } = server || {};
+  const realVideo = rest.real_video || url || null;
+  const label = rest.label || name || hints.label || null;
+  const text = searchText(label, realVideo, rest.direct_url);
+  const host = hostOf(realVideo);
+  const provider = rest.provider || providerOf(realVideo);
+
+  const language = languageName(rest.language) || languageName(hints.language) || guessLanguage(text);
+  const subtitles =
+    typeof rest.subtitles === "boolean"
+      ? rest.subtitles
+      : typeof hints.subtitles === "boolean"
+        ? hints.subtitles
+        : SUBTITLE_PATTERN.test(text) || language === "Japanese";
+  const quality =
+    rest.quality ||
+    hints.quality ||
+    guessQuality(text) ||
+    (/\.m3u8(?:\?|$)/i.test(rest.direct_url || realVideo || "") ? "auto" : null);
+
+  return {
+    ...rest,
+    option: rest.option ?? 1,
+    real_video: realVideo,
+    host,
+    provider,
+    label: label || providerLabel(provider, host),
+    language,
+    subtitles,
+    quality,
+  };
+}
+
+// Normalizes a whole list and numbers it from 1.
+export function normalizeServers(servers, hints = {}) {
+  return (servers || [])
+    .map((server) => normalizeServer(server, hints))
+    .filter((server) => server.real_video)
+    .map((server, index) => ({ ...server, option: index + 1 }));
+}
+
+export function providerPreference(raw = process.env.SERVER_PROVIDER_ORDER) {
+  const names = (raw || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  return names.length ? names : DEFAULT_PROVIDER_ORDER;
+}
+
+// Orders normalized servers so `servers[0]` is the best bet and the order
+// does not depend on how the source happened to list them: by health
+// (`statusOf(url)` returns a ServerHealth status or null), then by the
+// provider's place in `preference` (unlisted providers last), then by URL.
+// Options are renumbered from 1.
+export function rankServers(servers, { preference = providerPreference(), statusOf = () => null } = {}) {
+  const providerRank = (server) => {
+    const index = preference.findIndex((name) => name === server.provider || name === server.host);
+    return index === -1 ? preference.length : index;
+  };
+  const healthRank = (server) => HEALTH_RANK[statusOf(server.real_video) || "unknown"] ?? HEALTH_RANK.unknown;
+
+  return [...(servers || [])]
+    .map((server) => ({ server, health: healthRank(server), provider: providerRank(server) }))
+    .sort(
+      (a, b) =>
+        a.health - b.health ||
+        a.provider - b.provider ||
+        (a.server.real_video < b.server.real_video ? -1 : a.server.real_video > b.server.real_video ? 1 : 0),
+    )
+    .map(({ server }, index) => ({ ...server, option: index + 1 }));
+}
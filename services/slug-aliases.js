@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+import { cleanSlug } from "./source-adapters/utils.js";
+
+const DEFAULT_ALIASES_FILE = path.join(process.cwd(), "bin", "slug_aliases.json");
+
+// What used to be hardcoded: Toonstream files Naruto Shippuden under
+// "naruto-shippuden" while the catalog row is "naruto-shippden", and every
+// Bleach / Jujutsu Kaisen release (TYBW, season pages...) is one TMDB show.
+export const DEFAULT_ALIASES = [
+  {
+    id: "naruto-shippuden",
+    sourceSlug: "naruto-shippuden",
+    pattern: "naruto[\\s-]shipp(?:u|ū)?den",
+    slug: "naruto-shippden",
+  },
+  { id: "bleach", pattern: "bleach", tmdbTitle: "Bleach" },
+  { id: "jujutsu-kaisen", pattern: "jujutsu[\\s-]kaisen", tmdbTitle: "Jujutsu Kaisen" },
+];
+
+// An alias maps a source slug (exactly, or every slug/title matching
+// `pattern`) to any of:
+//
+//   slug        the catalog slug rows are stored under
+//   tmdbTitle   the title TMDB is searched with
+//   tmdbId      a TMDB id used instead of searching
+//
+// `sourceSlug` is also what URL builders put back into Toonstream URLs for
+// the canonical slug. The list lives in bin/slug_aliases.json
+// (SLUG_ALIASES_FILE) and starts out as DEFAULT_ALIASES.
+export class SlugAliases {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SLUG_ALIASES_FILE || DEFAULT_ALIASES_FILE;
+    this.aliases = options.aliases ? options.aliases.map(validateAlias) : this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return DEFAULT_ALIASES.map(validateAlias);
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      return (Array.isArray(parsed?.aliases) ? parsed.aliases : []).map(validateAlias);
+    } catch (err) {
+      console.warn(`⚠️ Failed to load slug aliases from ${this.filePath}: ${err.message}`);
+      return DEFAULT_ALIASES.map(validateAlias);
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ aliases: this.aliases }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save slug aliases to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  list() {
+    return this.aliases.map((alias) => ({ ...alias }));
+  }
+
+  get(id) {
+    return this.aliases.find((alias) => alias.id === id) || null;
+  }
+
+  // Adds an alias or replaces the one with the same id.
+  upsert(input) {
+    const alias = validateAlias(input);
+    const index = this.aliases.findIndex((entry) => entry.id === alias.id);
+    if (index === -1) this.aliases.push(alias);
+    else this.aliases[index] = alias;
+    this.save();
+    return alias;
+  }
+
+  remove(id) {
+    const before = this.aliases.length;
+    this.aliases = this.aliases.filter((alias) => alias.id !== id);
+    if (this.aliases.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  // The alias for a source slug, catalog slug or title. Exact slug entries
+  // win over patterns; among patterns the first listed wins.
+  find(nameOrSlug) {
+    if (!nameOrSlug) return null;
+    const candidates = [String(nameOrSlug).toLowerCase(), cleanSlug(nameOrSlug)];
+    const exact = this.aliases.find(
+      (alias) => candidates.includes(alias.sourceSlug) || candidates.includes(alias.slug),
+    );
+    if (exact) return exact;
+    return (
+      this.aliases.find(
+        (alias) => alias.pattern && candidates.some((value) => new RegExp(alias.pattern, "i").test(value)),
+      ) || null
+    );
+  }
+
+  // Catalog slug for a Toonstream slug or a title.
+  canonicalSlug(name) {
+    return this.find(name)?.slug || cleanSlug(name);
+  }
+
+  // Toonstream slug for a catalog slug, for building its URLs.
+  sourceSlug(slug) {
+    if (!slug) return slug;
+    const alias = this.aliases.find((entry) => entry.slug === slug && entry.sourceSlug);
+    return alias?.sourceSlug || slug;
+  }
+
+  // What to look a series or movie up on TMDB with: a forced id, or the
+  // title to search. Either is null when no alias says otherwise.
+  tmdbLookup({ slug, title } = {}) {
+    const alias = this.find(slug) || this.find(title);
+    return { tmdbId: alias?.tmdbId || null, title: alias?.tmdbTitle || null };
+  }
+}
+
+function validateAlias(input = {}) {
+  const sourceSlug = input.sourceSlug ? cleanSlug(input.sourceSlug) : null;
+  const pattern = input.pattern ? String(input.pattern) : null;
+  if (!sourceSlug && !pattern) throw new Error("An alias needs a sourceSlug or a pattern");
+  if (pattern) {
+    try {
+      new RegExp(pattern, "i");
+    } catch (err) {
+      throw new Error(`Invalid alias pattern "${pattern}": ${err.message}`);
+    }
+  }
+
+  const tmdbId = input.tmdbId === undefined || input.tmdbId === null || input.tmdbId === "" ? null : Number(input.tmdbId);
+  if (tmdbId !== null && !Number.isInteger(tmdbId)) throw new Error(`Invalid TMDB id "${input.tmdbId}"`);
+  const alias = {
+    id: String(input.id || sourceSlug || cleanSlug(pattern)),
+    sourceSlug,
+    pattern,
+    slug: input.slug ? cleanSlug(input.slug) : null,
+    tmdbTitle: input.tmdbTitle ? String(input.tmdbTitle).trim() : null,
+    tmdbId,
+  };
+  if (!alias.slug && !alias.tmdbTitle && !alias.tmdbId) {
+    throw new Error(`Alias "${alias.id}" needs a slug, tmdbTitle or tmdbId`);
+  }
+  return alias;
+}
@@ -0,0 +1,73 @@
+// Site adapters turn one anime site into the shape the sync pipeline works
+// with. Each adapter is registered by name and provides:
+//
+//   name, homeUrl                                   identity + home page
+//   ownsUrl(url)                                    true for the site's URLs
+//   requestHeaders(url)                             extra headers for its pages (optional)
+//   fetchLatestEpisodes({ report })                 [{ url, sourceUrl, seriesUrl, season, episode, title, thumb }]
+//   fetchLatest({ report })                         { episodes, movies: [{ url, sourceUrl, slug, title, thumb }] }
+//                                                   (optional; sites with movies on their home page)
+//   discoverEpisodes(seriesUrl, { slug, triggeringEpisode, report, log })
+//                                                   { html, meta, seasons, episodes: [{ url, season, episode, title }] }
+//   extractEmbeds(html, episodeUrl, { report })     servers in the services/server-meta.js shape plus
+//                                                   direct_url? and chain (players unwrapped through
+//                                                   services/embed-resolvers)
+//   extractSeriesMeta(html, url), extractEpisodeMeta(html)
+//   seriesSlugFromUrl(url), seriesUrlFromSlug(slug), seriesUrlFromEpisode(url),
+//   episodeUrl(slug, season, episode), canonicalEpisodeUrl(url, base),
+//   parseEpisodeCode(url), isMovieUrl(url), movieUrlFromSlug(slug)
+//                                                   slugs in and out are catalog slugs; map the
+//                                                   site's own through services/slug-aliases.js
+//
+// Series resolution, TMDB enrichment and every Supabase write stay in the
+// sync pipeline, so an adapter only has to know how to read its site.
+
+export { ToonstreamAdapter } from "./toonstream.js";
+
+export class SourceAdapterRegistry {
+  constructor(options = {}) {
+    this.adapters = new Map();
+    this.defaultName = options.defaultName || null;
+  }
+
+  register(adapter) {
+    if (!adapter?.name) throw new Error("Source adapter needs a name");
+    this.adapters.set(adapter.name, adapter);
+    if (!this.defaultName) this.defaultName = adapter.name;
+    return this;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  getDefault() {
+    return this.get(this.defaultName);
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  // Adapters named in `names` (e.g. SYNC_SOURCES), in that order; unknown
+  // names are reported instead of silently dropped.
+  pick(names) {
+    if (!names || names.length === 0) return this.list();
+    return names.map((name) => {
+      const adapter = this.get(name);
+      if (!adapter) throw new Error(`Unknown source adapter "${name}"`);
+      return adapter;
+    });
+  }
+
+  forUrl(url) {
+    if (!url) return null;
+    return this.list().find((adapter) => adapter.ownsUrl(url)) || null;
+  }
+
+  // Resolves an adapter from a name or a URL, falling back to the default
+  // source so older queued jobs without a source keep working.
+  resolve({ name, url } = {}) {
+    return (name && this.get(name)) || this.forUrl(url) || this.getDefault();
+  }
+}
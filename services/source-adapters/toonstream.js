@@ -0,0 +1,848 @@
+import * as cheerio from "cheerio";
+import { hostnameOf, normalizeUrl } from "./utils.js";
+import { createEmbedResolvers } from "../embed-resolvers/index.js";
+import { normalizeServer } from "../server-meta.js";
+import { SlugAliases } from "../slug-aliases.js";
+
+// Toonstream runs a WordPress theme: the home page lists episode cards, series
+// pages carry a post id for the fetch_episodes season API and episode pages
+// hide their players behind ?trembed= iframes.
+//
+// The page parsers are exported on their own; everything that needs the
+// network goes through the `http` object handed to the adapter, so tests can
+// replace it with saved fixtures.
+
+function originOf(url, fallback) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return fallback;
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function parseEpisodeCode(url) {
+  try {
+    const u = new URL(url);
+    const parts = u.pathname.split("/").filter(Boolean);
+    const slug = parts[parts.length - 1];
+    const match = slug.match(/-(\d+)x(\d+)(?:\/?|#.*)?$/i);
+    if (match)
+      return {
+        season: parseInt(match[1], 10),
+        episode: parseInt(match[2], 10),
+      };
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+function readCard(article, anchor, baseUrl) {
+  const url = normalizeUrl(anchor.attr("href"), baseUrl);
+  const titleEl = article.find(".entry-title, h2").first();
+  const title = titleEl.text().trim() || anchor.attr("title") || "";
+  const img = article.find("figure img, .post-thumbnail img, img").first();
+  let thumb = null;
+  if (img.length) {
+    thumb =
+      img.attr("data-src") || img.attr("src") || img.attr("data-lazy-src");
+    if (thumb && thumb.startsWith("//")) thumb = "https:" + thumb;
+    else if (thumb) thumb = normalizeUrl(thumb, baseUrl);
+  }
+  return { url, title, thumb };
+}
+
+function extractCards(html, baseUrl, linkSelector) {
+  const $ = cheerio.load(html);
+  const cards = [];
+  const seen = new Set();
+  $("article.episodes, article.post, article.movies").each((_, el) => {
+    const article = $(el);
+    const anchor = article.find(linkSelector).first();
+    if (!anchor.length) return;
+    const card = readCard(article, anchor, baseUrl);
+    if (!card.url || seen.has(card.url)) return;
+    seen.add(card.url);
+    cards.push(card);
+  });
+  return cards;
+}
+
+export function extractEpisodeCards(html, baseUrl) {
+  return extractCards(html, baseUrl, 'a[href*="/episode/"], a.lnk-blk[href*="/episode/"]');
+}
+
+// Movie posts link to /movies/<slug>/ (older ones to /movie/<slug>/).
+export function extractMovieCards(html, baseUrl) {
+  return extractCards(html, baseUrl, 'a[href*="/movies/"], a[href*="/movie/"]');
+}
+
+export function extractSeriesEpisodeLinks(seriesHtml, seriesUrl) {
+  const $ = cheerio.load(seriesHtml);
+  const links = [];
+  const seen = new Set();
+  const addLink = (anchor) => {
+    const node = $(anchor);
+    const url = normalizeUrl(node.attr("href"), seriesUrl);
+    if (!url || !url.includes("/episode/")) return;
+    const code = parseEpisodeCode(url);
+    if (!code || seen.has(`${code.season}x${code.episode}`)) return;
+    seen.add(`${code.season}x${code.episode}`);
+    links.push({
+      url,
+      season: code.season,
+      episode: code.episode,
+      title: node.attr("title") || node.text().trim(),
+    });
+  };
+  $('a[href*="/episode/"]').each((_, el) => addLink(el));
+  return links;
+}
+
+export function extractPostId(html) {
+  const patterns = [
+    // Toonstream season selector: <a data-post="1914"
+    /class=["'][^"']*sel-temp[^"']*"[^>]*>\s*<a[^>]+data-post=["'](\d+)["']/i,
+    /class=["'](?:postid-|wp-post-id-)(\d+)["']/i,
+    /["']postid["']\s*:\s*(\d+)/i,
+    /var\s+post_id\s*=\s*(\d+)/i,
+    /data-post=["'](\d+)["']/i,
+    /"post"\s*:\s*"(\d+)"/i,
+  ];
+  for (const pat of patterns) {
+    const m = html.match(pat);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+export function extractNonce(html) {
+  const patterns = [
+    /["']nonce["']\s*:\s*["']([a-f0-9]+)["']/i,
+    /nonce\s*=\s*["']([a-f0-9]+)["']/i,
+    /var\s+nonce\s*=\s*["']([a-f0-9]+)["']/i,
+    /["']doo_nonce["']\s*:\s*["']([a-f0-9]+)["']/i,
+    /["']ajax_nonce["']\s*:\s*["']([a-f0-9]+)["']/i,
+    /_wpnonce["']\s*:\s*["']([a-f0-9]+)["']/i,
+  ];
+  for (const pat of patterns) {
+    const m = html.match(pat);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+export function extractSeasonNumbers(html) {
+  const $ = cheerio.load(html);
+  const seasons = new Set();
+  $("[data-season], option[value]").each((_, el) => {
+    const s = $(el).attr("data-season") || $(el).attr("value");
+    if (s && !isNaN(s)) seasons.add(parseInt(s, 10));
+  });
+  if (seasons.size === 0) {
+    $(".aa-cnt .se-c").each((_, el) => {
+      const match = $(el)
+        .find(".se-t")
+        .text()
+        .match(/season\s+(\d+)/i);
+      if (match) seasons.add(parseInt(match[1], 10));
+    });
+  }
+  if (seasons.size === 0) seasons.add(1);
+  return Array.from(seasons).sort((a, b) => a - b);
+}
+
+export function extractSeriesMeta(html, url) {
+  const $ = cheerio.load(html);
+  const title = $(".data h1, .entry-title").first().text().trim();
+  const description = $(".wp-content p, .description p").first().text().trim();
+  const poster = normalizeUrl($(".poster img").first().attr("src"), url);
+  const genres = [];
+  $(".sgeneros a").each((_, el) => genres.push($(el).text().trim()));
+  const rating = parseFloat($(".dt_rating_vbc").text()) || null;
+  const yearMatch = title.match(/\((\d{4})\)/);
+  const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
+  return { title, description, poster, genres, rating, year, seasons: extractSeasonNumbers(html).length };
+}
+
+function isToonstream(url) {
+  try {
+    const host = new URL(url).hostname;
+    return host.includes("toonstream") || host.includes("trembed");
+  } catch {
+    return false;
+  }
+}
+
+// A servers entry: the last player of the resolution chain, the chain that
+// led to it and the direct file when one was found, with the metadata of
+// services/server-meta.js filled in.
+function serverEntry(option, resolution, extra = {}) {
+  return normalizeServer({
+    option,
+    real_video: resolution.url,
+    ...extra,
+    ...(resolution.direct ? { direct_url: resolution.direct } : {}),
+    chain: resolution.chain,
+  });
+}
+
+// Labels of the player tabs ("Hindi", "English 720p") by option index. The
+// theme links each tab to its #options-N box, and trembed=N loads box N.
+export function extractServerTabs(html) {
+  const $ = cheerio.load(html);
+  const labels = new Map();
+  $('a[href^="#options-"]').each((_, el) => {
+    const index = Number($(el).attr("href").slice("#options-".length));
+    const label = ($(el).find(".server").text() || $(el).text()).replace(/\s+/g, " ").trim();
+    if (Number.isInteger(index) && label && !labels.has(index)) labels.set(index, label);
+  });
+  return labels;
+}
+
+export class ToonstreamAdapter {
+  constructor({ http, embeds, aliases }, options = {}) {
+    this.name = "toonstream";
+    this.http = http;
+    this.aliases = aliases || new SlugAliases();
+    this.embeds =
+      embeds || createEmbedResolvers({ maxDepth: options.embedMaxDepth, direct: options.resolveDirect });
+    this.homeUrl =
+      options.homeUrl ||
+      process.env.TOONSTREAM_HOME_URL ||
+      "https://toonstram-home.chanchalsaroha8950.workers.dev/api/home";
+    this.episodeBaseUrl =
+      options.episodeBaseUrl ||
+      process.env.TOONSTREAM_EPISODE_BASE_URL ||
+      "https://toonstream.live/";
+    this.seasonApiUrl = options.seasonApiUrl || process.env.TOONSTREAM_SEASON_API_URL || null;
+    this.cookies = options.cookies || process.env.TOONSTREAM_COOKIES?.trim() || null;
+    this.homeRetryDelaysMs =
+      options.homeRetryDelaysMs ||
+      (process.env.HOME_RETRY_DELAYS_MS || "20000,40000,120000")
+        .split(",")
+        .map((v) => Number(v.trim()))
+        .filter((v) => Number.isFinite(v) && v > 0);
+    this.maxRetries = options.maxRetries || 3;
+
+    this.homeHost = hostnameOf(this.homeUrl);
+    this.homeOrigin = originOf(this.homeUrl, this.homeUrl);
+    this.episodeOrigin = originOf(this.episodeBaseUrl, "https://toonstream.live");
+    this.episodeHost = hostnameOf(this.episodeOrigin) || "toonstream.live";
+  }
+
+  // Any Toonstream mirror (toonstream.one, .dad, .live, ...) is handled here;
+  // episode URLs are rewritten to the live domain before they are fetched.
+  ownsUrl(url) {
+    const host = hostnameOf(url);
+    return Boolean(host && (host.includes("toonstream") || host === this.homeHost));
+  }
+
+  requestHeaders(url) {
+    const host = hostnameOf(url);
+    if (host !== this.homeHost && host !== this.episodeHost) return null;
+    const headers = {
+      Referer: this.homeUrl,
+      Origin: originOf(url, this.homeOrigin),
+      "Sec-Fetch-Dest": "document",
+      "Sec-Fetch-Mode": "navigate",
+      "Sec-Fetch-Site": "same-origin",
+      "Sec-Fetch-User": "?1",
+    };
+    if (this.cookies) headers.Cookie = this.cookies;
+    return headers;
+  }
+
+  canonicalEpisodeUrl(rawUrl, base = this.episodeOrigin) {
+    const normalized = normalizeUrl(rawUrl, base);
+    if (!normalized) return null;
+
+    try {
+      const urlObj = new URL(normalized);
+      const host = urlObj.hostname.replace(/^www\./, "");
+      if (!host.includes("toonstream")) return normalized;
+
+      const targetOrigin = new URL(this.episodeOrigin);
+      urlObj.protocol = targetOrigin.protocol;
+      urlObj.hostname = targetOrigin.hostname;
+      urlObj.port = targetOrigin.port;
+
+      return urlObj.href;
+    } catch {
+      return normalized;
+    }
+  }
+
+  parseEpisodeCode(url) {
+    return parseEpisodeCode(url);
+  }
+
+  isMovieUrl(url) {
+    return /\/(?:movies?|watch)\//.test(url);
+  }
+
+  // Slugs parsed from URLs are catalog slugs (see services/slug-aliases.js);
+  // URLs built from slugs use the slug Toonstream files the title under.
+  movieUrlFromSlug(movieSlug) {
+    if (!movieSlug) return null;
+    return `${this.episodeOrigin}/movies/${this.aliases.sourceSlug(movieSlug)}/`;
+  }
+
+  seriesSlugFromUrl(seriesUrl) {
+    try {
+      const u = new URL(seriesUrl);
+      const parts = u.pathname.split("/").filter(Boolean);
+      const slug = parts.pop() || null;
+      return this.aliases.canonicalSlug(slug);
+    } catch {
+      return null;
+    }
+  }
+
+  seriesUrlFromEpisode(episodeUrl) {
+    try {
+      const u = new URL(episodeUrl);
+      const parts = u.pathname.split("/").filter(Boolean);
+      const episodeSlug = parts[1] || parts[parts.length - 1] || "";
+      if (!episodeSlug) return null;
+      const baseSlug = episodeSlug.replace(/-\d+x\d+$/i, "") || episodeSlug;
+      return this.seriesUrlFromSlug(this.aliases.canonicalSlug(baseSlug));
+    } catch {
+      return null;
+    }
+  }
+
+  seriesUrlFromSlug(seriesSlug) {
+    if (!seriesSlug) return null;
+    return `${this.episodeOrigin}/series/${this.aliases.sourceSlug(seriesSlug)}/`;
+  }
+
+  episodeUrl(seriesSlug, season, episode) {
+    if (!seriesSlug) return null;
+    return `${this.episodeOrigin}/episode/${this.aliases.sourceSlug(seriesSlug)}-${season}x${episode}/`;
+  }
+
+  extractSeriesMeta(html, url) {
+    return extractSeriesMeta(html, url);
+  }
+
+  extractEpisodeMeta(html) {
+    const $ = cheerio.load(html);
+    const title = $(".data h1").text().trim();
+    const description = $(".wp-content p").text().trim();
+    const thumbnail = normalizeUrl($(".player_nav img").first().attr("src"), this.homeUrl);
+    return { title, description, thumbnail };
+  }
+
+  async fetchHomeHtml(options = {}) {
+    const delays = this.homeRetryDelaysMs;
+    const maxAttempts = delays.length + 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        // Keep per-attempt fetch strict to avoid fast triple-retry spam on 403.
+        return await this.http.fetchHtml(this.homeUrl, 1, { report: options.report });
+      } catch (err) {
+        lastError = err;
+        const delayMs = delays[attempt - 1];
+        if (!delayMs) break;
+
+        const status = err?.response?.status;
+        const delaySec = Math.round(delayMs / 1000);
+        if (status) {
+          console.warn(
+            `  ⚠️ Home fetch failed (${status}) [attempt ${attempt}/${maxAttempts}] - retrying in ${delaySec}s...`,
+          );
+        } else {
+          console.warn(
+            `  ⚠️ Home fetch failed [attempt ${attempt}/${maxAttempts}] - retrying in ${delaySec}s...`,
+          );
+        }
+
+        await delay(delayMs);
+      }
+    }
+
+    throw lastError || new Error(`Failed to fetch ${this.homeUrl}`);
+  }
+
+  // Everything new on the home page in one fetch: episode cards (with the
+  // series they belong to) and movie cards.
+  async fetchLatest(options = {}) {
+    const html = await this.fetchHomeHtml(options);
+    const cards = extractEpisodeCards(html, this.homeUrl);
+    console.log(`🔍 Found ${cards.length} candidate episodes`);
+
+    const episodes = [];
+    for (const card of cards) {
+      const code = parseEpisodeCode(card.url);
+      if (!code) {
+        console.log(`   ⏭️ Skipping invalid URL: ${card.url}`);
+        options.report?.skip("invalid-url", { url: card.url });
+        continue;
+      }
+      const sourceUrl = normalizeUrl(card.url, this.homeUrl);
+      const url = this.canonicalEpisodeUrl(sourceUrl, this.homeUrl);
+      episodes.push({
+        url,
+        sourceUrl,
+        seriesUrl: this.seriesUrlFromEpisode(url || card.url),
+        season: code.season,
+        episode: code.episode,
+        title: card.title,
+        thumb: card.thumb,
+      });
+    }
+
+    const movies = [];
+    for (const card of extractMovieCards(html, this.homeUrl)) {
+      const url = this.canonicalEpisodeUrl(card.url, this.homeUrl);
+      const slug = this.seriesSlugFromUrl(url);
+      if (!slug) continue;
+      movies.push({ url, sourceUrl: card.url, slug, title: card.title, thumb: card.thumb });
+    }
+    if (movies.length) console.log(`🎬 Found ${movies.length} candidate movies`);
+
+    return { episodes, movies };
+  }
+
+  async fetchLatestEpisodes(options = {}) {
+    return (await this.fetchLatest(options)).episodes;
+  }
+
+  getSeasonApiUrl(pageHtml) {
+    if (this.seasonApiUrl) return this.seasonApiUrl;
+
+    if (pageHtml) {
+      const seasonApiMatch = pageHtml.match(
+        /(https?:\/\/[^"'\s]+\/fetch_episodes\.php)/i,
+      );
+      if (seasonApiMatch?.[1]) return seasonApiMatch[1];
+    }
+
+    return `${this.episodeOrigin}/fetch_episodes.php`;
+  }
+
+  extractEpisodesFromSeasonApiResponse(data, season, pageUrl) {
+    const episodes = [];
+    const seen = new Set();
+
+    const pushEpisode = (rawUrl, fallbackTitle = "") => {
+      const url = this.canonicalEpisodeUrl(rawUrl, pageUrl || this.episodeOrigin);
+      if (!url || !url.includes("/episode/")) return;
+
+      const code = parseEpisodeCode(url);
+      if (!code?.episode) return;
+
+      const key = `${code.season}x${code.episode}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      episodes.push({
+        season: code.season || parseInt(season, 10),
+        episode: code.episode,
+        url,
+        title: fallbackTitle,
+      });
+    };
+
+    if (typeof data === "string") {
+      const $ = cheerio.load(data);
+
+      $("article a[href*='/episode/'], a[href*='/episode/']").each((_, el) => {
+        const anchor = $(el);
+        const href = anchor.attr("href");
+        const title = anchor.attr("title") || anchor.text().trim() || "";
+        pushEpisode(href, title);
+      });
+
+      if (episodes.length > 0) return episodes;
+
+      for (const match of data.matchAll(/https?:\/\/[^"'\s]*\/episode\/[^"'\s]+/gi)) {
+        pushEpisode(match[0]);
+      }
+
+      return episodes;
+    }
+
+    if (Array.isArray(data)) {
+      data.forEach((item) => {
+        pushEpisode(item?.url || item?.link || item?.episode_url, item?.title || "");
+      });
+      return episodes;
+    }
+
+    if (data && typeof data === "object") {
+      const candidates = [
+        data.html,
+        data.data,
+        data.episodes,
+        data.results,
+        data.items,
+      ];
+
+      for (const candidate of candidates) {
+        const partial = this.extractEpisodesFromSeasonApiResponse(
+          candidate,
+          season,
+          pageUrl,
+        );
+        partial.forEach((ep) => {
+          const key = `${ep.season}x${ep.episode}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            episodes.push(ep);
+          }
+        });
+      }
+    }
+
+    return episodes;
+  }
+
+  async fetchSeasonEpisodes(postId, season, pageUrl, pageHtml, options = {}) {
+    if (!postId || !season) return [];
+    const log = options.log || console.log;
+    const referer = pageUrl || this.homeUrl;
+
+    // Extract the season API URL from page HTML first (handles cross-domain like toonstream.one → toonstream.dad)
+    const ajaxUrl = this.getSeasonApiUrl(pageHtml);
+    log(
+      `         🌐 Season ${season} API: GET ${ajaxUrl}?post=${postId}&season=${season}`,
+    );
+
+    try {
+      const res = await this.http.get(ajaxUrl, {
+        params: {
+          post: postId,
+          season,
+        },
+        headers: {
+          Referer: referer,
+          "User-Agent": this.http.userAgent(),
+          Accept: "application/json,text/html,*/*",
+        },
+        timeout: 15000,
+      });
+
+      const episodes = this.extractEpisodesFromSeasonApiResponse(
+        res.data,
+        season,
+        pageUrl,
+      );
+      if (episodes.length > 0) {
+        log(
+          `         ✓ Season ${season}: ${episodes.length} episodes parsed from fetch_episodes API`,
+        );
+      }
+      return episodes;
+    } catch (err) {
+      options.report?.recordHttpError(ajaxUrl, err);
+      console.warn(
+        `         ⚠️ Season API error (post=${postId}, season=${season}): ${err.message}`,
+      );
+      return [];
+    }
+  }
+
+  // Season discovery: season numbers and the post id come from the series
+  // page (or the triggering episode page when the series page lacks them),
+  // episodes from the fetch_episodes API with the page's own links as fallback.
+  async discoverEpisodes(seriesUrl, options = {}) {
+    const { triggeringEpisode, report } = options;
+    const log = options.log || console.log;
+    const slug = options.slug || this.seriesSlugFromUrl(seriesUrl);
+
+    const html = await this.http.fetchHtml(seriesUrl, this.maxRetries, { report });
+    let postId = extractPostId(html);
+    let seasons = extractSeasonNumbers(html);
+
+    // Fallback: Extract episodes from HTML if API might fail or to have a backup
+    const htmlEpisodeLinks = extractSeriesEpisodeLinks(html, seriesUrl);
+
+    if ((!postId || htmlEpisodeLinks.length === 0) && triggeringEpisode?.url) {
+      const triggerUrl = this.canonicalEpisodeUrl(triggeringEpisode.url, seriesUrl);
+      if (triggerUrl) {
+        log(
+          `      🔁 Enriching series metadata from trigger episode page: ${triggerUrl}`,
+        );
+        try {
+          const triggerHtml = await this.http.fetchHtml(triggerUrl, this.maxRetries, {
+            referer: seriesUrl,
+            report,
+          });
+
+          const triggerPostId = extractPostId(triggerHtml);
+          if (!postId && triggerPostId) {
+            postId = triggerPostId;
+            log(`      ✅ postId resolved from trigger page: ${postId}`);
+          }
+
+          const triggerSeasons = extractSeasonNumbers(triggerHtml);
+          if (triggerSeasons.length > 0) {
+            const combined = new Set([...(seasons || []), ...triggerSeasons]);
+            seasons = Array.from(combined).sort((a, b) => a - b);
+          }
+
+          const triggerEpisodeLinks = extractSeriesEpisodeLinks(
+            triggerHtml,
+            seriesUrl,
+          );
+          if (triggerEpisodeLinks.length > 0) {
+            const seen = new Set(
+              htmlEpisodeLinks.map((ep) => `${ep.season}x${ep.episode}`),
+            );
+            for (const ep of triggerEpisodeLinks) {
+              const key = `${ep.season}x${ep.episode}`;
+              if (seen.has(key)) continue;
+              seen.add(key);
+              htmlEpisodeLinks.push(ep);
+            }
+          }
+        } catch (err) {
+          console.warn(
+            `      ⚠️ Trigger-page metadata fallback failed: ${err.message}`,
+          );
+        }
+      }
+    }
+
+    if (
+      triggeringEpisode?.season &&
+      !seasons.includes(Number(triggeringEpisode.season))
+    ) {
+      seasons.push(Number(triggeringEpisode.season));
+      seasons.sort((a, b) => a - b);
+    }
+
+    if (!postId) {
+      console.warn(
+        `      ⚠️ postId not found for ${slug}; season API may fail for all seasons`,
+      );
+    }
+
+    log(`      🔍 Found ${seasons.length} season(s), ${htmlEpisodeLinks.length} episode link(s) in HTML`);
+
+    const withUrl = (ep) => ({
+      ...ep,
+      url: ep.url || this.episodeUrl(slug, ep.season, ep.episode),
+    });
+
+    const episodes = [];
+    for (const season of seasons) {
+      log(`         • Fetching Season ${season}...`);
+      const episodeData = await this.fetchSeasonEpisodes(
+        postId,
+        season,
+        seriesUrl,
+        html,
+        { report, log },
+      );
+
+      if (episodeData.length === 0) {
+        log(
+          `         ⚠️ No episode data from API for Season ${season}. Trying HTML fallback...`,
+        );
+        // Fallback to HTML links for this specific season
+        const seasonHtmlLinks = htmlEpisodeLinks.filter(
+          (link) => link.season === season,
+        );
+        if (seasonHtmlLinks.length > 0) {
+          log(
+            `         ✓ Found ${seasonHtmlLinks.length} episodes via HTML fallback`,
+          );
+          seasonHtmlLinks.forEach((ep) => episodes.push(withUrl(ep)));
+        } else {
+          log(
+            `         ❌ No episodes found for Season ${season} in HTML either.`,
+          );
+        }
+      } else {
+        log(`         ✓ Found ${episodeData.length} episodes via API`);
+        episodeData.forEach((ep) => episodes.push(withUrl(ep)));
+      }
+    }
+
+    // Final fallback: if episodes is still empty but we have htmlEpisodeLinks, use them all
+    if (episodes.length === 0 && htmlEpisodeLinks.length > 0) {
+      log(
+        `      ⚠️ API returned nothing for all seasons. Using ${htmlEpisodeLinks.length} episodes found in HTML.`,
+      );
+      htmlEpisodeLinks.forEach((ep) => episodes.push(withUrl(ep)));
+    }
+
+    return {
+      html,
+      meta: extractSeriesMeta(html, seriesUrl),
+      seasons,
+      episodes,
+    };
+  }
+
+  async resolveTrembedUrl(trembedUrl, episodeUrl, options = {}) {
+    // Fetch the trembed page and extract the real video URL inside it
+    try {
+      const pageOrigin = originOf(episodeUrl || trembedUrl, "");
+      const res = await this.http.get(trembedUrl, {
+        headers: this.http.buildHeaders(trembedUrl, {
+          referer: episodeUrl || pageOrigin,
+        }),
+        timeout: 15000,
+        maxRedirects: 5,
+        validateStatus: (status) => status >= 200 && status < 400,
+      });
+      const pageHtml = res.data || "";
+      const $ = cheerio.load(pageHtml);
+
+      // Iframes that are NOT a toonstream domain; a player with a known
+      // resolver wins over ads and unknown frames listed before it
+      const frames = [];
+      $("iframe[src], iframe[data-src]").each((_, el) => {
+        const src = $(el).attr("src") || $(el).attr("data-src");
+        if (!src || src.startsWith("about:") || src.startsWith("javascript:"))
+          return;
+        const cleaned = src.replace(/&#038;/g, "&").replace(/&amp;/g, "&");
+        if (!isToonstream(cleaned)) frames.push(cleaned);
+      });
+      const found = frames.find((frame) => this.embeds.knows(frame)) || frames[0];
+      if (found) return found;
+
+      // Fallback: check script/inline for any external video URL
+      const srcMatch = pageHtml.match(
+        /(?:src|file|source)\s*[:=]\s*["']((https?:\/\/(?!(?:[^/]*\.)?toonstream)[^"'\s]+))["']/i,
+      );
+      if (srcMatch) return srcMatch[1];
+
+      return null;
+    } catch (err) {
+      options.report?.recordHttpError(trembedUrl, err);
+      console.warn(
+        `            ⚠️ resolveTrembedUrl failed for ${trembedUrl}: ${err.message}`,
+      );
+      return null;
+    }
+  }
+
+  async extractEmbeds(html, episodeUrl, options = {}) {
+    const embeds = [];
+    const seen = new Set();
+
+    try {
+      const $ = cheerio.load(html);
+
+      const links = [];
+      $("a.myservers[data-src], a[data-src]").each((index, el) => {
+        const resolved = normalizeUrl($(el).attr("data-src"), episodeUrl);
+        if (!resolved || links.some((link) => link.url === resolved)) return;
+        links.push({ url: resolved, label: $(el).text().trim() || `Server ${index + 1}` });
+      });
+
+      for (const { url, label } of links) {
+        const resolution = await this.embeds.resolve(url, {
+          http: this.http,
+          referer: episodeUrl,
+          report: options.report,
+        });
+        if (seen.has(resolution.url)) continue;
+        seen.add(resolution.url);
+        embeds.push(serverEntry(embeds.length + 1, resolution, { label }));
+      }
+
+      if (embeds.length > 0) {
+        console.log(`            🔌 Found ${embeds.length} server URL(s) from data-src`);
+        return embeds;
+      }
+
+      // ── Step 1: Collect all trembed URLs from the episode page HTML ──────────
+      // Pattern: <iframe data-src="https://toonstream.dad/home/?trembed=2&trid=9021&trtype=2"
+      const trembedUrls = [];
+      const trembedSeenKeys = new Set();
+
+      // Match all data-src / src that contain trembed or trid
+      const rawMatches = [
+        ...html.matchAll(
+          /(?:data-src|src)=["']([^"']*(?:trembed|trid)[^"']*)["']/gi,
+        ),
+      ];
+      for (const m of rawMatches) {
+        const rawUrl = m[1].replace(/&#038;/g, "&").replace(/&amp;/g, "&");
+        const url = this.canonicalEpisodeUrl(rawUrl, this.episodeOrigin);
+        if (!url) continue;
+        if (!trembedSeenKeys.has(url)) {
+          trembedSeenKeys.add(url);
+          trembedUrls.push(url);
+        }
+      }
+
+      // Also build trembed URLs from trid pattern in HTML (trembed index = 0..N)
+      if (trembedUrls.length === 0) {
+        const pairs = new Map();
+        for (const m of [
+          ...html.matchAll(
+            /trid=(\d+)[^"'\s&]*(?:&(?:amp;)?|&amp;)?trtype=(\d+)/gi,
+          ),
+        ]) {
+          const key = `${m[1]}_${m[2]}`;
+          if (!pairs.has(key)) pairs.set(key, { trid: m[1], trtype: m[2] });
+        }
+        for (const m of [
+          ...html.matchAll(
+            /trtype=(\d+)[^"'\s&]*(?:&(?:amp;)?|&amp;)?trid=(\d+)/gi,
+          ),
+        ]) {
+          const key = `${m[2]}_${m[1]}`;
+          if (!pairs.has(key)) pairs.set(key, { trid: m[2], trtype: m[1] });
+        }
+        let idx = 0;
+        for (const { trid, trtype } of pairs.values()) {
+          const url = `${this.episodeOrigin}/?trembed=${idx}&trid=${trid}&trtype=${trtype}`;
+          trembedUrls.push(url);
+          idx++;
+        }
+      }
+
+      console.log(`            🔌 Found ${trembedUrls.length} trembed URL(s)`);
+      const tabLabels = extractServerTabs(html);
+
+      // ── Step 2: Fetch each trembed URL and extract the real video URL ────────
+      for (let i = 0; i < trembedUrls.length; i++) {
+        const trembedUrl = trembedUrls[i];
+        console.log(`            🔍 Resolving Server ${i + 1}: ${trembedUrl}`);
+        const realUrl = await this.resolveTrembedUrl(trembedUrl, episodeUrl, options);
+        if (!realUrl) {
+          console.warn(`            ⚠️ Could not resolve Server ${i + 1}`);
+          continue;
+        }
+        // The trembed page is the first hop of the chain.
+        const resolution = await this.embeds.resolve(realUrl, {
+          http: this.http,
+          referer: trembedUrl,
+          report: options.report,
+          chain: [trembedUrl],
+        });
+        if (!seen.has(resolution.url)) {
+          seen.add(resolution.url);
+          const index = new URL(trembedUrl).searchParams.get("trembed");
+          const label = tabLabels.get(index === null ? i : Number(index));
+          embeds.push(serverEntry(i + 1, resolution, label ? { label } : {}));
+          console.log(
+            `            ✓ Server ${i + 1} resolved: ${resolution.url.substring(0, 80)}${resolution.chain.length > 2 ? ` (${resolution.chain.length - 1} hops)` : ""}`,
+          );
+        }
+      }
+    } catch (err) {
+      console.warn(`            ⚠️ extractEmbeds error: ${err.message}`);
+    }
+
+    if (embeds.length === 0) {
+      console.warn(`            ⚠️ No servers found at ${episodeUrl}`);
+    }
+
+    return embeds;
+  }
+}
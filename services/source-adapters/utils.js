@@ -0,0 +1,48 @@
+// Helpers shared by the sync pipeline and the site adapters.
+
+// URL-safe slug of a name. Series whose catalog slug differs from the
+// source's are mapped by services/slug-aliases.js, not here.
+export function cleanSlug(name) {
+  if (!name) return "item";
+  return String(name)
+    .toLowerCase()
+    .replace(/['"]/g, "")
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function decodeHtmlEntities(str) {
+  if (!str) return str;
+  return str
+    .replace(/&#038;/g, "&")
+    .replace(/&#38;/g, "&")
+    .replace(/&amp;/g, "&")
+    .replace(/&#039;/g, "'")
+    .replace(/&#39;/g, "'")
+    .replace(/&apos;/g, "'")
+    .replace(/&#034;/g, '"')
+    .replace(/&#34;/g, '"')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">");
+}
+
+export function normalizeUrl(rawUrl, base) {
+  if (!rawUrl || /^javascript:/i.test(rawUrl)) return null;
+  try {
+    const decodedUrl = decodeHtmlEntities(rawUrl);
+    return new URL(decodedUrl, base).href;
+  } catch {
+    return null;
+  }
+}
+
+export function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
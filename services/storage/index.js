@@ -0,0 +1,37 @@
+import { createClient } from "@supabase/supabase-js";
+import { MemoryDatabase } from "./memory-client.js";
+
+export { MemoryDatabase } from "./memory-client.js";
+
+// STORAGE_DRIVER=memory swaps every Supabase project for an in-process
+// database so the sync and the server routes run without a live project.
+// MEMORY_DB_DIR keeps each project's tables in <dir>/<name>.json.
+const memoryDatabases = new Map();
+
+export function getStorageDriver() {
+  return (process.env.STORAGE_DRIVER || "supabase").toLowerCase();
+}
+
+export function isMemoryStorage() {
+  return getStorageDriver() === "memory";
+}
+
+export function getMemoryDatabase(name = "primary") {
+  if (!memoryDatabases.has(name)) {
+    const dir = process.env.MEMORY_DB_DIR;
+    memoryDatabases.set(
+      name,
+      new MemoryDatabase({ filePath: dir ? `${dir.replace(/\/+$/, "")}/${name}.json` : null }),
+    );
+  }
+  return memoryDatabases.get(name);
+}
+
+// `name` tells projects apart in memory mode: the catalog lives in
+// "primary", the lastanime iframe table in "iframe".
+export function createDatabaseClient(url, key, options = {}) {
+  const driver = getStorageDriver();
+  if (driver === "memory") return getMemoryDatabase(options.name || "primary");
+  if (driver !== "supabase") throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  return createClient(url, key);
+}
@@ -0,0 +1,408 @@
+import fs from "fs";
+import path from "path";
+
+// Unique keys of the tables the sync touches. An upsert without onConflict
+// falls back to the primary key, like PostgREST does.
+const TABLE_KEYS = {
+  series: ["slug"],
+  movies: ["slug"],
+  episodes: ["series_slug", "season", "episode"],
+  latest_episodes: ["series_slug", "season", "episode"],
+  iframe: ["video_id"],
+};
+
+function dbError(message, code) {
+  return { message, code, details: null, hint: null };
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  // Postgres compares "2" and 2 equal for an int column; query strings
+  // from Express arrive as strings.
+  if (typeof a !== "object" && typeof b !== "object") return String(a) === String(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function project(row, columns) {
+  if (!columns || columns === "*") return { ...row };
+  const out = {};
+  for (const column of columns.split(",").map((c) => c.trim()).filter(Boolean)) {
+    out[column] = row[column] ?? null;
+  }
+  return out;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Chainable query mirroring the part of the supabase-js builder this repo
+// uses. Nothing runs until the query is awaited.
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = "select";
+    this.values = null;
+    this.conflictKeys = null;
+    this.ignoreDuplicates = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.columns = "*";
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+  }
+
+  select(columns = "*", options = {}) {
+    this.columns = columns;
+    if (this.action !== "select") this.returning = true;
+    if (options.count) this.countMode = options.count;
+    if (options.head) this.head = true;
+    return this;
+  }
+
+  insert(values) {
+    this.action = "insert";
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = "upsert";
+    this.values = values;
+    this.conflictKeys = options.onConflict
+      ? options.onConflict.split(",").map((c) => c.trim())
+      : null;
+    this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push((row) => sameValue(row[column], value));
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push((row) => !sameValue(row[column], value));
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push((row) => row[column] !== null && row[column] > value);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push((row) => row[column] !== null && row[column] >= value);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push((row) => row[column] !== null && row[column] < value);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push((row) => row[column] !== null && row[column] <= value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push((row) => values.some((value) => sameValue(row[column], value)));
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push((row) => (row[column] ?? null) === value);
+    return this;
+  }
+
+  like(column, pattern) {
+    const re = likeToRegExp(pattern, "");
+    this.filters.push((row) => re.test(String(row[column] ?? "")));
+    return this;
+  }
+
+  ilike(column, pattern) {
+    const re = likeToRegExp(pattern, "i");
+    this.filters.push((row) => re.test(String(row[column] ?? "")));
+    return this;
+  }
+
+  match(query) {
+    for (const [column, value] of Object.entries(query)) this.eq(column, value);
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeFrom = this.rangeFrom ?? 0;
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybeSingle";
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (err) {
+      result = { data: null, error: dbError(err.message, "MEMORY_ERROR"), count: null };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every((filter) => filter(row));
+  }
+
+  execute() {
+    let rows;
+    let error = null;
+
+    switch (this.action) {
+      case "insert":
+        ({ rows, error } = this.db.insert(this.table, this.values));
+        break;
+      case "upsert":
+        ({ rows, error } = this.db.upsert(this.table, this.values, this.conflictKeys, this.ignoreDuplicates));
+        break;
+      case "update":
+        rows = this.db.update(this.table, (row) => this.matches(row), this.values);
+        break;
+      case "delete":
+        rows = this.db.delete(this.table, (row) => this.matches(row));
+        break;
+      default:
+        rows = this.db.rows(this.table).filter((row) => this.matches(row));
+    }
+    if (error) return { data: null, error, count: null };
+
+    if (this.action !== "select" && !this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows = [...rows].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+    }
+    const count = this.countMode ? rows.length : null;
+    if (this.rangeFrom !== null) rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+    const data = rows.map((row) => clone(project(row, this.columns)));
+
+    if (this.head) return { data: null, error: null, count };
+    if (this.singleMode) {
+      if (data.length > 1) {
+        return { data: null, error: dbError("JSON object requested, multiple (or no) rows returned", "PGRST116"), count };
+      }
+      if (data.length === 0 && this.singleMode === "single") {
+        return { data: null, error: dbError("JSON object requested, multiple (or no) rows returned", "PGRST116"), count };
+      }
+      return { data: data[0] || null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+}
+
+// In-memory stand-in for a Supabase project. Rows get an auto-increment id
+// and created_at; unique keys from TABLE_KEYS are enforced on insert and
+// drive upsert conflicts. With a file path the tables survive restarts.
+export class MemoryDatabase {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.tables = {};
+    this.nextIds = {};
+    if (this.filePath) this.load();
+    if (options.seed) this.seed(options.seed);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      this.tables = parsed.tables || {};
+      this.nextIds = parsed.nextIds || {};
+    } catch (err) {
+      console.warn(`⚠️ Failed to load memory database from ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ tables: this.tables, nextIds: this.nextIds }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save memory database to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  seed(tables) {
+    for (const [table, rows] of Object.entries(tables)) {
+      const { error } = this.insert(table, rows);
+      if (error) throw new Error(`Seeding ${table} failed: ${error.message}`);
+    }
+  }
+
+  reset() {
+    this.tables = {};
+    this.nextIds = {};
+    this.save();
+  }
+
+  rows(table) {
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  from(table) {
+    return new MemoryQuery(this, table);
+  }
+
+  keyOf(table, row, keys) {
+    return keys.map((key) => String(row[key] ?? "")).join("\u0000");
+  }
+
+  findByKeys(table, row, keys) {
+    if (keys.some((key) => row[key] === undefined || row[key] === null)) return null;
+    const wanted = this.keyOf(table, row, keys);
+    return this.rows(table).find((existing) => this.keyOf(table, existing, keys) === wanted) || null;
+  }
+
+  uniqueViolation(table, row, ignore = null) {
+    const keys = TABLE_KEYS[table];
+    if (!keys) return null;
+    const existing = this.findByKeys(table, row, keys);
+    if (existing && existing !== ignore) {
+      return dbError(
+        `duplicate key value violates unique constraint "${table}_${keys.join("_")}_key"`,
+        "23505",
+      );
+    }
+    return null;
+  }
+
+  createRow(table, values) {
+    const now = new Date().toISOString();
+    this.nextIds[table] = this.nextIds[table] || 1;
+    const row = { id: this.nextIds[table], created_at: now, ...clone(values) };
+    this.nextIds[table] = Math.max(this.nextIds[table], Number(row.id) || 0) + 1;
+    return row;
+  }
+
+  insert(table, values) {
+    const list = Array.isArray(values) ? values : [values];
+    const inserted = [];
+    for (const values of list) {
+      const row = this.createRow(table, values);
+      const error =
+        this.uniqueViolation(table, row) ||
+        (this.rows(table).some((existing) => sameValue(existing.id, row.id))
+          ? dbError(`duplicate key value violates unique constraint "${table}_pkey"`, "23505")
+          : null);
+      if (error) return { rows: [], error };
+      this.rows(table).push(row);
+      inserted.push(row);
+    }
+    this.save();
+    return { rows: inserted, error: null };
+  }
+
+  upsert(table, values, conflictKeys, ignoreDuplicates = false) {
+    const keys = conflictKeys || ["id"];
+    const list = Array.isArray(values) ? values : [values];
+    const written = [];
+    for (const values of list) {
+      const existing = this.findByKeys(table, values, keys);
+      if (existing) {
+        if (ignoreDuplicates) continue;
+        // ON CONFLICT DO UPDATE only sets the columns that were sent.
+        const next = { ...existing, ...clone(values) };
+        const error = this.uniqueViolation(table, next, existing);
+        if (error) return { rows: [], error };
+        Object.assign(existing, next);
+        written.push(existing);
+        continue;
+      }
+      const row = this.createRow(table, values);
+      const error = this.uniqueViolation(table, row);
+      if (error) return { rows: [], error };
+      this.rows(table).push(row);
+      written.push(row);
+    }
+    this.save();
+    return { rows: written, error: null };
+  }
+
+  update(table, predicate, values) {
+    const updated = [];
+    for (const row of this.rows(table)) {
+      if (!predicate(row)) continue;
+      Object.assign(row, clone(values));
+      updated.push(row);
+    }
+    if (updated.length) this.save();
+    return updated;
+  }
+
+  delete(table, predicate) {
+    const removed = [];
+    this.tables[table] = this.rows(table).filter((row) => {
+      if (!predicate(row)) return true;
+      removed.push(row);
+      return false;
+    });
+    if (removed.length) this.save();
+    return removed;
+  }
+}
@@ -0,0 +1,114 @@
+import { diffEpisode, serversChanged } from "./episode-diff.js";
+
+function serverCount(servers) {
+  return (Array.isArray(servers) ? servers : []).filter(
+    (server) => server?.real_video || server?.url,
+  ).length;
+}
+
+// Collects every write a sync run would make so a dry run can report it
+// instead of touching Supabase.
+export class SyncPlan {
+  constructor(meta = {}) {
+    this.meta = meta;
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.seriesToCreate = [];
+    this.episodesToInsert = [];
+    this.episodesToUpdate = [];
+    this.serverChanges = [];
+    this.unchangedEpisodes = 0;
+    this.moviesToSync = [];
+    this.keyRotations = new Map();
+    this.errors = [];
+  }
+
+  addSeries(table, payload) {
+    if (this.seriesToCreate.some((s) => s.slug === payload.slug)) return;
+    this.seriesToCreate.push({
+      table,
+      slug: payload.slug,
+      title: payload.title,
+      tmdb_id: payload.tmdb_id || null,
+    });
+  }
+
+  rotateKey(slug, reason) {
+    if (!slug) return;
+    const entry = this.keyRotations.get(slug) || { slug, reasons: [] };
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+    this.keyRotations.set(slug, entry);
+  }
+
+  addEpisode(existing, payload, changes = diffEpisode(existing, payload)) {
+    const ref = {
+      series_slug: payload.series_slug,
+      season: payload.season,
+      episode: payload.episode,
+      title: payload.title,
+    };
+
+    if (changes.isNew) {
+      this.episodesToInsert.push({ ...ref, servers: serverCount(payload.servers) });
+      return;
+    }
+    if (!changes.changed) {
+      this.unchangedEpisodes++;
+      return;
+    }
+
+    this.episodesToUpdate.push({ ...ref, changes: changes.fields });
+    if (changes.fields.servers) {
+      this.serverChanges.push({ ...ref, ...changes.fields.servers });
+    }
+  }
+
+  // `changes` is diffServers() of the stored and the scraped servers, null
+  // for a movie without a row yet.
+  addMovie(existing, payload, changes) {
+    const action = !existing ? "insert" : serversChanged(changes) ? "update" : "unchanged";
+    this.moviesToSync.push({
+      slug: payload.slug,
+      title: payload.title || existing?.title || payload.slug,
+      action,
+      servers: serverCount(payload.servers),
+      ...(action === "update" ? { serverChanges: changes } : {}),
+    });
+  }
+
+  addError(target, err) {
+    this.errors.push({ target, error: err?.message || String(err) });
+  }
+
+  finish() {
+    this.finishedAt = new Date().toISOString();
+    return this.toJSON();
+  }
+
+  toJSON() {
+    const keyRotations = Array.from(this.keyRotations.values());
+    return {
+      dryRun: true,
+      ...this.meta,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      summary: {
+        seriesToCreate: this.seriesToCreate.length,
+        episodesToInsert: this.episodesToInsert.length,
+        episodesToUpdate: this.episodesToUpdate.length,
+        episodesUnchanged: this.unchangedEpisodes,
+        episodesWithServerChanges: this.serverChanges.length,
+        moviesToSync: this.moviesToSync.filter((movie) => movie.action !== "unchanged").length,
+        keyRotations: keyRotations.length,
+        errors: this.errors.length,
+      },
+      seriesToCreate: this.seriesToCreate,
+      episodesToInsert: this.episodesToInsert,
+      episodesToUpdate: this.episodesToUpdate,
+      serverChanges: this.serverChanges,
+      moviesToSync: this.moviesToSync,
+      keyRotations,
+      errors: this.errors,
+    };
+  }
+}
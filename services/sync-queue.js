@@ -0,0 +1,289 @@
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { randomBytes } from "crypto";
+
+const JOB_STATES = ["queued", "running", "succeeded", "failed"];
+const DEFAULT_QUEUE_FILE = path.join(process.cwd(), "bin", "sync_queue.json");
+
+function createJobId() {
+  return `${Date.now().toString(36)}-${randomBytes(4).toString("hex")}`;
+}
+
+function loadQueueFile(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return Array.isArray(parsed?.jobs) ? parsed.jobs : [];
+  } catch (err) {
+    console.warn(`⚠️ Failed to load sync queue from ${filePath}: ${err.message}`);
+    return [];
+  }
+}
+
+export class SyncQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || process.env.SYNC_QUEUE_FILE || DEFAULT_QUEUE_FILE;
+    this.maxAttempts = Number(options.maxAttempts || process.env.SYNC_JOB_MAX_ATTEMPTS || 3);
+    this.retryDelayMs = Number(options.retryDelayMs || process.env.SYNC_JOB_RETRY_DELAY_MS || 60000);
+    this.historyLimit = Number(options.historyLimit || process.env.SYNC_JOB_HISTORY_LIMIT || 200);
+    this.concurrency = Math.max(1, Number(options.concurrency || 1));
+    this.handlers = new Map();
+    this.jobs = [];
+    this.activeJobIds = new Set();
+    this.wakeTimer = null;
+    this.started = false;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  load() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    this.jobs = loadQueueFile(this.filePath);
+
+    // A job still marked running was interrupted by a restart; its attempt is
+    // closed as failed and the job goes back to the queue.
+    let resumed = 0;
+    for (const job of this.jobs) {
+      if (job.state !== "running") continue;
+      const attempt = job.attempts[job.attempts.length - 1];
+      if (attempt && !attempt.finishedAt) {
+        attempt.finishedAt = new Date().toISOString();
+        attempt.error = "Interrupted by restart";
+      }
+      job.state = "queued";
+      job.runAfter = null;
+      job.updatedAt = new Date().toISOString();
+      resumed++;
+    }
+
+    const pending = this.jobs.filter((job) => job.state === "queued").length;
+    if (pending > 0) {
+      console.log(`📥 Sync queue restored: ${pending} pending job(s) (${resumed} resumed after restart)`);
+    }
+    this.save();
+    return this;
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ jobs: this.jobs }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save sync queue to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  start() {
+    this.started = true;
+    this.schedule();
+    return this;
+  }
+
+  stop() {
+    this.started = false;
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+  }
+
+  enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    // Only a job that has not started yet can absorb a new trigger; a running
+    // job may already be past the point the new trigger cares about. The new
+    // payload wins, except for the `keep` keys the queued job already has
+    // (e.g. the run it reports to).
+    const dedupeKey = options.dedupeKey || null;
+    if (dedupeKey) {
+      const existing = this.jobs.find(
+        (job) => job.dedupeKey === dedupeKey && job.state === "queued",
+      );
+      if (existing) {
+        const kept = (options.keep || []).filter((key) => existing.payload?.[key] !== undefined);
+        existing.payload = {
+          ...existing.payload,
+          ...payload,
+          ...Object.fromEntries(kept.map((key) => [key, existing.payload[key]])),
+        };
+        existing.updatedAt = new Date().toISOString();
+        this.save();
+        return { job: existing, created: false };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: createJobId(),
+      type,
+      state: "queued",
+      payload,
+      dedupeKey,
+      trigger: options.trigger || "manual",
+      parentId: options.parentId || null,
+      maxAttempts: Number(options.maxAttempts || this.maxAttempts),
+      attempts: [],
+      result: null,
+      error: null,
+      runAfter: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.jobs.push(job);
+    this.prune();
+    this.save();
+    this.emit("queued", job);
+    this.schedule();
+    return { job, created: true };
+  }
+
+  get(id) {
+    return this.jobs.find((job) => job.id === id) || null;
+  }
+
+  list(filter = {}) {
+    let jobs = this.jobs;
+    if (filter.state) jobs = jobs.filter((job) => job.state === filter.state);
+    if (filter.type) jobs = jobs.filter((job) => job.type === filter.type);
+    return jobs.slice().reverse();
+  }
+
+  retry(id) {
+    const job = this.get(id);
+    if (!job || job.state !== "failed") return null;
+    job.state = "queued";
+    job.error = null;
+    job.runAfter = null;
+    job.maxAttempts = job.attempts.length + this.maxAttempts;
+    job.updatedAt = new Date().toISOString();
+    this.save();
+    this.schedule();
+    return job;
+  }
+
+  isBusy() {
+    return this.activeJobIds.size > 0 || this.jobs.some((job) => job.state === "queued");
+  }
+
+  getStats() {
+    const counts = Object.fromEntries(JOB_STATES.map((state) => [state, 0]));
+    for (const job of this.jobs) counts[job.state] = (counts[job.state] || 0) + 1;
+    return {
+      ...counts,
+      total: this.jobs.length,
+      activeJobIds: Array.from(this.activeJobIds),
+      concurrency: this.concurrency,
+    };
+  }
+
+  prune() {
+    const finished = this.jobs.filter(
+      (job) => job.state === "succeeded" || job.state === "failed",
+    );
+    if (finished.length <= this.historyLimit) return;
+    const drop = new Set(
+      finished.slice(0, finished.length - this.historyLimit).map((job) => job.id),
+    );
+    this.jobs = this.jobs.filter((job) => !drop.has(job.id));
+  }
+
+  nextRunnableJob() {
+    const now = Date.now();
+    // Two jobs with the same dedupe key (e.g. the same series) never overlap.
+    const runningKeys = new Set(
+      this.jobs
+        .filter((job) => job.state === "running" && job.dedupeKey)
+        .map((job) => job.dedupeKey),
+    );
+    return this.jobs.find(
+      (job) =>
+        job.state === "queued" &&
+        (!job.dedupeKey || !runningKeys.has(job.dedupeKey)) &&
+        (!job.runAfter || new Date(job.runAfter).getTime() <= now),
+    );
+  }
+
+  schedule() {
+    if (!this.started) return;
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+
+    while (this.activeJobIds.size < this.concurrency) {
+      const job = this.nextRunnableJob();
+      if (!job) break;
+      this.runJob(job);
+    }
+    if (this.activeJobIds.size >= this.concurrency) return;
+
+    const waiting = this.jobs
+      .filter((j) => j.state === "queued" && j.runAfter)
+      .map((j) => new Date(j.runAfter).getTime());
+    if (waiting.length > 0) {
+      const wait = Math.max(Math.min(...waiting) - Date.now(), 0);
+      this.wakeTimer = setTimeout(() => {
+        this.wakeTimer = null;
+        this.schedule();
+      }, wait);
+    }
+  }
+
+  async runJob(job) {
+    if (job.state !== "queued") return;
+    this.activeJobIds.add(job.id);
+
+    const attempt = { number: job.attempts.length + 1, startedAt: new Date().toISOString(), finishedAt: null, error: null };
+    job.attempts.push(attempt);
+    job.state = "running";
+    job.updatedAt = attempt.startedAt;
+    this.save();
+    this.emit("started", job);
+
+    const handler = this.handlers.get(job.type);
+    const ctx = {
+      job,
+      log: (message) => this.emit("progress", job, message),
+      enqueue: (type, payload, options = {}) =>
+        this.enqueue(type, payload, { trigger: job.trigger, parentId: job.id, ...options }),
+    };
+
+    try {
+      if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+      job.result = (await handler(job.payload, ctx)) ?? null;
+      job.state = "succeeded";
+      job.error = null;
+    } catch (err) {
+      attempt.error = err?.message || String(err);
+      job.error = attempt.error;
+      if (job.attempts.length < job.maxAttempts) {
+        const delayMs = this.retryDelayMs * job.attempts.length;
+        job.state = "queued";
+        job.runAfter = new Date(Date.now() + delayMs).toISOString();
+        console.warn(
+          `⚠️ Job ${job.type} ${job.id} failed (attempt ${job.attempts.length}/${job.maxAttempts}), retrying in ${Math.round(delayMs / 1000)}s: ${job.error}`,
+        );
+      } else {
+        job.state = "failed";
+        console.error(`❌ Job ${job.type} ${job.id} failed after ${job.attempts.length} attempt(s): ${job.error}`);
+      }
+    } finally {
+      attempt.finishedAt = new Date().toISOString();
+      job.updatedAt = attempt.finishedAt;
+      this.activeJobIds.delete(job.id);
+      this.save();
+      this.emit(job.state === "queued" ? "retrying" : "finished", job);
+      this.schedule();
+    }
+  }
+}
+
+export default SyncQueue;
@@ -0,0 +1,265 @@
+import fs from "fs";
+import path from "path";
+import { randomBytes } from "crypto";
+
+const DEFAULT_RUNS_FILE = path.join(process.cwd(), "bin", "sync_runs.json");
+const SKIP_SAMPLE_LIMIT = 50;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "unknown";
+  }
+}
+
+function episodeRef(ref = {}) {
+  return {
+    series_slug: ref.series_slug || ref.seriesSlug || null,
+    season: ref.season ?? null,
+    episode: ref.episode ?? null,
+    url: ref.url || null,
+  };
+}
+
+export class SyncRunReport {
+  constructor({ id, trigger = "manual", type = "home", meta = {} } = {}) {
+    this.id = id || `${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+    this.trigger = trigger;
+    this.type = type;
+    this.meta = meta;
+    this.status = "running";
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.series = new Map();
+    this.episodes = { new: [], updated: [], failed: [] };
+    this.movies = [];
+    this.unchanged = 0;
+    this.skipped = { total: 0, byReason: {}, samples: [] };
+    this.httpErrors = {};
+    this.errors = [];
+  }
+
+  touchSeries(slug, title) {
+    if (!slug) return null;
+    if (!this.series.has(slug)) {
+      this.series.set(slug, { slug, title: title || slug, new: 0, updated: 0, failed: 0, skipped: 0, error: null });
+    } else if (title) {
+      this.series.get(slug).title = title;
+    }
+    return this.series.get(slug);
+  }
+
+  recordNew(ref) {
+    this.episodes.new.push(episodeRef(ref));
+    const series = this.touchSeries(ref.series_slug);
+    if (series) series.new++;
+  }
+
+  recordUpdated(ref, fields) {
+    this.episodes.updated.push({ ...episodeRef(ref), fields });
+    const series = this.touchSeries(ref.series_slug);
+    if (series) series.updated++;
+  }
+
+  recordUnchanged(ref) {
+    this.unchanged++;
+    this.skip("unchanged", ref);
+  }
+
+  recordFailed(ref, err) {
+    this.episodes.failed.push({ ...episodeRef(ref), reason: err?.message || String(err) });
+    const series = this.touchSeries(ref.series_slug);
+    if (series) series.failed++;
+  }
+
+  // Movies have no season/episode, so they are listed on their own with
+  // their outcome: new, updated (with the changed fields), unchanged or
+  // failed (with the reason).
+  recordMovie(ref, outcome, detail = null) {
+    const entry = { slug: ref.slug || null, title: ref.title || ref.slug || null, url: ref.url || null, outcome };
+    if (outcome === "updated") entry.fields = detail;
+    if (outcome === "failed") entry.reason = detail?.message || String(detail);
+    this.movies.push(entry);
+  }
+
+  skip(reason, ref = {}) {
+    this.skipped.total++;
+    this.skipped.byReason[reason] = (this.skipped.byReason[reason] || 0) + 1;
+    if (this.skipped.samples.length < SKIP_SAMPLE_LIMIT) {
+      this.skipped.samples.push({ ...episodeRef(ref), reason });
+    }
+    const series = this.touchSeries(ref.series_slug);
+    if (series) series.skipped++;
+  }
+
+  recordSeriesError(slug, err) {
+    const series = this.touchSeries(slug);
+    if (series) series.error = err?.message || String(err);
+  }
+
+  recordHttpError(url, err) {
+    const host = hostOf(url);
+    const entry = this.httpErrors[host] || { count: 0, byStatus: {}, lastError: null, lastUrl: null };
+    const status = err?.response?.status || err?.code || "error";
+    entry.count++;
+    entry.byStatus[status] = (entry.byStatus[status] || 0) + 1;
+    entry.lastError = err?.message || String(err);
+    entry.lastUrl = url;
+    this.httpErrors[host] = entry;
+  }
+
+  recordError(err) {
+    this.errors.push(err?.message || String(err));
+  }
+
+  // A series whose job failed outright counts like a failed episode: the run
+  // is partial, or failed when nothing else in it got through.
+  finish(status) {
+    this.finishedAt = new Date().toISOString();
+    const series = Array.from(this.series.values());
+    const failedSeries = series.filter((entry) => entry.error).length;
+    const failedMovies = this.movies.filter((movie) => movie.outcome === "failed").length;
+    const succeeded =
+      series.some((entry) => !entry.error) ||
+      this.episodes.new.length > 0 ||
+      this.episodes.updated.length > 0 ||
+      this.movies.length > failedMovies;
+    if (status) this.status = status;
+    else if (this.errors.length > 0) this.status = "failed";
+    else if (failedSeries > 0 && !succeeded) this.status = "failed";
+    else if (this.episodes.failed.length > 0 || failedMovies > 0 || failedSeries > 0) this.status = "partial";
+    else this.status = "succeeded";
+    return this;
+  }
+
+  getSummary() {
+    const finished = this.finishedAt ? new Date(this.finishedAt).getTime() : Date.now();
+    return {
+      seriesTouched: this.series.size,
+      failedSeries: Array.from(this.series.values()).filter((entry) => entry.error).length,
+      newEpisodes: this.episodes.new.length,
+      updatedEpisodes: this.episodes.updated.length,
+      unchangedEpisodes: this.unchanged,
+      failedEpisodes: this.episodes.failed.length,
+      newMovies: this.movies.filter((movie) => movie.outcome === "new").length,
+      updatedMovies: this.movies.filter((movie) => movie.outcome === "updated").length,
+      failedMovies: this.movies.filter((movie) => movie.outcome === "failed").length,
+      skippedEpisodes: this.skipped.total,
+      httpErrors: Object.values(this.httpErrors).reduce((sum, e) => sum + e.count, 0),
+      durationMs: finished - new Date(this.startedAt).getTime(),
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      trigger: this.trigger,
+      type: this.type,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      meta: this.meta,
+      summary: this.getSummary(),
+      series: Array.from(this.series.values()),
+      episodes: this.episodes,
+      movies: this.movies,
+      skipped: this.skipped,
+      httpErrors: this.httpErrors,
+      errors: this.errors,
+    };
+  }
+}
+
+// Keeps the most recent run reports in bin/sync_runs.json and, when
+// SYNC_RUNS_TABLE is set, mirrors every finished run into that Supabase table.
+export class RunStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SYNC_RUNS_FILE || DEFAULT_RUNS_FILE;
+    this.historyLimit = Number(options.historyLimit || process.env.SYNC_RUNS_HISTORY_LIMIT || 100);
+    this.supabase = options.supabase || null;
+    this.table = options.table ?? process.env.SYNC_RUNS_TABLE ?? null;
+    this.active = new Map();
+    this.runs = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      return Array.isArray(parsed?.runs) ? parsed.runs : [];
+    } catch (err) {
+      console.warn(`⚠️ Failed to load sync runs from ${this.filePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ runs: this.runs }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save sync runs to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  getActive(id) {
+    return this.active.get(id) || null;
+  }
+
+  start(report) {
+    this.active.set(report.id, report);
+    return report;
+  }
+
+  async complete(report) {
+    this.active.delete(report.id);
+    const record = report.toJSON();
+    this.runs = this.runs.filter((run) => run.id !== record.id);
+    this.runs.push(record);
+    if (this.runs.length > this.historyLimit) {
+      this.runs = this.runs.slice(this.runs.length - this.historyLimit);
+    }
+    this.save();
+
+    if (this.supabase && this.table) {
+      const { error } = await this.supabase.from(this.table).upsert(
+        {
+          id: record.id,
+          trigger: record.trigger,
+          type: record.type,
+          status: record.status,
+          started_at: record.startedAt,
+          finished_at: record.finishedAt,
+          summary: record.summary,
+          report: record,
+        },
+        { onConflict: "id" },
+      );
+      if (error) {
+        console.warn(`⚠️ Failed to store sync run ${record.id} in ${this.table}: ${error.message}`);
+      }
+    }
+    return record;
+  }
+
+  list() {
+    const active = Array.from(this.active.values()).map((report) => report.toJSON());
+    return [...active, ...this.runs.slice().reverse()];
+  }
+
+  async get(id) {
+    if (this.active.has(id)) return this.active.get(id).toJSON();
+    const local = this.runs.find((run) => run.id === id);
+    if (local || !this.supabase || !this.table) return local || null;
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select("report")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    return data?.report || null;
+  }
+}
@@ -0,0 +1,100 @@
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_STATE_FILE = path.join(process.cwd(), "bin", "tmdb_review.json");
+const CANDIDATE_LIMIT = 5;
+const CLOSED_LIMIT = 200;
+
+// Series and movie rows whose TMDB search had no candidate confident enough
+// to take (services/tmdb/tmdb-match.js). Each entry keeps the scored
+// candidates until someone picks the right TMDB id or dismisses it.
+// Entries are keyed by table and slug, so searching the same row again
+// replaces its pending entry.
+export class TmdbReviewQueue {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.TMDB_REVIEW_FILE || DEFAULT_STATE_FILE;
+    this.entries = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      return Array.isArray(parsed?.entries) ? parsed.entries : [];
+    } catch (err) {
+      console.warn(`⚠️ Failed to load TMDB review queue from ${this.filePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save TMDB review queue to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  // { table, slug, title, source, candidates } -> the pending entry.
+  add({ table, slug, title, source, candidates }) {
+    const now = new Date().toISOString();
+    const id = `${table}:${slug}`;
+    const entry = {
+      id,
+      table,
+      type: table === "movies" ? "movie" : "tv",
+      slug,
+      title,
+      source,
+      candidates: (candidates || []).slice(0, CANDIDATE_LIMIT),
+      status: "pending",
+      createdAt: this.get(id)?.status === "pending" ? this.get(id).createdAt : now,
+      updatedAt: now,
+      resolvedTmdbId: null,
+      resolvedBy: null,
+    };
+    this.entries = [...this.entries.filter((existing) => existing.id !== id), entry];
+    this.trim();
+    this.save();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) || null;
+  }
+
+  list({ status = "pending" } = {}) {
+    return this.entries.filter((entry) => !status || entry.status === status);
+  }
+
+  resolve(id, { tmdbId, actor }) {
+    return this.close(id, { status: "resolved", resolvedTmdbId: tmdbId, resolvedBy: actor?.name || null });
+  }
+
+  dismiss(id, { actor }) {
+    return this.close(id, { status: "dismissed", resolvedBy: actor?.name || null });
+  }
+
+  close(id, changes) {
+    const entry = this.get(id);
+    if (!entry) return null;
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    this.trim();
+    this.save();
+    return entry;
+  }
+
+  // Keeps every pending entry and the most recent closed ones.
+  trim() {
+    const closed = this.entries.filter((entry) => entry.status !== "pending");
+    if (closed.length <= CLOSED_LIMIT) return;
+    const drop = new Set(closed.slice(0, closed.length - CLOSED_LIMIT).map((entry) => entry.id));
+    this.entries = this.entries.filter((entry) => !drop.has(entry.id));
+  }
+
+  summary() {
+    return { pending: this.list().length };
+  }
+}
@@ -0,0 +1,278 @@
+import axios from "axios";
+import { ResponseCache } from "./response-cache.js";
+import { TokenBucket } from "../concurrency.js";
+
+const TMDB_BASE_URL = "https://api.themoviedb.org/3";
+const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/original";
+const TVDB_BASE_URL = "https://api4.thetvdb.com/v4";
+const TVDB_ARTWORK_BASE = "https://artworks.thetvdb.com";
+const TVDB_MAX_PAGES = 20;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// No answer and server errors are worth another attempt; anything else
+// (bad key, missing resource) will not change. 429s have their own budget,
+// see withRetries.
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status >= 500;
+}
+
+// A 429's Retry-After in ms (seconds or an HTTP date), or null without one.
+export function retryAfterMs(err) {
+  const header = err.response?.headers?.["retry-after"];
+  if (header === undefined || header === null || header === "") return null;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : null;
+}
+
+function limiterFromEnv(prefix, defaults) {
+  return new TokenBucket({
+    ratePerSecond: Number(process.env[`${prefix}_RATE_PER_SECOND`] || defaults.ratePerSecond),
+    capacity: Number(process.env[`${prefix}_RATE_BURST`] || defaults.capacity),
+  });
+}
+
+function tmdbImage(filePath) {
+  return filePath ? `${TMDB_IMAGE_BASE}${filePath}` : null;
+}
+
+function imageList(primary, images) {
+  const list = primary ? [tmdbImage(primary)] : [];
+  for (const image of images?.slice(0, 5) || []) {
+    const src = tmdbImage(image.file_path);
+    if (!list.includes(src)) list.push(src);
+  }
+  return list;
+}
+
+// One shape for TMDB series and movie details, named like the series and
+// movies columns they end up in.
+export function shapeDetails(data, type = "tv") {
+  const posters = imageList(data.poster_path, data.images?.posters);
+  const backdrops = imageList(data.backdrop_path, data.images?.backdrops);
+  const releaseDate = data.first_air_date || data.release_date || null;
+  return {
+    tmdb_id: data.id,
+    type,
+    tvdb_id: data.external_ids?.tvdb_id || null,
+    title: data.name || data.title || null,
+    original_title: data.original_name || data.original_title || null,
+    original_language: data.original_language || null,
+    description: data.overview || null,
+    poster: posters[0] || null,
+    banner_image: backdrops[0] || null,
+    posters,
+    backdrops,
+    rating: data.vote_average ? parseFloat(data.vote_average.toFixed(2)) : null,
+    popularity: data.popularity ? parseFloat(data.popularity.toFixed(3)) : null,
+    status: data.status || null,
+    genres: data.genres?.map((genre) => genre.name) || [],
+    studios: data.production_companies?.map((company) => company.name) || [],
+    release_date: releaseDate,
+    year: releaseDate ? parseInt(releaseDate.slice(0, 4), 10) : null,
+    total_seasons: data.number_of_seasons || null,
+    total_episodes: data.number_of_episodes || null,
+    runtime: data.runtime || null,
+  };
+}
+
+// TMDB and TVDB lookups for the sync and the dashboard. Every GET goes
+// through the response cache under its resource (see RESOURCE_TTL_HOURS)
+// and is retried with exponential backoff; a 404 is cached as null, other
+// lookups that still fail return null (or an empty list) uncached so
+// callers fall back to scraped metadata. Without TMDB_API_KEY / TVDB_API_KEY the
+// respective API is skipped.
+//
+// Requests that miss the cache wait for a token from their API's bucket, so
+// bulk routes and the sync are paced together. A 429 pauses that bucket for
+// its Retry-After and the request is queued again; it is only given up after
+// `rateLimitRetries` such answers.
+export class MetadataService {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey ?? process.env.TMDB_API_KEY;
+    this.tvdbApiKey = options.tvdbApiKey ?? process.env.TVDB_API_KEY;
+    this.http = options.http || axios;
+    this.cache = options.cache || new ResponseCache();
+    this.retries = options.retries ?? Number(process.env.METADATA_RETRIES || 3);
+    this.retryDelayMs = options.retryDelayMs ?? Number(process.env.METADATA_RETRY_DELAY_MS || 500);
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.rateLimitRetries = options.rateLimitRetries ?? Number(process.env.METADATA_RATE_LIMIT_RETRIES || 5);
+    this.limiters = {
+      tmdb: options.tmdbLimiter || limiterFromEnv("TMDB", { ratePerSecond: 10, capacity: 20 }),
+      tvdb: options.tvdbLimiter || limiterFromEnv("TVDB", { ratePerSecond: 5, capacity: 10 }),
+    };
+    this.tvdbToken = null;
+  }
+
+  // Runs `request` whenever `limiter` has a token. 429s are counted apart
+  // from other failures: they wait for Retry-After (or the backoff) with the
+  // whole bucket paused.
+  async withRetries(label, limiter, request) {
+    let throttled = 0;
+    for (let attempt = 1; ; ) {
+      try {
+        return await limiter.schedule(request);
+      } catch (err) {
+        const status = err.response?.status;
+        if (status === 404) return null;
+        if (status === 429 && throttled < this.rateLimitRetries) {
+          throttled++;
+          const wait = retryAfterMs(err) ?? this.retryDelayMs * 2 ** (throttled - 1);
+          console.warn(`⏳ ${label} rate limited, retrying in ${Math.ceil(wait / 1000)}s`);
+          limiter.pause(wait);
+          continue;
+        }
+        if (attempt >= this.retries || !isRetryable(err)) {
+          console.warn(`⚠️ ${label} failed: ${err.message}`);
+          return null;
+        }
+        await delay(this.retryDelayMs * 2 ** (attempt - 1));
+        attempt++;
+      }
+    }
+  }
+
+  async cachedGet(resource, service, url, endpoint, params, headers) {
+    const key = this.cache.key(service, endpoint, params);
+    const cached = this.cache.get(key, resource);
+    if (cached !== undefined) return cached;
+
+    let notFound = false;
+    const data = await this.withRetries(`${service.toUpperCase()} ${endpoint}`, this.limiters[service], async () => {
+      try {
+        const res = await this.http.get(url, { params, headers, timeout: this.timeoutMs });
+        return res.data;
+      } catch (err) {
+        notFound = err.response?.status === 404;
+        throw err;
+      }
+    });
+    if (notFound || (data !== null && data !== undefined)) this.cache.set(key, data ?? null, resource);
+    return data ?? null;
+  }
+
+  async tmdbGet(resource, endpoint, params = {}) {
+    if (!this.apiKey) return null;
+    return this.cachedGet(resource, "tmdb", `${TMDB_BASE_URL}${endpoint}`, endpoint, {
+      ...params,
+      api_key: this.apiKey,
+      language: "en-US",
+    });
+  }
+
+  async tvdbLogin() {
+    if (this.tvdbToken) return this.tvdbToken;
+    if (!this.tvdbApiKey) return null;
+    const res = await this.withRetries("TVDB login", this.limiters.tvdb, () =>
+      this.http.post(
+        `${TVDB_BASE_URL}/login`,
+        { apikey: this.tvdbApiKey },
+        { headers: { "Content-Type": "application/json" }, timeout: this.timeoutMs },
+      ),
+    );
+    this.tvdbToken = res?.data?.data?.token || null;
+    return this.tvdbToken;
+  }
+
+  async tvdbGet(resource, endpoint, params = {}) {
+    const token = await this.tvdbLogin();
+    if (!token) return null;
+    return this.cachedGet(resource, "tvdb", `${TVDB_BASE_URL}${endpoint}`, endpoint, params, {
+      Authorization: `Bearer ${token}`,
+    });
+  }
+
+  async search(query, type = "tv") {
+    return (await this.tmdbGet("search", `/search/${type}`, { query }))?.results || [];
+  }
+
+  async getDetails(tmdbId, type = "tv") {
+    if (!tmdbId) return null;
+    const data = await this.tmdbGet("details", `/${type}/${tmdbId}`, { append_to_response: "images,external_ids" });
+    return data ? shapeDetails(data, type) : null;
+  }
+
+  // Same request as getDetails, so the two share one cache entry.
+  async getSeasons(tmdbId, type = "tv") {
+    if (!tmdbId) return [];
+    const data = await this.tmdbGet("details", `/${type}/${tmdbId}`, { append_to_response: "images,external_ids" });
+    return data?.seasons || [];
+  }
+
+  async getSeasonEpisodes(tmdbId, seasonNum) {
+    if (!tmdbId) return [];
+    return (await this.tmdbGet("seasons", `/tv/${tmdbId}/season/${seasonNum}`))?.episodes || [];
+  }
+
+  async getEpisode(tmdbId, seasonNum, episodeNum) {
+    if (!tmdbId) return null;
+    return await this.tmdbGet("stills", `/tv/${tmdbId}/season/${seasonNum}/episode/${episodeNum}`);
+  }
+
+  async fetchEpisodeTitle(tmdbId, seasonNum, episodeNum) {
+    return (await this.getEpisode(tmdbId, seasonNum, episodeNum))?.name || `Episode ${episodeNum}`;
+  }
+
+  // The season list has every still in one request; the episode endpoint is
+  // only asked when the list has none for this episode.
+  async fetchEpisodeImage(tmdbId, seasonNum, episodeNum) {
+    const episodes = await this.getSeasonEpisodes(tmdbId, seasonNum);
+    const listed = episodes.find((ep) => ep.episode_number === Number(episodeNum));
+    if (listed?.still_path) return tmdbImage(listed.still_path);
+    return tmdbImage((await this.getEpisode(tmdbId, seasonNum, episodeNum))?.still_path);
+  }
+
+  async tvdbSeriesId(title) {
+    if (!title) return null;
+    return (await this.tvdbGet("tvdbSearch", "/search", { query: title, type: "series" }))?.data?.[0]?.tvdb_id || null;
+  }
+
+  // TVDB lists a series' episodes in pages of 500; pages are read (and
+  // cached) in order until the episode turns up or there is no next page.
+  async tvdbEpisodeImage(tvdbId, seasonNum, episodeNum) {
+    if (!tvdbId) return null;
+    for (let page = 0; page < TVDB_MAX_PAGES; page++) {
+      const data = await this.tvdbGet("tvdbEpisodes", `/series/${tvdbId}/episodes/default`, { page });
+      const ep = (data?.data?.episodes || []).find(
+        (e) => e.seasonNumber === Number(seasonNum) && e.number === Number(episodeNum),
+      );
+      if (ep) return ep.image ? (ep.image.startsWith("http") ? ep.image : `${TVDB_ARTWORK_BASE}${ep.image}`) : null;
+      if (!data?.links?.next) return null;
+    }
+    return null;
+  }
+
+  // An episode still from TMDB, else from TVDB: the series' TVDB id from
+  // TMDB's external ids, else a TVDB search for the TMDB title and then each
+  // of `titles`. Returns { url, source } with source "tmdb:<id>" or "tvdb".
+  async findEpisodeImage({ tmdbId = null, titles = [], season, episode }) {
+    let details = null;
+    if (tmdbId) {
+      const url = await this.fetchEpisodeImage(tmdbId, season, episode);
+      if (url) return { url, source: `tmdb:${tmdbId}` };
+      details = await this.getDetails(tmdbId, "tv");
+    }
+
+    const tried = new Set();
+    const tryTvdb = async (tvdbId) => {
+      if (!tvdbId || tried.has(tvdbId)) return null;
+      tried.add(tvdbId);
+      return await this.tvdbEpisodeImage(tvdbId, season, episode);
+    };
+    let url = await tryTvdb(details?.tvdb_id);
+    for (const title of new Set([details?.title, ...titles].filter(Boolean))) {
+      if (url) break;
+      url = await tryTvdb(await this.tvdbSeriesId(title));
+    }
+    return url ? { url, source: "tvdb" } : { url: null, source: null };
+  }
+
+  limiterStats() {
+    return { tmdb: this.limiters.tmdb.getStats(), tvdb: this.limiters.tvdb.getStats() };
+  }
+}
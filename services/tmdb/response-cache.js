@@ -0,0 +1,188 @@
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_CACHE_FILE = path.join(process.cwd(), "bin", "metadata_cache.json");
+const DEFAULT_TTL_HOURS = 24;
+const SAVE_DELAY_MS = 1000;
+
+// Hours each kind of response is used before it is fetched again. Details
+// and stills rarely change; season lists grow while a show airs; a TVDB
+// series id never changes.
+export const RESOURCE_TTL_HOURS = {
+  search: 24,
+  details: 168,
+  seasons: 24,
+  stills: 168,
+  tvdbSearch: 720,
+  tvdbEpisodes: 24,
+};
+
+// "details=72,seasons=6" -> { details: 72, seasons: 6 }. Unknown resources
+// and values that are not a number of hours are ignored.
+export function parseTtls(value) {
+  const ttls = {};
+  for (const pair of String(value || "").split(",")) {
+    const [name, hours] = pair.split("=").map((part) => part.trim());
+    if (name in RESOURCE_TTL_HOURS && hours !== "" && Number(hours) >= 0) ttls[name] = Number(hours);
+  }
+  return ttls;
+}
+
+// TMDB/TVDB responses by endpoint and params, kept on disk so a restart does
+// not re-download every series, season and episode. Each entry records its
+// resource, which decides how long it stays fresh. Writes are batched: a
+// burst of lookups during a sync is saved once, a second after it started.
+export class ResponseCache {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.METADATA_CACHE_FILE || DEFAULT_CACHE_FILE;
+    const ttlHours = Number(options.ttlHours ?? process.env.METADATA_CACHE_TTL_HOURS ?? DEFAULT_TTL_HOURS);
+    this.defaultTtlHours = Number.isFinite(ttlHours) && ttlHours >= 0 ? ttlHours : DEFAULT_TTL_HOURS;
+    this.ttlHours = {
+      ...RESOURCE_TTL_HOURS,
+      ...parseTtls(process.env.METADATA_CACHE_TTLS),
+      ...(options.ttls || {}),
+    };
+    this.entries = this.load();
+    this.counters = {};
+    this.saveTimer = null;
+    this.saveOnExit = () => this.save();
+    this.purge({ expired: true });
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return {};
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      return parsed?.entries && typeof parsed.entries === "object" ? parsed.entries : {};
+    } catch (err) {
+      console.warn(`⚠️ Failed to load metadata cache from ${this.filePath}: ${err.message}`);
+      return {};
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    process.removeListener("exit", this.saveOnExit);
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }));
+    } catch (err) {
+      console.warn(`⚠️ Failed to save metadata cache to ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  // The timer does not keep the process alive; a pending write is flushed
+  // when the process exits instead.
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+    process.once("exit", this.saveOnExit);
+  }
+
+  // "tmdb:/tv/1399?language=en-US": params sorted, credentials left out.
+  key(service, endpoint, params = {}) {
+    const query = Object.keys(params)
+      .filter((name) => name !== "api_key" && params[name] !== undefined && params[name] !== null)
+      .sort()
+      .map((name) => `${name}=${params[name]}`)
+      .join("&");
+    return `${service}:${endpoint}${query ? `?${query}` : ""}`;
+  }
+
+  // Entries written before resources were recorded count as "other".
+  resourceOf(entry) {
+    return entry.resource || "other";
+  }
+
+  ttlMs(resource) {
+    return (this.ttlHours[resource] ?? this.defaultTtlHours) * 3600 * 1000;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return now - entry.storedAt > this.ttlMs(this.resourceOf(entry));
+  }
+
+  count(resource, counter) {
+    this.counters[resource] ||= { hits: 0, misses: 0, writes: 0 };
+    this.counters[resource][counter]++;
+  }
+
+  // The cached value, or undefined when there is none or it expired. A
+  // cached null is a remembered "not found".
+  get(key, resource = "other") {
+    const entry = this.entries[key];
+    if (entry && this.isExpired(entry)) {
+      delete this.entries[key];
+      this.scheduleSave();
+    } else if (entry) {
+      this.count(this.resourceOf(entry), "hits");
+      return entry.value;
+    }
+    this.count(resource, "misses");
+    return undefined;
+  }
+
+  set(key, value, resource = "other") {
+    this.entries[key] = { resource, storedAt: Date.now(), value };
+    this.count(resource, "writes");
+    this.scheduleSave();
+  }
+
+  // Removes entries of one `resource` (or all), only expired ones with
+  // `expired`, and only keys containing `match`. Returns how many went.
+  purge({ resource = null, expired = false, match = null } = {}) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (resource && this.resourceOf(entry) !== resource) continue;
+      if (expired && !this.isExpired(entry, now)) continue;
+      if (match && !key.includes(match)) continue;
+      delete this.entries[key];
+      removed++;
+    }
+    if (removed) this.scheduleSave();
+    return removed;
+  }
+
+  // Entries, TTL and oldest entry per resource, with hits, misses and
+  // writes since the process started.
+  stats() {
+    const resources = {};
+    const resourceStats = (name) =>
+      (resources[name] ||= {
+        entries: 0,
+        ttlHours: this.ttlHours[name] ?? this.defaultTtlHours,
+        oldest: null,
+        hits: 0,
+        misses: 0,
+        writes: 0,
+      });
+    for (const name of Object.keys(this.ttlHours)) resourceStats(name);
+    for (const entry of Object.values(this.entries)) {
+      const stats = resourceStats(this.resourceOf(entry));
+      stats.entries++;
+      const storedAt = new Date(entry.storedAt).toISOString();
+      if (!stats.oldest || storedAt < stats.oldest) stats.oldest = storedAt;
+    }
+    for (const [name, counters] of Object.entries(this.counters)) Object.assign(resourceStats(name), counters);
+
+    const totals = Object.values(resources).reduce(
+      (sum, stats) => ({
+        entries: sum.entries + stats.entries,
+        hits: sum.hits + stats.hits,
+        misses: sum.misses + stats.misses,
+      }),
+      { entries: 0, hits: 0, misses: 0 },
+    );
+    const lookups = totals.hits + totals.misses;
+    return {
+      file: this.filePath,
+      ...totals,
+      hitRate: lookups ? parseFloat((totals.hits / lookups).toFixed(3)) : null,
+      resources,
+    };
+  }
+}
@@ -0,0 +1,170 @@
+// Picks the TMDB result a title really refers to instead of trusting
+// results[0]. Every candidate gets a 0..1 score from these signals, each
+// weighted and averaged over the signals that could be checked:
+//
+//   title       similarity to the searched title(s), original title included
+//   year        release year against the source's year (exact 1, off by one 0.5)
+//   animation   TMDB's Animation genre
+//   language    original language is one of TMDB_MATCH_LANGUAGES
+//   episodes    TMDB seasons/episodes cover what the source lists
+//
+// The best candidate is taken when it scores at least TMDB_MATCH_MIN_CONFIDENCE;
+// otherwise the scored candidates go to the review queue.
+
+const WEIGHTS = { title: 0.5, year: 0.15, animation: 0.15, language: 0.1, episodes: 0.1 };
+const ANIMATION_GENRE_ID = 16;
+const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/w342";
+
+export const DEFAULT_MIN_CONFIDENCE = 0.8;
+export const DEFAULT_MATCH_LANGUAGES = ["ja", "zh", "ko", "en"];
+
+export function matchOptions(env = process.env) {
+  const minConfidence = Number(env.TMDB_MATCH_MIN_CONFIDENCE);
+  const languages = (env.TMDB_MATCH_LANGUAGES || "")
+    .split(",")
+    .map((lang) => lang.trim().toLowerCase())
+    .filter(Boolean);
+  return {
+    minConfidence: Number.isFinite(minConfidence) && minConfidence > 0 ? minConfidence : DEFAULT_MIN_CONFIDENCE,
+    languages: languages.length ? languages : DEFAULT_MATCH_LANGUAGES,
+  };
+}
+
+function normalizeTitle(title) {
+  return String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/½/g, " 1 2 ")
+    .replace(/&/g, " and ")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, "");
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Dice coefficient over character bigrams of the normalized titles.
+export function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let shared = 0;
+  let total = 0;
+  for (const [gram, count] of leftGrams) {
+    shared += Math.min(count, rightGrams.get(gram) || 0);
+    total += count;
+  }
+  for (const count of rightGrams.values()) total += count;
+  return total ? (2 * shared) / total : 0;
+}
+
+function yearOf(date) {
+  const year = parseInt(String(date || "").slice(0, 4), 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+function coverage(have, need) {
+  if (!need) return null;
+  if (!have) return 0;
+  return have >= need ? 1 : have / need;
+}
+
+// Scores one TMDB search result. `details` (optional) is what
+// getDetails() returned for it, needed for the episodes signal.
+// hints: { titles, year, seasons, episodes, languages }
+export function scoreCandidate(result, hints = {}, details = null) {
+  const titles = (hints.titles || []).filter(Boolean);
+  const names = [result.name, result.title, result.original_name, result.original_title].filter(Boolean);
+  const signals = {
+    title: Math.max(0, ...titles.flatMap((title) => names.map((name) => titleSimilarity(title, name)))),
+  };
+
+  const year = yearOf(result.first_air_date || result.release_date);
+  if (hints.year && year) {
+    const diff = Math.abs(hints.year - year);
+    signals.year = diff === 0 ? 1 : diff === 1 ? 0.5 : 0;
+  }
+
+  const genreIds = result.genre_ids || [];
+  const genreNames = details?.genres || [];
+  signals.animation = genreIds.includes(ANIMATION_GENRE_ID) || genreNames.includes("Animation") ? 1 : 0;
+
+  if (result.original_language) {
+    signals.language = (hints.languages || DEFAULT_MATCH_LANGUAGES).includes(result.original_language) ? 1 : 0;
+  }
+
+  if (details) {
+    const checks = [
+      coverage(details.total_seasons, hints.seasons),
+      coverage(details.total_episodes, hints.episodes),
+    ].filter((value) => value !== null);
+    if (checks.length) signals.episodes = checks.reduce((sum, value) => sum + value, 0) / checks.length;
+  }
+
+  let weighted = 0;
+  let weights = 0;
+  for (const [name, value] of Object.entries(signals)) {
+    weighted += WEIGHTS[name] * value;
+    weights += WEIGHTS[name];
+  }
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    tmdbId: result.id,
+    title: result.name || result.title || null,
+    originalTitle: result.original_name || result.original_title || null,
+    year,
+    originalLanguage: result.original_language || null,
+    poster: result.poster_path ? `${TMDB_IMAGE_BASE}${result.poster_path}` : null,
+    score: round(weighted / weights),
+    signals: Object.fromEntries(Object.entries(signals).map(([name, value]) => [name, round(value)])),
+  };
+}
+
+// Scores search results, best first; ties keep TMDB's order. With season or
+// episode hints, the top `detailsFor` candidates are re-scored with their
+// details from `getDetails(id)`. Returns { accepted, best, details,
+// candidates } where `details` belongs to `best` when it was fetched.
+export async function matchTmdbResults(results, hints = {}, { getDetails = null, detailsFor = 3, ...options } = {}) {
+  const { minConfidence, languages } = { ...matchOptions(), ...options };
+  const scoringHints = { languages, ...hints };
+  const rank = (list) =>
+    list
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => b.entry.score - a.entry.score || a.index - b.index)
+      .map(({ entry }) => entry);
+
+  let candidates = rank((results || []).map((result) => scoreCandidate(result, scoringHints)));
+  const detailsById = new Map();
+  if (getDetails && (hints.seasons || hints.episodes)) {
+    for (const candidate of candidates.slice(0, detailsFor)) {
+      const details = await getDetails(candidate.tmdbId);
+      if (details) detailsById.set(candidate.tmdbId, details);
+    }
+    candidates = rank(
+      candidates.map((candidate) => {
+        const result = results.find((entry) => entry.id === candidate.tmdbId);
+        const details = detailsById.get(candidate.tmdbId);
+        return details ? scoreCandidate(result, scoringHints, details) : candidate;
+      }),
+    );
+  }
+
+  const best = candidates[0] || null;
+  return {
+    accepted: Boolean(best && best.score >= minConfidence),
+    best,
+    details: best ? detailsById.get(best.tmdbId) || null : null,
+    candidates,
+  };
+}
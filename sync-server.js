@@ -1,9 +1,35 @@
 import express from "express";
-import cron from "node-cron";
 import path from "path";
 import util from "util";
 import { spawn } from "child_process";
-import { start as runSyncScript, fetchFullSeries } from "./toonstream-supabase-sync.js";
+import { randomBytes } from "crypto";
+import {
+  start as runSyncScript,
+  collectLatest,
+  syncSeriesFromTrigger,
+  syncLatestMovie,
+  fetchFullSeries,
+  fetchFullMovie,
+  printRunSummary,
+  backfillCatalog,
+  backfillProgress,
+  rescrapeEpisodes,
+  runStore,
+  serverHealth,
+  slugAliases,
+  sources,
+  tmdbReview,
+  metadata,
+} from "./toonstream-supabase-sync.js";
+import { SyncRunReport } from "./services/sync-runs.js";
+import { SyncQueue } from "./services/sync-queue.js";
+import { AuthService } from "./services/auth.js";
+import { AuditLog } from "./services/audit-log.js";
+import { Scheduler } from "./services/scheduler.js";
+import { refreshSeriesMetadata } from "./services/metadata-refresh.js";
+import { collectSeriesCoverage } from "./services/coverage-report.js";
+import { normalizeServers, rankServers } from "./services/server-meta.js";
+import { matchTmdbResults } from "./services/tmdb/tmdb-match.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -91,30 +117,71 @@ let syncStatus = {
   totalRuns: 0,
   successfulRuns: 0,
   failedRuns: 0,
-  nextRunTime: null,
+  lastRunId: null,
 };
 
-import { TMDBService } from "./services/tmdb/tmdb-service.js";
-import { createClient } from "@supabase/supabase-js";
+import { createDatabaseClient } from "./services/storage/index.js";
 
-const supabase = createClient(
+const supabase = createDatabaseClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-const supabase2 = createClient(
+const supabase2 = createDatabaseClient(
   process.env.SUPABASE_URL2,
-  process.env.SUPABASE_SERVICE_ROLE_KEY2
+  process.env.SUPABASE_SERVICE_ROLE_KEY2,
+  { name: "iframe" }
 );
 
-const tmdb = new TMDBService(process.env.TMDB_API_KEY);
+const auditLog = new AuditLog({ supabase });
+
+// stream.lastanime.in players wrap an iframe stored in the second database;
+// the health check probes that iframe, since the player page itself always
+// loads.
+serverHealth.addResolver("stream.lastanime.in", async (url) => {
+  const videoId = new URL(url).pathname.split("/").filter(Boolean).pop();
+  const { data, error } = await supabase2.from("iframe").select("iframe_url").eq("video_id", videoId).maybeSingle();
+  if (error) throw new Error(error.message);
+  return data?.iframe_url || null;
+});
+
+// Who, through which route, for AuditLog.track().
+function auditContext(req, action, table) {
+  return { actor: req.user, route: `${req.method} ${req.path}`, action, table };
+}
+
+function episodeKey(seriesSlug, season, episode) {
+  return { series_slug: seriesSlug, season: parseInt(season), episode: parseInt(episode) };
+}
+
+const auth = AuthService.fromEnv();
+if (!auth.enabled) {
+  console.warn("⚠️ AUTH_DISABLED=true: the dashboard and every mutation are open to anyone");
+} else if (!auth.configured) {
+  console.warn("⚠️ No AUTH_USERS or AUTH_TOKENS configured: protected routes will answer 503");
+}
+
+// The telegram listener calls /sync on this server; it gets its own admin
+// token unless SYNC_API_TOKEN is set for a remote trigger URL.
+const TELEGRAM_SYNC_TOKEN = process.env.SYNC_API_TOKEN || randomBytes(24).toString("hex");
+auth.addToken(TELEGRAM_SYNC_TOKEN, "admin", "telegram-listener");
+
+// POSTs under /api that only read.
+const READ_ONLY_API_POSTS = new Set(["/tmdb/search"]);
 
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
 app.use(express.static("public"));
-app.use("/admin", express.static("admin"));
-app.use("/toonstream", express.static("admin/toonstream"));
+auth.mountRoutes(app, path.join(process.cwd(), "admin", "login.html"));
+
+app.use("/admin", auth.requireRole("viewer"), express.static("admin"));
+app.use("/toonstream", auth.requireRole("viewer"), express.static("admin/toonstream"));
+app.use("/api", (req, res, next) => {
+  const readOnly = req.method === "GET" || READ_ONLY_API_POSTS.has(req.path);
+  auth.requireRole(readOnly ? "viewer" : "admin")(req, res, next);
+});
 
-app.get("/logs", (req, res) => {
+app.get("/logs", auth.requireRole("viewer"), (req, res) => {
   res.sendFile(path.join(process.cwd(), "admin", "logs.html"));
 });
 
@@ -192,7 +259,7 @@ app.post("/api/series/add", async (req, res) => {
   let seriesData = manualData;
 
   if (tmdbId) {
-    seriesData = await tmdb.getDetails(tmdbId, type);
+    seriesData = await metadata.getDetails(tmdbId, type);
   }
 
   if (!seriesData) return res.status(400).json({ error: "Failed to get series data" });
@@ -215,7 +282,7 @@ app.post("/api/series/add", async (req, res) => {
     title: seriesData.title,
     description: seriesData.description,
     poster: seriesData.poster,
-    banner_image: seriesData.backdrop,
+    banner_image: seriesData.banner_image || seriesData.backdrop || null,
     rating: seriesData.rating,
     genres: seriesData.genres,
     release_date: seriesData.release_date,
@@ -231,25 +298,21 @@ app.post("/api/series/add", async (req, res) => {
     payload.random_key = Math.random().toString(36).substring(2, 15);
   }
 
-  const { data, error } = await supabase.from(targetTable).upsert(payload, { onConflict: 'slug' }).select().single();
+  const { data, error } = await auditLog.track(
+    supabase,
+    { ...auditContext(req, "series.add", targetTable), key: { slug } },
+    () => supabase.from(targetTable).upsert(payload, { onConflict: 'slug' }).select().single(),
+  );
 
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
-app.post("/api/series/refetch", async (req, res) => {
-  const { id, title, type } = req.body;
-  const isMovie = type === "movie";
-  const targetTable = isMovie ? "movies" : "series";
-  
-  const results = await tmdb.search(title, type || "tv");
-  if (!results.length) return res.status(404).json({ error: "No results found on TMDB" });
-  
-  const details = await tmdb.getDetails(results[0].id, type || "tv");
-  
+// Columns a TMDB match sets on a series or movie row.
+function tmdbRowPayload(details, isMovie) {
   const payload = {
     poster: details.poster,
-    banner_image: details.backdrop,
+    banner_image: details.banner_image,
     description: details.description,
     rating: details.rating,
     genres: details.genres,
@@ -264,26 +327,106 @@ app.post("/api/series/refetch", async (req, res) => {
   } else {
     payload.total_seasons = details.total_seasons;
     payload.total_episodes = details.total_episodes;
-    payload.random_key = Math.random().toString(36).substring(2, 15);
   }
+  return payload;
+}
+
+// How many seasons and episodes of a series the catalog has, to check TMDB
+// candidates against.
+async function catalogEpisodeCounts(slug) {
+  const { data } = await supabase.from("episodes").select("season").eq("series_slug", slug);
+  if (!data?.length) return {};
+  return { seasons: new Set(data.map((row) => row.season)).size, episodes: data.length };
+}
+
+// Without a `tmdbId`, TMDB is searched for `title` and the best candidate is
+// only taken when it is confident enough; otherwise the row goes to the
+// review queue and the response is 202 with the scored candidates.
+app.post("/api/series/refetch", async (req, res) => {
+  const { id, title, type, tmdbId } = req.body;
+  const isMovie = type === "movie";
+  const targetTable = isMovie ? "movies" : "series";
+
+  let details;
+  if (tmdbId) {
+    details = await metadata.getDetails(tmdbId, type || "tv");
+  } else {
+    const results = await metadata.search(title, type || "tv");
+    if (!results.length) return res.status(404).json({ error: "No results found on TMDB" });
+
+    const { data: row } = await supabase.from(targetTable).select("slug").eq("id", id).maybeSingle();
+    if (!row) return res.status(404).json({ error: "Row not found" });
+    const hints = { titles: [title], ...(isMovie ? {} : await catalogEpisodeCounts(row.slug)) };
+    const match = await matchTmdbResults(results, hints, { getDetails: (candidateId) => metadata.getDetails(candidateId, "tv") });
+    if (!match.accepted) {
+      const review = tmdbReview.add({ table: targetTable, slug: row.slug, title, source: "refetch", candidates: match.candidates });
+      return res.status(202).json({ status: "needs_review", review });
+    }
+    details = match.details || (await metadata.getDetails(match.best.tmdbId, type || "tv"));
+  }
+  if (!details) return res.status(502).json({ error: "Failed to load TMDB details" });
+
+  const payload = tmdbRowPayload(details, isMovie);
+  if (!isMovie) payload.random_key = Math.random().toString(36).substring(2, 15);
 
-  const { error } = await supabase.from(targetTable).update(payload).eq("id", id);
+  const { error } = await auditLog.track(
+    supabase,
+    { ...auditContext(req, "series.refetch", targetTable), key: { id } },
+    () => supabase.from(targetTable).update(payload).eq("id", id),
+  );
 
   if (error) return res.status(500).json({ error: error.message });
   res.json({ success: true, details });
 });
 
+app.get("/api/tmdb/review", (req, res) => {
+  const entries = tmdbReview.list({ status: req.query.status === "all" ? null : req.query.status || "pending" });
+  res.json({ entries, total: entries.length });
+});
+
+// Applies the TMDB id picked for a queued row.
+app.post("/api/tmdb/review/:id/resolve", async (req, res) => {
+  const entry = tmdbReview.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: "Review entry not found" });
+  const tmdbId = Number(req.body?.tmdbId);
+  if (!Number.isInteger(tmdbId)) return res.status(400).json({ error: "tmdbId is required" });
+
+  const details = await metadata.getDetails(tmdbId, entry.type);
+  if (!details) return res.status(502).json({ error: "Failed to load TMDB details" });
+
+  const payload = tmdbRowPayload(details, entry.type === "movie");
+  const { error } = await auditLog.track(
+    supabase,
+    { ...auditContext(req, "series.tmdb-review", entry.table), key: { slug: entry.slug } },
+    () => supabase.from(entry.table).update(payload).eq("slug", entry.slug),
+  );
+  if (error) return res.status(500).json({ error: error.message });
+
+  console.log(`🎞️ ${entry.slug} matched to TMDB ${tmdbId} by ${req.user.name}`);
+  res.json(tmdbReview.resolve(entry.id, { tmdbId, actor: req.user }));
+});
+
+app.post("/api/tmdb/review/:id/dismiss", (req, res) => {
+  const entry = tmdbReview.dismiss(req.params.id, { actor: req.user });
+  if (!entry) return res.status(404).json({ error: "Review entry not found" });
+  res.json(entry);
+});
+
 app.post("/api/series/rename", async (req, res) => {
   const { id, newName, type } = req.body;
   const targetTable = type === "movie" ? "movies" : "series";
-  const { error } = await supabase.from(targetTable).update({ title: newName }).eq("id", id);
+  const { error } = await auditLog.track(
+    supabase,
+    { ...auditContext(req, "series.rename", targetTable), key: { id } },
+    () => supabase.from(targetTable).update({ title: newName }).eq("id", id),
+  );
   if (error) return res.status(500).json({ error: error.message });
   res.json({ success: true });
 });
 
 app.post("/api/tmdb/search", async (req, res) => {
   const { query, type } = req.body;
-  const results = await tmdb.search(query, type || "tv");
+  const results = await metadata.search(query, type || "tv");
   res.json(results);
 });
 
@@ -305,31 +448,64 @@ app.post("/api/episodes/refetch-images", async (req, res) => {
 
   const results = [];
   for (const ep of episodes) {
-    let imageUrl = null;
-    
-    // 1. Try TMDB
-    if (tmdbId) {
-      imageUrl = await tmdb.fetchEpisodeImage(tmdbId, ep.season, ep.episode);
-    }
-    
-    // 2. Fallback to TVDB if TMDB fails
-    if (!imageUrl && title) {
-      console.log(`ℹ️ TMDB image missing for S${ep.season}E${ep.episode}, trying TVDB...`);
-      imageUrl = await tmdb.fetchTVDBEpisodeImage(title, ep.season, ep.episode);
-    }
+    // TMDB first, then TVDB (see MetadataService.findEpisodeImage)
+    const { url: imageUrl, source } = await metadata.findEpisodeImage({
+      tmdbId,
+      titles: [title],
+      season: ep.season,
+      episode: ep.episode,
+    });
 
     if (imageUrl) {
-      const { error } = await supabase.from("episodes").update({
-        thumbnail: imageUrl,
-        episode_card_thumbnail: imageUrl,
-        episode_list_thumbnail: imageUrl
-      }).eq("series_slug", slug).eq("season", ep.season).eq("episode", ep.episode);
+      const { error } = await auditLog.track(
+        supabase,
+        { ...auditContext(req, "episodes.refetch-images", "episodes"), key: episodeKey(slug, ep.season, ep.episode) },
+        () => supabase.from("episodes").update({
+          thumbnail: imageUrl,
+          episode_card_thumbnail: imageUrl,
+          episode_list_thumbnail: imageUrl
+        }).eq("series_slug", slug).eq("season", ep.season).eq("episode", ep.episode),
+      );
       
-      if (!error) results.push({ season: ep.season, episode: ep.episode, success: true, source: imageUrl.includes('tmdb') ? 'TMDB' : 'TVDB' });
+      if (!error) results.push({ season: ep.season, episode: ep.episode, success: true, source: source.startsWith('tmdb') ? 'TMDB' : 'TVDB' });
+    } else {
+      results.push({ season: ep.season, episode: ep.episode, success: false, error: "No image on TMDB or TVDB" });
     }
   }
   res.json({ success: true, results });
 });
+// Server metadata an admin can set for the servers a route adds: `language`
+// ("hindi", "English", "sub"...), `subtitles` and `quality`. Anything left
+// out is guessed from the server label and URL.
+function serverHints(body = {}) {
+  return {
+    language: body.language || null,
+    subtitles: typeof body.subtitles === "boolean" ? body.subtitles : undefined,
+    quality: body.quality || null,
+  };
+}
+
+// The servers list an admin route stores: marked manual so later scrapes
+// keep them (see mergeServers), normalized, then ranked the same way the
+// sync ranks scraped servers.
+function buildServers(entries, body) {
+  const manual = entries.map((entry) => ({ ...entry, manual: true }));
+  return rankServers(normalizeServers(manual, serverHints(body)), { statusOf: (url) => serverHealth.statusOf(url) });
+}
+
+// serversRaw lines are either a URL or "Label | URL".
+function parseServerLines(raw) {
+  return (raw || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const split = line.lastIndexOf("|");
+      if (split === -1) return { real_video: line };
+      return { label: line.slice(0, split).trim() || undefined, real_video: line.slice(split + 1).trim() };
+    });
+}
+
 app.post("/api/episodes/bulk-add", async (req, res) => {
   const { seriesSlug, season, episodes } = req.body;
   const episodesToInsert = episodes.map(ep => ({
@@ -337,12 +513,19 @@ app.post("/api/episodes/bulk-add", async (req, res) => {
     season: parseInt(season),
     episode: parseInt(ep.number),
     title: ep.title,
-    servers: [{ name: "Main", url: ep.url }]
+    servers: buildServers([{ real_video: ep.url }], req.body)
   }));
 
-  const { error } = await supabase.from("episodes").upsert(episodesToInsert, {
-    onConflict: 'series_slug,season,episode'
-  });
+  const { error } = await auditLog.trackMany(
+    supabase,
+    {
+      ...auditContext(req, "episodes.bulk-add", "episodes"),
+      keys: episodesToInsert.map((ep) => episodeKey(ep.series_slug, ep.season, ep.episode)),
+    },
+    () => supabase.from("episodes").upsert(episodesToInsert, {
+      onConflict: 'series_slug,season,episode'
+    }),
+  );
 
   if (error) return res.status(500).json({ error: error.message });
   res.json({ success: true });
@@ -357,26 +540,25 @@ app.post("/api/episodes/add-single", async (req, res) => {
   // Fetch title from TMDB if tmdbId is available
   let title = `Episode ${episode}`;
   if (tmdbId) {
-    const tmdbTitle = await tmdb.fetchEpisodeTitle(tmdbId, season, episode);
+    const tmdbTitle = await metadata.fetchEpisodeTitle(tmdbId, season, episode);
     if (tmdbTitle) title = tmdbTitle;
   }
 
-  // Parse server links into the requested format
-  const serverLines = (serversRaw || "").split('\n').map(s => s.trim()).filter(Boolean);
-  const servers = serverLines.map((url, index) => ({
-    option: index + 1,
-    real_video: url
-  }));
+  const servers = buildServers(parseServerLines(serversRaw), req.body);
 
-  const { error } = await supabase.from("episodes").upsert({
-    series_slug: seriesSlug,
-    season: parseInt(season),
-    episode: parseInt(episode),
-    title,
-    servers: servers
-  }, {
-    onConflict: 'series_slug,season,episode'
-  });
+  const { error } = await auditLog.track(
+    supabase,
+    { ...auditContext(req, "episodes.add-single", "episodes"), key: episodeKey(seriesSlug, season, episode) },
+    () => supabase.from("episodes").upsert({
+      series_slug: seriesSlug,
+      season: parseInt(season),
+      episode: parseInt(episode),
+      title,
+      servers: servers
+    }, {
+      onConflict: 'series_slug,season,episode'
+    }),
+  );
 
   if (error) return res.status(500).json({ error: error.message });
   res.json({ success: true, title });
@@ -411,39 +593,44 @@ app.post("/api/episodes/add-special", async (req, res) => {
 
     // 3. Save to Supabase 2 (public.iframe)
     // Updated to only use columns that exist: iframe_url, m3u8_url, video_id, name_title
-    const { error: error2 } = await supabase2.from("iframe").insert({
-      iframe_url: serversRaw.trim(),
-      m3u8_url: m3u8_url,
-      name_title: "Lastanime",
-      video_id: video_id
-    });
+    const { error: error2 } = await auditLog.track(
+      supabase2,
+      { ...auditContext(req, "episodes.add-special", "iframe"), key: { video_id } },
+      () => supabase2.from("iframe").insert({
+        iframe_url: serversRaw.trim(),
+        m3u8_url: m3u8_url,
+        name_title: "Lastanime",
+        video_id: video_id
+      }),
+    );
 
     if (error2) throw new Error("Supabase 2 error: " + error2.message);
 
     // 4. Fetch title from TMDB
     let title = `Episode ${episode}`;
     if (tmdbId) {
-      const tmdbTitle = await tmdb.fetchEpisodeTitle(tmdbId, season, episode);
+      const tmdbTitle = await metadata.fetchEpisodeTitle(tmdbId, season, episode);
       if (tmdbTitle) title = tmdbTitle;
     }
 
     // 5. Save to Supabase 1 with modified URL
     // Format: https://stream.lastanime.in/v/video_id
     const finalUrl = `https://stream.lastanime.in/v/${video_id}`;
-    const servers = [{
-      option: 1,
-      real_video: finalUrl
-    }];
+    const servers = buildServers([{ real_video: finalUrl, label: "Lastanime" }], req.body);
 
-    const { error: error1 } = await supabase.from("episodes").upsert({
-      series_slug: seriesSlug,
-      season: parseInt(season),
-      episode: parseInt(episode),
-      title,
-      servers: servers
-    }, {
-      onConflict: 'series_slug,season,episode'
-    });
+    const { error: error1 } = await auditLog.track(
+      supabase,
+      { ...auditContext(req, "episodes.add-special", "episodes"), key: episodeKey(seriesSlug, season, episode) },
+      () => supabase.from("episodes").upsert({
+        series_slug: seriesSlug,
+        season: parseInt(season),
+        episode: parseInt(episode),
+        title,
+        servers: servers
+      }, {
+        onConflict: 'series_slug,season,episode'
+      }),
+    );
 
     if (error1) throw new Error("Supabase 1 error: " + error1.message);
 
@@ -454,82 +641,584 @@ app.post("/api/episodes/add-special", async (req, res) => {
   }
 });
 
-app.get("/sync", async (req, res) => {
-  if (syncStatus.isRunning) {
-    return res.json({
-      status: "already_running",
-      message: "Sync is already in progress",
-      syncStatus,
-    });
+let dryRunInProgress = false;
+
+app.get("/sync", (req, res, next) => {
+  auth.requireRole(req.query.dryRun === "true" ? "viewer" : "admin")(req, res, next);
+}, async (req, res) => {
+  // A dry run only reads, so it runs inline instead of through the job queue
+  // and answers with the full plan.
+  if (req.query.dryRun === "true") {
+    if (dryRunInProgress) {
+      return res.status(409).json({
+        status: "already_running",
+        message: "A dry run is already in progress",
+      });
+    }
+    dryRunInProgress = true;
+    try {
+      const plan = await runSyncScript({ dryRun: true });
+      return res.json({ status: "planned", plan });
+    } catch (err) {
+      return res.status(500).json({ status: "failed", error: err.message });
+    } finally {
+      dryRunInProgress = false;
+    }
   }
 
+  const { job, created } = runSync(req.query.trigger || "manual");
+
   res.json({
-    status: "triggered",
-    message: "Sync started manually",
+    status: created ? "queued" : "already_queued",
+    message: created
+      ? "Sync queued"
+      : "A sync is already waiting in the queue",
+    jobId: job.id,
+    syncStatus,
   });
-
-  runSync();
 });
 
 app.get("/status", (req, res) => {
+  const { entries, hitRate } = metadata.cache.stats();
   res.json({
-    syncStatus,
+    syncStatus: { ...syncStatus, nextRunTime: scheduler.nextRunAt() },
+    schedules: scheduler.list(),
+    backfill: backfillProgress.toJSON(),
+    tmdbReview: tmdbReview.summary(),
+    metadataCache: { entries, hitRate },
+    metadataLimits: metadata.limiterStats(),
+    queue: syncQueue.getStats(),
+    sources: sources.list().map((source) => ({ name: source.name, homeUrl: source.homeUrl })),
     proxyEnabled: process.env.USE_PROXY === "true",
     pollInterval: process.env.POLL_INTERVAL_MS || "600000",
-    syncIntervalMinutes: 10,
     timestamp: new Date().toISOString(),
   });
 });
 
-async function runSync() {
-  if (syncStatus.isRunning) {
-    console.log("⏭️  Sync already running, skipping...");
-    return;
+app.get("/api/runs", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 20), 1), 100);
+  let runs = runStore.list();
+  if (req.query.status) runs = runs.filter((run) => run.status === req.query.status);
+  if (req.query.trigger) runs = runs.filter((run) => run.trigger === req.query.trigger);
+  res.json({
+    runs: runs.slice(0, limit).map(({ id, trigger, type, status, startedAt, finishedAt, meta, summary }) => ({
+      id,
+      trigger,
+      type,
+      status,
+      startedAt,
+      finishedAt,
+      meta,
+      summary,
+    })),
+    total: runs.length,
+  });
+});
+
+app.get("/api/runs/:id", async (req, res) => {
+  try {
+    const run = await runStore.get(req.params.id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Coverage per series: DB episodes vs. TMDB season lists vs. the source's
+// season API. Both live sides are on by default; `source=false` and
+// `tmdb=false` skip them for a quick DB-only pass over many series.
+app.get("/api/reports/coverage", async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 10), 1), 50);
+  const offset = Math.max(Number(req.query.offset || 0), 0);
+  const options = {
+    db: supabase,
+    tmdb: metadata,
+    sources,
+    checkSource: req.query.source !== "false",
+    checkTmdb: req.query.tmdb !== "false",
+  };
+  const columns = "id, slug, title, tmdb_id, total_episodes";
+
+  try {
+    let rows;
+    if (req.query.slug) {
+      const { data, error } = await supabase.from("series").select(columns).eq("slug", req.query.slug).maybeSingle();
+      if (error) throw new Error(error.message);
+      if (!data) return res.status(404).json({ error: "Series not found" });
+      rows = [data];
+    } else {
+      const { data, error } = await supabase
+        .from("series")
+        .select(columns)
+        .order("id", { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(error.message);
+      rows = data || [];
+    }
+
+    let reports = [];
+    for (const row of rows) reports.push(await collectSeriesCoverage(row, options));
+    if (req.query.issuesOnly === "true") reports = reports.filter((report) => report.hasIssues);
+
+    res.json({
+      generatedAt: new Date().toISOString(),
+      offset,
+      limit,
+      scanned: rows.length,
+      summary: {
+        seriesWithIssues: reports.filter((report) => report.hasIssues).length,
+        gaps: reports.reduce((sum, report) => sum + report.gaps.length, 0),
+        duplicates: reports.reduce((sum, report) => sum + report.duplicates.length, 0),
+        zeroServers: reports.reduce((sum, report) => sum + report.zeroServers.length, 0),
+      },
+      series: reports,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/audit", async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 50), 1), 500);
+  const filters = { limit, table: req.query.table, actor: req.query.actor, action: req.query.action };
+  if (req.query.slug) {
+    filters.key = { series_slug: req.query.slug };
+    if (req.query.season) filters.key.season = req.query.season;
+    if (req.query.episode) filters.key.episode = req.query.episode;
+  } else if (req.query.id) {
+    filters.key = { id: req.query.id };
+  }
+
+  try {
+    res.json({ entries: await auditLog.list(filters) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/audit/:id", async (req, res) => {
+  try {
+    const entry = await auditLog.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Audit entry not found" });
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const REVERT_STATUS_CODES = { not_found: 404, not_revertible: 400, conflict: 409, failed: 500 };
+
+app.post("/api/audit/:id/revert", async (req, res) => {
+  try {
+    const result = await auditLog.revert(supabase, req.params.id, {
+      actor: req.user,
+      route: `${req.method} ${req.path}`,
+      force: req.body?.force === true,
+    });
+
+    if (result.status === "reverted") return res.json(result);
+    const messages = {
+      not_found: "Audit entry not found",
+      not_revertible: `Changes to ${result.entry?.table} cannot be reverted`,
+      conflict: "The row was changed again since; pass force to overwrite",
+      failed: result.error,
+    };
+    res.status(REVERT_STATUS_CODES[result.status]).json({ ...result, error: messages[result.status] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/jobs", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 50), 1), 500);
+  const jobs = syncQueue.list({ state: req.query.state, type: req.query.type });
+  res.json({ jobs: jobs.slice(0, limit), total: jobs.length, stats: syncQueue.getStats() });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = syncQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(job);
+});
+
+app.post("/api/jobs/:id/retry", (req, res) => {
+  const job = syncQueue.retry(req.params.id);
+  if (!job) return res.status(400).json({ error: "Only failed jobs can be retried" });
+  res.json(job);
+});
+
+// ── Sync job queue ──────────────────────────────────────────────
+// The home job discovers updated series and fans out one "series" job per
+// slug; full fetches from the admin UI run as their own jobs. A home job and
+// the series jobs it queued share one run report (id = home job id), which is
+// completed once the last of them has finished.
+const syncQueue = new SyncQueue({
+  concurrency: Number(process.env.MAX_PARALLEL_SERIES || 4),
+});
+
+function getRunReport(runId, trigger) {
+  return (
+    runStore.getActive(runId) ||
+    runStore.start(new SyncRunReport({ id: runId, trigger, type: "home" }))
+  );
+}
+
+async function completeRunIfDone(runId) {
+  const report = runStore.getActive(runId);
+  if (!report) return;
+  const pending = syncQueue.jobs.some(
+    (job) =>
+      (job.id === runId || job.payload?.runId === runId) &&
+      (job.state === "queued" || job.state === "running"),
+  );
+  if (pending) return;
+
+  await runStore.complete(report.finish());
+  printRunSummary(report);
+  syncStatus.lastRunSuccess = report.status === "succeeded";
+  if (syncStatus.lastRunSuccess) syncStatus.successfulRuns++;
+  else syncStatus.failedRuns++;
+  syncStatus.lastRunId = report.id;
+}
+
+syncQueue.register("home", async (payload, ctx) => {
+  const report = getRunReport(ctx.job.id, ctx.job.trigger);
+  let latest;
+  try {
+    latest = await collectLatest({ report });
+  } catch (err) {
+    if (ctx.job.attempts.length >= ctx.job.maxAttempts) report.recordError(err);
+    throw err;
+  }
+  if (latest.series.size === 0) {
+    console.log(`\n   ℹ️  No series to update from latest episodes`);
+  }
+  // A series or movie still queued by an earlier run stays in that run: its
+  // report is the one waiting for the result. This run only notes it.
+  const jobIds = [];
+  const queuedByEarlierRun = (job, ref) => {
+    if (job.payload.runId === report.id) return false;
+    report.skip("queued-by-earlier-run", ref);
+    return true;
+  };
+  for (const [slug, triggeringEpisode] of latest.series) {
+    const { job } = ctx.enqueue(
+      "series",
+      { slug, triggeringEpisode, runId: report.id },
+      { dedupeKey: `series:${slug}`, keep: ["runId"] },
+    );
+    if (!queuedByEarlierRun(job, { series_slug: slug })) jobIds.push(job.id);
+  }
+  const movieJobIds = [];
+  for (const [slug, movie] of latest.movies) {
+    const { job } = ctx.enqueue("movie", { movie, runId: report.id }, { dedupeKey: `movie:${slug}`, keep: ["runId"] });
+    if (!queuedByEarlierRun(job, { url: movie.url })) movieJobIds.push(job.id);
+  }
+  console.log(`📥 Queued ${jobIds.length} series and ${movieJobIds.length} movie job(s) for run ${report.id}`);
+  return {
+    runId: report.id,
+    seriesQueued: jobIds.length,
+    moviesQueued: movieJobIds.length,
+    jobIds: [...jobIds, ...movieJobIds],
+  };
+});
+
+syncQueue.register("series", async ({ slug, triggeringEpisode, runId }, ctx) => {
+  const report = getRunReport(runId || ctx.job.id, ctx.job.trigger);
+  try {
+    await syncSeriesFromTrigger(slug, triggeringEpisode, { report });
+  } catch (err) {
+    report.recordSeriesError(slug, err);
+    throw err;
   }
+  return { slug, runId: report.id };
+});
+
+syncQueue.register("movie", async ({ movie, runId }, ctx) => {
+  const report = getRunReport(runId || ctx.job.id, ctx.job.trigger);
+  return { ...(await syncLatestMovie(movie, { report })), runId: report.id };
+});
+
+syncQueue.register("full-series", async ({ seriesUrl, dryRun }, ctx) => {
+  return await fetchFullSeries(seriesUrl, ctx.log, {
+    dryRun: Boolean(dryRun),
+    trigger: ctx.job.trigger,
+  });
+});
+
+syncQueue.register("full-movie", async ({ movieUrl, dryRun }, ctx) => {
+  return await fetchFullMovie(movieUrl, ctx.log, {
+    dryRun: Boolean(dryRun),
+    trigger: ctx.job.trigger,
+  });
+});
 
+syncQueue.on("started", (job) => {
   syncStatus.isRunning = true;
+  if (job.type !== "home") return;
   syncStatus.lastRunTime = new Date().toISOString();
-  syncStatus.totalRuns++;
+  if (job.attempts.length === 1) syncStatus.totalRuns++;
 
   console.log(`\n${"=".repeat(60)}`);
-  console.log(`🚀 Starting sync run #${syncStatus.totalRuns}`);
+  console.log(
+    `🚀 Starting sync run #${syncStatus.totalRuns} (trigger: ${job.trigger}, attempt ${job.attempts.length}/${job.maxAttempts})`,
+  );
   console.log(`⏰ Time: ${syncStatus.lastRunTime}`);
   console.log(`${"=".repeat(60)}\n`);
+});
 
-  try {
-    await runSyncScript();
-
-    syncStatus.lastRunSuccess = true;
-    syncStatus.successfulRuns++;
-    console.log("\n✅ Sync completed successfully\n");
-  } catch (error) {
-    syncStatus.lastRunSuccess = false;
-    syncStatus.failedRuns++;
-    console.error(`\n❌ Sync failed: ${error.message}\n`);
-    if (error.stack) {
-      console.error(error.stack);
-    }
-  } finally {
-    syncStatus.isRunning = false;
+syncQueue.on("finished", (job) => {
+  syncStatus.isRunning = syncQueue.isBusy();
+  if (job.type === "home" && job.state === "failed") {
+    console.error(`\n❌ Sync failed: ${job.error}\n`);
+  }
+  const runId = job.type === "home" ? job.id : job.payload?.runId;
+  if (runId) {
+    completeRunIfDone(runId).catch((err) =>
+      console.warn(`⚠️ Failed to complete run ${runId}: ${err.message}`),
+    );
   }
+});
+
+syncQueue.on("retrying", () => {
+  syncStatus.isRunning = syncQueue.isBusy();
+});
+
+function runSync(trigger = "manual") {
+  return syncQueue.enqueue("home", {}, { trigger, dedupeKey: "home" });
 }
 
-const cronExpression = process.env.CRON_SCHEDULE || "*/10 * * * *";
-if (ENABLE_CRON_SYNC) {
-  cron.schedule(cronExpression, () => {
-    console.log("\n⏰ Scheduled sync triggered");
-    runSync();
+syncQueue.register("backfill", async ({ restart }, ctx) => {
+  return await backfillCatalog({ trigger: ctx.job.trigger, restart: Boolean(restart) });
+});
+
+syncQueue.register("tmdb-refresh", async (payload, ctx) => {
+  return await refreshSeriesMetadata({
+    db: supabase,
+    tmdb: metadata,
+    aliases: slugAliases,
+    auditLog,
+    actor: { name: `schedule:${ctx.job.trigger}`, role: "system" },
+  });
+});
+
+syncQueue.register("hydrax-rotation", async () => {
+  const exitCode = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["episodes-hydrax-shorticu-sync.js"], {
+      cwd: process.cwd(),
+      stdio: "inherit",
+    });
+    child.on("close", resolve);
+    child.on("error", reject);
+  });
+  if (exitCode !== 0) throw new Error(`Hydrax sync exited with code ${exitCode}`);
+  return { exitCode };
+});
+
+const SERVER_HEALTH_AUTO_RESCRAPE = process.env.SERVER_HEALTH_AUTO_RESCRAPE !== "false";
+
+// A check that flags episodes queues their re-scrape right away.
+syncQueue.register("server-health", async ({ slug, force }, ctx) => {
+  const summary = await serverHealth.run({
+    db: supabase,
+    slug: slug || null,
+    force: Boolean(force),
+    onProgress: (progress) => ctx.log(`🩺 ${progress.episodes} episode(s) checked, ${progress.flagged} flagged`),
   });
-} else {
-  console.log("ℹ️ Scheduled sync is disabled (ENABLE_CRON_SYNC=false)");
+  if (SERVER_HEALTH_AUTO_RESCRAPE && serverHealth.flagged().length) {
+    const { job } = ctx.enqueue("server-rescrape", {}, { dedupeKey: "server-rescrape" });
+    summary.rescrapeJobId = job.id;
+  }
+  return summary;
+});
+
+syncQueue.register("server-rescrape", async (payload, ctx) => {
+  const flagged = serverHealth.flagged();
+  if (!flagged.length) return { recovered: 0, stillDead: 0, failed: 0 };
+  const { results, ...summary } = await rescrapeEpisodes(flagged, { trigger: ctx.job.trigger });
+  return summary;
+});
+
+// Only once every job type has its handler: jobs restored from the queue
+// file start right away.
+syncQueue.load().start();
+
+// Queues a job and settles once it has finished, so a schedule's last
+// result is the job's outcome rather than just "queued".
+function enqueueAndWait(type, payload, options) {
+  const { job, created } = syncQueue.enqueue(type, payload, options);
+  return new Promise((resolve, reject) => {
+    const onFinished = (finished) => {
+      if (finished.id !== job.id) return;
+      syncQueue.off("finished", onFinished);
+      if (finished.state === "succeeded") resolve({ jobId: job.id, deduped: !created, ...finished.result });
+      else reject(new Error(finished.error || `Job ${job.id} failed`));
+    };
+    syncQueue.on("finished", onFinished);
+  });
+}
+
+// ── Schedules ───────────────────────────────────────────────────
+// Each schedule is configured with SCHEDULE_<NAME>_CRON and
+// SCHEDULE_<NAME>_ENABLED; the toggle can also be flipped at runtime through
+// /api/schedules. The latest-home schedule keeps honouring the older
+// CRON_SCHEDULE / ENABLE_CRON_SYNC variables.
+function scheduleEnv(name, suffix) {
+  return process.env[`SCHEDULE_${name.toUpperCase().replace(/-/g, "_")}_${suffix}`];
 }
 
-function updateNextRunTime() {
-  const now = new Date();
-  const next = new Date(now.getTime() + 600000);
-  syncStatus.nextRunTime = next.toISOString();
+const SCHEDULES = [
+  {
+    name: "latest-home",
+    description: "Sync the series on the source home pages",
+    schedule: process.env.CRON_SCHEDULE || "*/10 * * * *",
+    enabled: ENABLE_CRON_SYNC,
+    run: ({ trigger }) => enqueueAndWait("home", {}, { trigger, dedupeKey: "home" }),
+  },
+  {
+    name: "nightly-backfill",
+    description: "Fill missing episodes of every series in the catalog",
+    schedule: "0 3 * * *",
+    run: ({ trigger }) => enqueueAndWait("backfill", {}, { trigger, dedupeKey: "backfill" }),
+  },
+  {
+    name: "tmdb-refresh",
+    description: "Refresh poster, description, genres and counts from TMDB",
+    schedule: "0 4 * * 0",
+    run: ({ trigger }) => enqueueAndWait("tmdb-refresh", {}, { trigger, dedupeKey: "tmdb-refresh" }),
+  },
+  {
+    name: "hydrax-rotation",
+    description: "Rotate short.icu / abysscdn links through Hydrax",
+    schedule: "0 5 * * 1",
+    run: ({ trigger }) => enqueueAndWait("hydrax-rotation", {}, { trigger, dedupeKey: "hydrax-rotation" }),
+  },
+  {
+    name: "server-health",
+    description: "Probe stored episode servers and flag episodes with only dead ones",
+    schedule: "0 2 * * *",
+    run: ({ trigger }) => enqueueAndWait("server-health", {}, { trigger, dedupeKey: "server-health" }),
+  },
+];
+
+const scheduler = new Scheduler();
+for (const { name, schedule, enabled = false, ...rest } of SCHEDULES) {
+  const enabledEnv = scheduleEnv(name, "ENABLED");
+  scheduler.define(name, {
+    ...rest,
+    schedule: scheduleEnv(name, "CRON") || schedule,
+    enabled: enabledEnv !== undefined ? enabledEnv === "true" : enabled,
+  });
+}
+scheduler.start();
+
+for (const job of scheduler.list()) {
+  console.log(
+    `⏰ Schedule ${job.name}: ${job.enabled ? `enabled (${job.schedule}, next ${job.nextRunAt})` : "disabled"}`,
+  );
 }
 
+app.get("/api/backfill", (req, res) => {
+  res.json({ progress: backfillProgress.toJSON() });
+});
+
+app.post("/api/backfill", (req, res) => {
+  const restart = req.body?.restart === true;
+  const { job, created } = syncQueue.enqueue("backfill", { restart }, { trigger: "manual", dedupeKey: "backfill" });
+  res.status(created ? 202 : 200).json({
+    status: created ? "queued" : "already_queued",
+    jobId: job.id,
+    progress: backfillProgress.toJSON(),
+  });
+});
+
+app.get("/api/server-health", (req, res) => {
+  res.json(serverHealth.summary());
+});
+
+app.get("/api/server-health/servers", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 100), 1), 1000);
+  const servers = serverHealth.servers({ status: req.query.status, host: req.query.host });
+  res.json({ servers: servers.slice(0, limit), total: servers.length });
+});
+
+app.get("/api/server-health/flagged", (req, res) => {
+  const episodes = serverHealth.flagged();
+  res.json({ episodes, total: episodes.length });
+});
+
+app.post("/api/server-health/run", (req, res) => {
+  const payload = { slug: req.body?.slug || null, force: req.body?.force === true };
+  const { job, created } = syncQueue.enqueue("server-health", payload, {
+    trigger: "manual",
+    dedupeKey: `server-health:${payload.slug || "all"}`,
+  });
+  res.status(created ? 202 : 200).json({ status: created ? "queued" : "already_queued", jobId: job.id });
+});
+
+app.post("/api/server-health/rescrape", (req, res) => {
+  const { job, created } = syncQueue.enqueue("server-rescrape", {}, { trigger: "manual", dedupeKey: "server-rescrape" });
+  res.status(created ? 202 : 200).json({
+    status: created ? "queued" : "already_queued",
+    jobId: job.id,
+    flagged: serverHealth.flagged().length,
+  });
+});
+
+app.get("/api/aliases", (req, res) => {
+  res.json({ aliases: slugAliases.list() });
+});
+
+app.post("/api/aliases", (req, res) => {
+  try {
+    const alias = slugAliases.upsert(req.body || {});
+    console.log(`🔗 Alias ${alias.id} saved by ${req.user.name}`);
+    res.json(alias);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/aliases/:id", (req, res) => {
+  if (!slugAliases.remove(req.params.id)) return res.status(404).json({ error: "Alias not found" });
+  console.log(`🔗 Alias ${req.params.id} removed by ${req.user.name}`);
+  res.json({ removed: req.params.id });
+});
+
+app.get("/api/metadata/cache", (req, res) => {
+  res.json(metadata.cache.stats());
+});
+
+app.delete("/api/metadata/cache", (req, res) => {
+  const { resource, match } = req.query;
+  if (resource && !(resource in metadata.cache.ttlHours) && resource !== "other") {
+    return res.status(400).json({ error: `Unknown resource: ${resource}` });
+  }
+  const removed = metadata.cache.purge({ resource, match, expired: req.query.expired === "true" });
+  console.log(`🧹 Metadata cache purged by ${req.user.name}: ${removed} entries`);
+  res.json({ removed, stats: metadata.cache.stats() });
+});
+
+app.get("/api/schedules", (req, res) => {
+  res.json({ schedules: scheduler.list() });
+});
+
+app.post("/api/schedules/:name", (req, res) => {
+  if (typeof req.body?.enabled !== "boolean") {
+    return res.status(400).json({ error: "Body must be { \"enabled\": true|false }" });
+  }
+  const schedule = scheduler.setEnabled(req.params.name, req.body.enabled);
+  if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+  res.json(schedule);
+});
+
+app.post("/api/schedules/:name/run", (req, res) => {
+  if (!scheduler.get(req.params.name)) return res.status(404).json({ error: "Schedule not found" });
+  scheduler.trigger(req.params.name, "manual");
+  res.status(202).json(scheduler.describe(scheduler.get(req.params.name)));
+});
+
 function startTelegramListener() {
   if (shuttingDown) return;
 
@@ -545,6 +1234,7 @@ function startTelegramListener() {
 
   telegramListenerProcess = spawn(process.execPath, ["telegram-chat-listener.js"], {
     cwd: process.cwd(),
+    env: { ...process.env, SYNC_API_TOKEN: TELEGRAM_SYNC_TOKEN },
     stdio: "inherit",
   });
 
@@ -586,13 +1276,16 @@ function stopTelegramListener() {
   }
 }
 
-setInterval(updateNextRunTime, 600000);
-updateNextRunTime();
-
 // ── Full Series Fetch (SSE streaming progress) ──────────────────
 app.post("/api/fetch-full-series", async (req, res) => {
-  const { seriesUrl } = req.body;
+  const { seriesUrl, dryRun } = req.body;
   if (!seriesUrl) return res.status(400).json({ error: "seriesUrl is required" });
+  const source = sources.forUrl(seriesUrl);
+  if (!source) {
+    return res.status(400).json({ error: `No source adapter handles ${seriesUrl}` });
+  }
+  // A pasted movie page is fetched as a movie.
+  const isMovie = source.isMovieUrl(seriesUrl);
 
   // Use SSE to stream progress
   res.setHeader("Content-Type", "text/event-stream");
@@ -604,26 +1297,57 @@ app.post("/api/fetch-full-series", async (req, res) => {
     res.write(`data: ${JSON.stringify({ log: msg })}\n\n`);
   };
 
-  try {
-    const result = await fetchFullSeries(seriesUrl, send);
-    res.write(`data: ${JSON.stringify({ done: true, ...result })}\n\n`);
-  } catch (err) {
-    res.write(`data: ${JSON.stringify({ done: true, success: false, error: err.message })}\n\n`);
-  } finally {
+  const type = isMovie ? "full-movie" : "full-series";
+  const { job } = syncQueue.enqueue(
+    type,
+    isMovie ? { movieUrl: seriesUrl, dryRun: Boolean(dryRun) } : { seriesUrl, dryRun: Boolean(dryRun) },
+    {
+      trigger: "admin",
+      dedupeKey: `${type}:${dryRun ? "dry-run:" : ""}${seriesUrl}`,
+      maxAttempts: 1,
+    },
+  );
+  send(`📥 Queued full fetch job ${job.id}`);
+
+  const onStarted = (startedJob) => {
+    if (startedJob.id === job.id) send(`▶️ Job ${job.id} started`);
+  };
+  const onProgress = (progressJob, message) => {
+    if (progressJob.id === job.id) send(message);
+  };
+  const onFinished = (finishedJob) => {
+    if (finishedJob.id !== job.id) return;
+    cleanup();
+    if (finishedJob.state === "succeeded") {
+      res.write(`data: ${JSON.stringify({ done: true, jobId: job.id, ...finishedJob.result })}\n\n`);
+    } else {
+      res.write(`data: ${JSON.stringify({ done: true, jobId: job.id, success: false, error: finishedJob.error })}\n\n`);
+    }
     res.end();
-  }
+  };
+  const cleanup = () => {
+    syncQueue.off("started", onStarted);
+    syncQueue.off("progress", onProgress);
+    syncQueue.off("finished", onFinished);
+  };
+
+  syncQueue.on("started", onStarted);
+  syncQueue.on("progress", onProgress);
+  syncQueue.on("finished", onFinished);
+  // The job keeps running in the queue if the browser disconnects.
+  req.on("close", cleanup);
 });
 
 app.get("/api/tmdb/details", async (req, res) => {
   const { id, type } = req.query;
-  const details = await tmdb.getDetails(id, type || "tv");
-  const seasons = await tmdb.getSeasons(id, type || "tv");
+  const details = await metadata.getDetails(id, type || "tv");
+  const seasons = await metadata.getSeasons(id, type || "tv");
   res.json({ ...details, seasons });
 });
 
 app.get("/api/tmdb/episodes", async (req, res) => {
   const { id, season } = req.query;
-  const episodes = await tmdb.getSeasonEpisodes(id, season);
+  const episodes = await metadata.getSeasonEpisodes(id, season);
   res.json(episodes);
 });
 
@@ -656,28 +1380,36 @@ app.post("/api/episodes/add-external", async (req, res) => {
       const iframe_url = `https://vidnest.fun/tv/${tmdbId}/${season}/${epNum}`;
       
       // 3. Save to Supabase 2 (public.iframe)
-      const { error: error2 } = await supabase2.from("iframe").insert({
-        iframe_url: iframe_url,
-        name_title: "Vidnest",
-        video_id: video_id
-      });
+      const { error: error2 } = await auditLog.track(
+        supabase2,
+        { ...auditContext(req, "episodes.add-external", "iframe"), key: { video_id } },
+        () => supabase2.from("iframe").insert({
+          iframe_url: iframe_url,
+          name_title: "Vidnest",
+          video_id: video_id
+        }),
+      );
 
       if (error2) throw error2;
 
       // 4. Fetch title from TMDB
-      const epTitle = await tmdb.fetchEpisodeTitle(tmdbId, season, epNum);
+      const epTitle = await metadata.fetchEpisodeTitle(tmdbId, season, epNum);
 
       // 5. Save to Supabase 1
       const finalUrl = `https://stream.lastanime.in/v/${video_id}`;
-      const { error: error1 } = await supabase.from("episodes").upsert({
-        series_slug: seriesSlug,
-        season: parseInt(season),
-        episode: parseInt(epNum),
-        title: epTitle,
-        servers: [{ option: 1, real_video: finalUrl }]
-      }, {
-        onConflict: 'series_slug,season,episode'
-      });
+      const { error: error1 } = await auditLog.track(
+        supabase,
+        { ...auditContext(req, "episodes.add-external", "episodes"), key: episodeKey(seriesSlug, season, epNum) },
+        () => supabase.from("episodes").upsert({
+          series_slug: seriesSlug,
+          season: parseInt(season),
+          episode: parseInt(epNum),
+          title: epTitle,
+          servers: buildServers([{ real_video: finalUrl, label: "Vidnest" }], { ...req.body, language: req.body.language || subDub })
+        }, {
+          onConflict: 'series_slug,season,episode'
+        }),
+      );
 
       if (error1) throw error1;
       results.push({ episode: epNum, success: true });
@@ -694,7 +1426,7 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Toonstream Netlify Sync Server Started`);
   console.log(`${"=".repeat(60)}`);
   console.log(`📡 Server running on port ${PORT}`);
-  console.log(`⏰ Sync schedule: ${ENABLE_CRON_SYNC ? `Enabled (${cronExpression})` : "Disabled"}`);
+  console.log(`⏰ Next scheduled run: ${scheduler.nextRunAt() || "none (all schedules disabled)"}`);
   console.log(`🔐 Proxy enabled: ${process.env.USE_PROXY === "true" ? "Yes" : "No"}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/`);
   console.log(`📊 Status: http://localhost:${PORT}/status`);
@@ -703,7 +1435,7 @@ app.listen(PORT, "0.0.0.0", () => {
 
   if (AUTO_SYNC_ON_START) {
     console.log("🎬 Running initial sync...\n");
-    runSync();
+    runSync("startup");
   } else {
     console.log("🎬 Initial sync is disabled (AUTO_SYNC_ON_START=false)\n");
   }
@@ -714,11 +1446,15 @@ app.listen(PORT, "0.0.0.0", () => {
 process.on("SIGTERM", () => {
   console.log("\n⚠️  SIGTERM received, shutting down gracefully...");
   stopTelegramListener();
+  scheduler.stop();
+  syncQueue.stop();
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
   console.log("\n⚠️  SIGINT received, shutting down gracefully...");
   stopTelegramListener();
+  scheduler.stop();
+  syncQueue.stop();
   process.exit(0);
 });
@@ -11,7 +11,8 @@ const sessionString =
 const targetChatId = process.env.TELEGRAM_CHAT_ID || "-1003358753323";
 const localPort = Number(process.env.PORT || 5000);
 const syncTriggerUrl =
-  process.env.SYNC_TRIGGER_URL || `http://127.0.0.1:${localPort}/sync`;
+  process.env.SYNC_TRIGGER_URL || `http://127.0.0.1:${localPort}/sync?trigger=telegram`;
+const syncApiToken = process.env.SYNC_API_TOKEN || "";
 const pollIntervalMs = Number(process.env.TELEGRAM_POLL_INTERVAL_MS || 15000);
 const reconnectBackoffMs = Number(process.env.TELEGRAM_RECONNECT_BACKOFF_MS || 3000);
 
@@ -96,7 +97,10 @@ async function triggerSyncViaServer() {
     const response = await fetch(syncTriggerUrl, {
       method: "GET",
       signal: controller.signal,
-      headers: { Accept: "application/json" },
+      headers: {
+        Accept: "application/json",
+        ...(syncApiToken ? { Authorization: `Bearer ${syncApiToken}` } : {}),
+      },
     });
 
     let payload = null;
@@ -110,12 +114,12 @@ async function triggerSyncViaServer() {
       throw new Error(`sync endpoint error: HTTP ${response.status}`);
     }
 
-    if (payload?.status === "already_running") {
-      console.log("⏳ Server sync already running. Trigger acknowledged.");
+    if (payload?.status === "already_queued") {
+      console.log("⏳ Server sync already queued. Trigger acknowledged.");
       return;
     }
 
-    console.log("✅ Server sync trigger accepted.");
+    console.log(`✅ Server sync trigger accepted (job ${payload?.jobId || "unknown"}).`);
   } finally {
     clearTimeout(timeout);
   }
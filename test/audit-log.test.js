@@ -0,0 +1,129 @@
+import { test, describe, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AuditLog } from "../services/audit-log.js";
+import { MemoryDatabase } from "../services/storage/memory-client.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-audit-"));
+const actor = { name: "alice", role: "admin" };
+const key = { series_slug: "bleach", season: 1, episode: 1 };
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+describe("AuditLog", () => {
+  let db;
+  let audit;
+
+  beforeEach(() => {
+    db = new MemoryDatabase({
+      seed: {
+        series: [{ slug: "bleach", title: "Bleach", poster: "old.jpg", genres: ["Action"] }],
+        episodes: [{ ...key, title: "Ep 1", servers: [{ real_video: "a" }], thumbnail: "t1.jpg" }],
+      },
+    });
+    audit = new AuditLog({ filePath: path.join(TMP, `${Date.now()}-${Math.random()}.json`), table: "" });
+  });
+
+  const refetch = () =>
+    audit.track(db, { actor, action: "series.refetch", table: "series", key: { id: 1 } }, () =>
+      db.from("series").update({ poster: "wrong.jpg", genres: ["Comedy"] }).eq("id", 1),
+    );
+
+  test("records only the rows a write changed", async () => {
+    await refetch();
+    await audit.track(db, { actor, action: "series.rename", table: "series", key: { id: 1 } }, () =>
+      db.from("series").update({ title: "Bleach" }).eq("id", 1),
+    );
+
+    const entries = await audit.list();
+    assert.equal(entries.length, 1);
+    assert.deepEqual(entries[0].changedFields, ["genres", "poster"]);
+    assert.equal(entries[0].before.poster, "old.jpg");
+  });
+
+  test("revert restores the changed columns and is itself audited", async () => {
+    const { auditEntries } = await refetch();
+    await db.from("series").update({ title: "Bleach!" }).eq("id", 1);
+
+    const result = await audit.revert(db, auditEntries[0].id, { actor });
+    assert.equal(result.status, "reverted");
+    assert.equal(result.revert.revertOf, auditEntries[0].id);
+
+    const { data } = await db.from("series").select("title, poster, genres").eq("id", 1).single();
+    assert.deepEqual(data, { title: "Bleach!", poster: "old.jpg", genres: ["Action"] });
+  });
+
+  test("revert ignores the bookkeeping columns a later sync rewrote", async () => {
+    const { auditEntries } = await audit.track(db, { actor, action: "series.refetch", table: "series", key: { id: 1 } }, () =>
+      db.from("series").update({ poster: "wrong.jpg", random_key: "refetch", updated_at: "2024-02-01T00:00:00.000Z" }).eq("id", 1),
+    );
+    await db.from("series").update({ random_key: "sync", updated_at: "2024-03-01T00:00:00.000Z" }).eq("id", 1);
+
+    const result = await audit.revert(db, auditEntries[0].id, { actor });
+    assert.equal(result.status, "reverted");
+    const { data } = await db.from("series").select("poster, random_key, updated_at").eq("id", 1).single();
+    assert.deepEqual(data, { poster: "old.jpg", random_key: "sync", updated_at: "2024-03-01T00:00:00.000Z" });
+  });
+
+  test("revert of an episode upsert restores servers and thumbnails", async () => {
+    const { auditEntries } = await audit.track(db, { actor, action: "episodes.add-single", table: "episodes", key }, () =>
+      db.from("episodes").upsert({ ...key, servers: [{ real_video: "b" }], thumbnail: "t2.jpg" }, { onConflict: "series_slug,season,episode" }),
+    );
+
+    await audit.revert(db, auditEntries[0].id, { actor });
+    const { data } = await db.from("episodes").select("servers, thumbnail").match(key).single();
+    assert.deepEqual(data, { servers: [{ real_video: "a" }], thumbnail: "t1.jpg" });
+  });
+
+  test("revert of a created row deletes it", async () => {
+    const newKey = { ...key, episode: 2 };
+    const { auditEntries } = await audit.track(db, { actor, action: "episodes.add-single", table: "episodes", key: newKey }, () =>
+      db.from("episodes").insert({ ...newKey, servers: [] }),
+    );
+
+    assert.equal((await audit.revert(db, auditEntries[0].id, { actor })).status, "reverted");
+    assert.equal(db.rows("episodes").length, 1);
+  });
+
+  test("refuses to overwrite later edits unless forced", async () => {
+    const { auditEntries } = await refetch();
+    await db.from("series").update({ poster: "manual.jpg" }).eq("id", 1);
+
+    const conflict = await audit.revert(db, auditEntries[0].id, { actor });
+    assert.equal(conflict.status, "conflict");
+    assert.deepEqual(conflict.conflicts, ["poster"]);
+
+    assert.equal((await audit.revert(db, auditEntries[0].id, { actor, force: true })).status, "reverted");
+    assert.equal(db.rows("series")[0].poster, "old.jpg");
+  });
+
+  test("iframe rows are not revertible", async () => {
+    const { auditEntries } = await audit.track(db, { actor, action: "episodes.add-special", table: "iframe", key: { video_id: "x" } }, () =>
+      db.from("iframe").insert({ video_id: "x" }),
+    );
+    assert.equal((await audit.revert(db, auditEntries[0].id, { actor })).status, "not_revertible");
+    assert.equal((await audit.revert(db, "missing", { actor })).status, "not_found");
+  });
+
+  test("only mirrors entries to Supabase when AUDIT_LOG_TABLE names a table", async () => {
+    const saved = process.env.AUDIT_LOG_TABLE;
+    delete process.env.AUDIT_LOG_TABLE;
+    try {
+      const local = new AuditLog({ filePath: path.join(TMP, "local-only.json"), supabase: db });
+      assert.equal(local.remote, false);
+      await local.track(db, { actor, action: "series.rename", table: "series", key: { id: 1 } }, () =>
+        db.from("series").update({ title: "BLEACH" }).eq("id", 1),
+      );
+      assert.equal(local.entries.length, 1);
+      assert.deepEqual(db.rows("audit_log"), []);
+
+      process.env.AUDIT_LOG_TABLE = "audit_log";
+      assert.equal(new AuditLog({ filePath: path.join(TMP, "mirrored.json"), supabase: db }).remote, true);
+    } finally {
+      if (saved === undefined) delete process.env.AUDIT_LOG_TABLE;
+      else process.env.AUDIT_LOG_TABLE = saved;
+    }
+  });
+});
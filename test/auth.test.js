@@ -0,0 +1,80 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { AuthService, loginRedirect } from "../services/auth.js";
+
+function service(env = {}) {
+  return AuthService.fromEnv({ AUTH_USERS: "alice:pw:admin,bob:pw2:viewer", AUTH_SECRET: "s", ...env });
+}
+
+function cookieRequest(value) {
+  return { headers: { cookie: `other=1; ts_session=${encodeURIComponent(value)}` } };
+}
+
+describe("AuthService", () => {
+  test("authenticates configured users with their role", () => {
+    const auth = service();
+    assert.deepEqual(auth.authenticate("bob", "pw2"), { name: "bob", role: "viewer" });
+    assert.equal(auth.authenticate("bob", "pw"), null);
+    assert.equal(auth.authenticate("mallory", "pw"), null);
+  });
+
+  test("session cookies round-trip and reject tampering", () => {
+    const auth = service();
+    const session = auth.createSession({ name: "alice" });
+    assert.equal(auth.userFromRequest(cookieRequest(session)).role, "admin");
+
+    const [, signature] = session.split(".");
+    const forged = `${Buffer.from(JSON.stringify({ u: "alice", exp: Date.now() + 1e9 })).toString("base64url")}.${signature}`;
+    assert.equal(auth.userFromRequest(cookieRequest(forged)), null);
+    assert.equal(service({ AUTH_SECRET: "other" }).userFromRequest(cookieRequest(session)), null);
+  });
+
+  test("sessions of removed users stop working", () => {
+    const session = service().createSession({ name: "bob" });
+    assert.equal(service({ AUTH_USERS: "alice:pw:admin" }).userFromRequest(cookieRequest(session)), null);
+  });
+
+  test("bearer tokens carry their own role", () => {
+    const auth = service({ AUTH_TOKENS: "abc:viewer:grafana" });
+    assert.deepEqual(auth.userFromRequest({ headers: { authorization: "Bearer abc" } }), {
+      name: "grafana",
+      role: "viewer",
+      via: "token",
+    });
+    assert.equal(auth.userFromRequest({ headers: { authorization: "Bearer nope" } }), null);
+  });
+
+  test("requireRole answers 401, 403 or passes through", () => {
+    const auth = service({ AUTH_TOKENS: "v:viewer,a:admin" });
+    const run = (authorization) => {
+      const res = {
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json() {
+          return this;
+        },
+      };
+      let passed = false;
+      auth.requireRole("admin")({ method: "POST", headers: authorization ? { authorization } : {} }, res, () => {
+        passed = true;
+      });
+      return passed ? "next" : res.statusCode;
+    };
+
+    assert.equal(run(null), 401);
+    assert.equal(run("Bearer v"), 403);
+    assert.equal(run("Bearer a"), "next");
+  });
+});
+
+test("loginRedirect only follows paths on this site", () => {
+  assert.equal(loginRedirect("/admin/?tab=aliases"), "/admin/?tab=aliases");
+  assert.equal(loginRedirect("/\\evil.com"), "/admin/");
+  assert.equal(loginRedirect("//evil.com"), "/admin/");
+  assert.equal(loginRedirect("/\t/evil.com"), "/admin/");
+  assert.equal(loginRedirect("https://evil.com"), "/admin/");
+  assert.equal(loginRedirect(undefined), "/admin/");
+});
@@ -0,0 +1,75 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { buildSeriesCoverage } from "../services/coverage-report.js";
+
+const series = { slug: "bleach", title: "Bleach", tmdb_id: 30984, total_episodes: 366 };
+const server = [{ option: 1, real_video: "https://short.icu/a" }];
+
+describe("buildSeriesCoverage", () => {
+  test("lists gaps against the source and TMDB per season", () => {
+    const report = buildSeriesCoverage({
+      series,
+      dbEpisodes: [
+        { season: 1, episode: 1, servers: server },
+        { season: 1, episode: 3, servers: server },
+      ],
+      sourceEpisodes: [
+        { season: 1, episode: 1 },
+        { season: 1, episode: 2 },
+        { season: 1, episode: 3 },
+        { season: 2, episode: 1 },
+      ],
+      tmdbSeasons: new Map([[1, [1, 2, 3, 4]]]),
+    });
+
+    assert.deepEqual(
+      report.seasons.map(({ season, db, source, tmdb, missingFromSource, missingFromTmdb }) => [season, db, source, tmdb, missingFromSource, missingFromTmdb]),
+      [
+        [1, 2, 3, 4, [2], [2, 4]],
+        [2, 0, 1, 0, [1], []],
+      ],
+    );
+    assert.deepEqual(
+      report.gaps.map((gap) => [gap.label, gap.onSource, gap.onTmdb]),
+      [
+        ["S1E2", true, true],
+        ["S1E4", false, true],
+        ["S2E1", true, false],
+      ],
+    );
+    assert.equal(report.totals.tmdbTotalEpisodes, 366);
+    assert.equal(report.hasIssues, true);
+  });
+
+  test("flags duplicate rows, repeated server URLs and episodes without servers", () => {
+    const report = buildSeriesCoverage({
+      series,
+      dbEpisodes: [
+        { season: 1, episode: 1, servers: server },
+        { season: 1, episode: 1, servers: [...server, ...server] },
+        { season: 1, episode: 2, servers: [] },
+        { season: 1, episode: 3, servers: null },
+      ],
+    });
+
+    assert.deepEqual(report.duplicates, [{ season: 1, episode: 1, count: 2 }]);
+    assert.deepEqual(report.duplicateServers, [{ season: 1, episode: 1, urls: ["https://short.icu/a"] }]);
+    assert.deepEqual(report.zeroServers, [
+      { season: 1, episode: 2 },
+      { season: 1, episode: 3 },
+    ]);
+    assert.equal(report.seasons[0].source, null);
+    assert.equal(report.seasons[0].missingFromTmdb, null);
+    assert.deepEqual(report.gaps, []);
+  });
+
+  test("a complete series has no issues", () => {
+    const report = buildSeriesCoverage({
+      series,
+      dbEpisodes: [{ season: 1, episode: 1, servers: server }],
+      sourceEpisodes: [{ season: 1, episode: 1 }],
+      tmdbSeasons: new Map([[1, [1]]]),
+    });
+    assert.equal(report.hasIssues, false);
+  });
+});
@@ -0,0 +1,120 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createEmbedResolvers, EmbedResolverRegistry } from "../services/embed-resolvers/index.js";
+import { ToonstreamAdapter } from "../services/source-adapters/toonstream.js";
+
+// Serves pages by URL and fails on anything else, like the parser tests.
+function fakeHttp(pages = {}) {
+  const requests = [];
+  return {
+    requests,
+    get: async (url) => {
+      requests.push(url);
+      if (!(url in pages)) throw new Error(`Unexpected request: ${url}`);
+      return { data: pages[url] };
+    },
+    buildHeaders: () => ({}),
+  };
+}
+
+// Resolver warnings carry emoji, which Node 20's test runner can misparse.
+before(() => mock.method(console, "warn", () => {}));
+after(() => mock.restoreAll());
+
+const frame = (src) => `<html><body><iframe src="${src}"></iframe></body></html>`;
+
+describe("EmbedResolverRegistry", () => {
+  test("unwraps nested players until one has nothing left to unwrap", async () => {
+    const http = fakeHttp({
+      "https://vidnest.fun/tv/1/1/1": frame("https://player.vidnest.fun/embed/1"),
+      "https://player.vidnest.fun/embed/1": frame("https://short.icu/Final"),
+    });
+    const result = await createEmbedResolvers().resolve("https://vidnest.fun/tv/1/1/1", { http });
+    assert.deepEqual(result, {
+      url: "https://short.icu/Final",
+      direct: null,
+      chain: ["https://vidnest.fun/tv/1/1/1", "https://player.vidnest.fun/embed/1", "https://short.icu/Final"],
+    });
+  });
+
+  test("stops after maxDepth hops, counting the hops already taken", async () => {
+    const http = fakeHttp({
+      "https://vidnest.fun/a": frame("https://sub.vidnest.fun/b"),
+      "https://sub.vidnest.fun/b": frame("https://vidnest.fun/c"),
+    });
+    const resolvers = createEmbedResolvers({ maxDepth: 2 });
+
+    const result = await resolvers.resolve("https://vidnest.fun/a", { http, chain: ["https://toonstream.live/?trembed=0"] });
+    assert.equal(result.url, "https://sub.vidnest.fun/b");
+    assert.equal(result.chain.length, 3);
+    assert.deepEqual(http.requests, ["https://vidnest.fun/a"]);
+  });
+
+  test("does not follow a player back to a page already in the chain", async () => {
+    const http = fakeHttp({
+      "https://vidnest.fun/a": frame("https://sub.vidnest.fun/b"),
+      "https://sub.vidnest.fun/b": frame("https://vidnest.fun/a"),
+    });
+    const result = await createEmbedResolvers({ maxDepth: 10 }).resolve("https://vidnest.fun/a", { http });
+    assert.deepEqual(result.chain, ["https://vidnest.fun/a", "https://sub.vidnest.fun/b"]);
+  });
+
+  test("returns direct HLS/MP4 URLs only when asked to", async () => {
+    const rumble = "https://rumble.com/embed/v72sgjg/?pub=4oi67i";
+    const off = await createEmbedResolvers().resolve(rumble, { http: fakeHttp() });
+    assert.deepEqual(off, { url: rumble, direct: null, chain: [rumble] });
+
+    const on = await createEmbedResolvers({ direct: true }).resolve(rumble, { http: fakeHttp() });
+    assert.equal(on.url, rumble);
+    assert.equal(on.direct, "https://rumble.com/hls-vod/72sgjg/playlist.m3u8");
+    assert.deepEqual(on.chain, [rumble, "https://rumble.com/hls-vod/72sgjg/playlist.m3u8"]);
+  });
+
+  test("reads streamtape's split file link", async () => {
+    const page = `<script>document.getElementById('robotlink').innerHTML = '//streamtape.com/get_video?id=123&expires=9'+ ('xcdb&token=abc').substring(3);</script>`;
+    const http = fakeHttp({ "https://streamtape.com/e/123": page });
+    const result = await createEmbedResolvers({ direct: true }).resolve("https://streamtape.com/e/123", { http });
+    assert.equal(result.direct, "https://streamtape.com/get_video?id=123&expires=9b&token=abc&stream=1");
+  });
+
+  test("keeps the URL it got to when a plugin fails", async () => {
+    const report = { errors: [], recordHttpError: (url) => report.errors.push(url) };
+    const result = await createEmbedResolvers().resolve("https://vidnest.fun/gone", { http: fakeHttp(), report });
+    assert.equal(result.url, "https://vidnest.fun/gone");
+    assert.deepEqual(report.errors, ["https://vidnest.fun/gone"]);
+  });
+
+  test("accepts plugins for new hosts", async () => {
+    const registry = new EmbedResolverRegistry({ maxDepth: 3 }).register({
+      name: "mirror",
+      hosts: ["mirror.example"],
+      resolve: async (url) => (url.endsWith("/1") ? { next: "https://mirror.example/2" } : null),
+    });
+    const result = await registry.resolve("https://mirror.example/1", { http: fakeHttp() });
+    assert.equal(result.url, "https://mirror.example/2");
+    assert.throws(() => registry.register({ name: "nohosts" }), /needs hosts/);
+  });
+});
+
+describe("ToonstreamAdapter with embed resolvers", () => {
+  test("continues from the trembed iframe and stores the whole chain", async () => {
+    const trembed = "https://toonstream.live/?trembed=0&trid=1&trtype=2";
+    const http = fakeHttp({
+      [trembed]: `${frame("https://ads.example/banner")}${frame("https://vidnest.fun/tv/1/1/1")}`,
+      "https://vidnest.fun/tv/1/1/1": frame("https://short.icu/Nested"),
+    });
+    const adapter = new ToonstreamAdapter(
+      { http },
+      { homeUrl: "https://toonstream.one/home/", episodeBaseUrl: "https://toonstream.live/", homeRetryDelaysMs: [] },
+    );
+
+    const embeds = await adapter.extractEmbeds(
+      `<iframe data-src="${trembed}"></iframe>`,
+      "https://toonstream.live/episode/bleach-1x1/",
+    );
+    assert.deepEqual(
+      embeds.map(({ option, real_video, chain }) => ({ option, real_video, chain })),
+      [{ option: 1, real_video: "https://short.icu/Nested", chain: [trembed, "https://vidnest.fun/tv/1/1/1", "https://short.icu/Nested"] }],
+    );
+  });
+});
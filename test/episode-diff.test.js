@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffEpisode, diffServers, serversChanged } from "../services/episode-diff.js";
+import { normalizeServers, rankServers } from "../services/server-meta.js";
+
+// A row written before the server metadata: the same player URLs, nothing else.
+const STORED = [
+  { option: 1, real_video: "https://short.icu/abc" },
+  { option: 2, real_video: "https://streamtape.com/e/xyz" },
+];
+
+test("stored servers missing their metadata are updated even when the URLs match", () => {
+  const scraped = rankServers(normalizeServers(STORED));
+  const changes = diffEpisode({ title: "Episode 1", servers: STORED }, { title: "Episode 1", servers: scraped });
+
+  assert.equal(changes.changed, true);
+  assert.deepEqual(changes.fields.servers, {
+    added: [],
+    removed: [],
+    reordered: false,
+    updated: ["https://short.icu/abc", "https://streamtape.com/e/xyz"],
+  });
+});
+
+test("servers with the same fields in another key order are unchanged", () => {
+  const scraped = rankServers(normalizeServers(STORED));
+  const reread = scraped.map((server) => Object.fromEntries(Object.entries(server).reverse()));
+  assert.equal(serversChanged(diffServers(reread, scraped)), false);
+  assert.equal(diffEpisode({ title: "Episode 1", servers: reread }, { title: "Episode 1", servers: scraped }).changed, false);
+});
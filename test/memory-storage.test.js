@@ -0,0 +1,80 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryDatabase } from "../services/storage/memory-client.js";
+
+describe("MemoryDatabase", () => {
+  test("upsert on a composite key updates only the columns sent", async () => {
+    const db = new MemoryDatabase();
+    await db.from("episodes").upsert(
+      { series_slug: "bleach", season: 1, episode: 1, title: "Old", servers: [{ real_video: "a" }] },
+      { onConflict: "series_slug,season,episode" },
+    );
+    const { error } = await db
+      .from("episodes")
+      .upsert({ series_slug: "bleach", season: 1, episode: 1, title: "New" }, { onConflict: "series_slug,season,episode" });
+    assert.equal(error, null);
+
+    const { data } = await db.from("episodes").select("id, title, servers").eq("series_slug", "bleach");
+    assert.deepEqual(data, [{ id: 1, title: "New", servers: [{ real_video: "a" }] }]);
+  });
+
+  test("upsert with .select().single() returns the written row", async () => {
+    const db = new MemoryDatabase();
+    const { data } = await db.from("series").upsert({ slug: "bleach", title: "Bleach" }, { onConflict: "slug" }).select().single();
+    assert.equal(data.slug, "bleach");
+    assert.equal(data.id, 1);
+  });
+
+  test("insert rejects a duplicate unique key like Postgres", async () => {
+    const db = new MemoryDatabase();
+    await db.from("series").insert({ slug: "bleach" });
+    const { error } = await db.from("series").insert({ slug: "bleach" });
+    assert.equal(error.code, "23505");
+    assert.equal(db.rows("series").length, 1);
+  });
+
+  test("filters, ordering, ranges and counts", async () => {
+    const db = new MemoryDatabase({
+      seed: {
+        series: [
+          { slug: "bleach", title: "Bleach", updated_at: "2024-01-02" },
+          { slug: "bleach-tybw", title: "Bleach: TYBW", updated_at: "2024-01-03" },
+          { slug: "naruto", title: "Naruto", updated_at: "2024-01-01" },
+        ],
+      },
+    });
+
+    const { data: search } = await db.from("series").select("slug").ilike("title", "%BLEACH%").order("updated_at", { ascending: false }).limit(20);
+    assert.deepEqual(search.map((row) => row.slug), ["bleach-tybw", "bleach"]);
+
+    const { data: page } = await db.from("series").select("slug").order("id").range(1, 2);
+    assert.deepEqual(page.map((row) => row.slug), ["bleach-tybw", "naruto"]);
+
+    const { count, data } = await db.from("series").select("*", { count: "exact", head: true }).in("slug", ["bleach", "naruto"]);
+    assert.equal(count, 2);
+    assert.equal(data, null);
+  });
+
+  test("string filter values match numeric columns", async () => {
+    const db = new MemoryDatabase({ seed: { episodes: [{ series_slug: "x", season: 2, episode: 1 }] } });
+    const { data } = await db.from("episodes").select("episode").eq("season", "2");
+    assert.deepEqual(data, [{ episode: 1 }]);
+  });
+
+  test("maybeSingle returns null for no rows and an error for several", async () => {
+    const db = new MemoryDatabase({ seed: { movies: [{ slug: "a" }, { slug: "b" }] } });
+    assert.deepEqual(await db.from("movies").select("*").eq("slug", "zzz").maybeSingle(), { data: null, error: null, count: null });
+    const { error } = await db.from("movies").select("*").maybeSingle();
+    assert.equal(error.code, "PGRST116");
+  });
+
+  test("update and delete apply to matching rows only", async () => {
+    const db = new MemoryDatabase({ seed: { iframe: [{ video_id: "a" }, { video_id: "b" }] } });
+    await db.from("iframe").update({ name_title: "Lastanime" }).eq("video_id", "a");
+    await db.from("iframe").delete().eq("video_id", "b");
+    assert.deepEqual(
+      db.rows("iframe").map(({ video_id, name_title }) => ({ video_id, name_title })),
+      [{ video_id: "a", name_title: "Lastanime" }],
+    );
+  });
+});
@@ -0,0 +1,247 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MetadataService, retryAfterMs, shapeDetails } from "../services/tmdb/metadata-service.js";
+import { ResponseCache, parseTtls } from "../services/tmdb/response-cache.js";
+import { TokenBucket } from "../services/concurrency.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-service-"));
+let cacheFiles = 0;
+
+// Answers GETs by path (without the API host) from `routes`; a function
+// route can fail or count calls. Anything else is a 404 like TMDB's.
+function fakeHttp(routes = {}) {
+  const requests = [];
+  const respond = async (url, config = {}) => {
+    const route = url.replace(/^https:\/\/[^/]+(\/3|\/v4)?/, "");
+    requests.push({ route, params: config.params, headers: config.headers });
+    const answer = routes[route];
+    if (answer === undefined) throw Object.assign(new Error("Not found"), { response: { status: 404 } });
+    return { data: typeof answer === "function" ? await answer(config.params) : answer };
+  };
+  return { requests, get: respond, post: respond };
+}
+
+function service(routes, options = {}) {
+  const http = fakeHttp(routes);
+  const cache = new ResponseCache({ filePath: path.join(TMP, `cache-${cacheFiles++}.json`) });
+  return { http, cache, metadata: new MetadataService({ apiKey: "key", tvdbApiKey: "tvdb", http, cache, retryDelayMs: 0, ...options }) };
+}
+
+// Failed lookups are reported with emoji, which Node 20's test runner can misparse.
+before(() => mock.method(console, "warn", () => {}));
+after(() => mock.restoreAll());
+
+test("shapeDetails names fields like the series and movies columns", () => {
+  const details = shapeDetails({
+    id: 30984,
+    name: "Bleach",
+    original_name: "BLEACH",
+    overview: "Ichigo...",
+    poster_path: "/p.jpg",
+    backdrop_path: "/b.jpg",
+    images: { posters: [{ file_path: "/p.jpg" }, { file_path: "/p2.jpg" }], backdrops: [] },
+    external_ids: { tvdb_id: 74796 },
+    vote_average: 8.376,
+    genres: [{ name: "Animation" }],
+    first_air_date: "2004-10-05",
+    number_of_seasons: 2,
+    number_of_episodes: 366,
+  });
+  assert.equal(details.banner_image, "https://image.tmdb.org/t/p/original/b.jpg");
+  assert.deepEqual(details.posters, ["https://image.tmdb.org/t/p/original/p.jpg", "https://image.tmdb.org/t/p/original/p2.jpg"]);
+  assert.deepEqual(
+    [details.tmdb_id, details.tvdb_id, details.title, details.rating, details.year, details.total_episodes],
+    [30984, 74796, "Bleach", 8.38, 2004, 366],
+  );
+  assert.equal("backdrop" in details, false);
+});
+
+describe("MetadataService", () => {
+  test("retries failed requests with backoff and caches the answer", async () => {
+    let calls = 0;
+    const { metadata, http, cache } = service({
+      "/search/tv": () => {
+        calls++;
+        if (calls < 3) throw Object.assign(new Error("Bad gateway"), { response: { status: 502 } });
+        return { results: [{ id: 1 }] };
+      },
+    });
+
+    assert.deepEqual(await metadata.search("Bleach"), [{ id: 1 }]);
+    assert.deepEqual(await metadata.search("Bleach"), [{ id: 1 }]);
+    assert.equal(http.requests.length, 3);
+    assert.equal(http.requests[0].params.api_key, "key");
+
+    cache.save();
+    const reloaded = new ResponseCache({ filePath: cache.filePath });
+    assert.deepEqual(reloaded.get("tmdb:/search/tv?language=en-US&query=Bleach"), { results: [{ id: 1 }] });
+  });
+
+  test("waits out 429s apart from the retry budget and gives up after too many", async () => {
+    const tooMany = (retryAfter) => () => {
+      throw Object.assign(new Error("Too Many Requests"), { response: { status: 429, headers: { "retry-after": retryAfter } } });
+    };
+    let calls = 0;
+    const { metadata, http } = service(
+      {
+        "/tv/1": () => (++calls < 3 ? tooMany("0")() : { id: 1, name: "Bleach" }),
+        "/tv/2": tooMany("0"),
+      },
+      { retries: 1, rateLimitRetries: 3 },
+    );
+
+    assert.equal((await metadata.getDetails(1)).title, "Bleach");
+    assert.equal(calls, 3);
+    assert.equal(await metadata.getDetails(2), null);
+    assert.equal(http.requests.filter((request) => request.route === "/tv/2").length, 4);
+    assert.deepEqual(metadata.limiterStats().tmdb, { waiting: 0, pausedMs: 0, throttled: 5 });
+  });
+
+  test("remembers resources TMDB does not have", async () => {
+    const { metadata, http } = service({});
+    assert.equal(await metadata.getEpisode(1, 1, 99), null);
+    assert.equal(await metadata.getEpisode(1, 1, 99), null);
+    assert.equal(http.requests.length, 1);
+  });
+
+  test("gives up on errors that will not change and does not cache them", async () => {
+    const { metadata, http } = service({
+      "/tv/1": () => {
+        throw Object.assign(new Error("Unauthorized"), { response: { status: 401 } });
+      },
+    });
+    assert.equal(await metadata.getDetails(1), null);
+    assert.equal(await metadata.getDetails(1), null);
+    assert.equal(http.requests.length, 2);
+  });
+
+  test("skips TMDB and TVDB without keys", async () => {
+    const { metadata, http } = service({}, { apiKey: "", tvdbApiKey: "" });
+    assert.deepEqual(await metadata.search("Bleach"), []);
+    assert.deepEqual(await metadata.findEpisodeImage({ tmdbId: 1, titles: ["Bleach"], season: 1, episode: 1 }), {
+      url: null,
+      source: null,
+    });
+    assert.equal(http.requests.length, 0);
+  });
+
+  test("reads episode stills from the season list before asking per episode", async () => {
+    const { metadata, http } = service({
+      "/tv/1/season/1": { episodes: [{ episode_number: 1, still_path: "/e1.jpg" }, { episode_number: 2 }] },
+      "/tv/1/season/1/episode/2": { name: "Two", still_path: "/e2.jpg" },
+    });
+    assert.equal(await metadata.fetchEpisodeImage(1, 1, 1), "https://image.tmdb.org/t/p/original/e1.jpg");
+    assert.equal(await metadata.fetchEpisodeImage(1, 1, 2), "https://image.tmdb.org/t/p/original/e2.jpg");
+    assert.equal(await metadata.fetchEpisodeTitle(1, 1, 2), "Two");
+    assert.equal(await metadata.fetchEpisodeTitle(1, 1, 3), "Episode 3");
+    assert.deepEqual(
+      http.requests.map((request) => request.route),
+      ["/tv/1/season/1", "/tv/1/season/1/episode/2", "/tv/1/season/1/episode/3"],
+    );
+  });
+
+  test("falls back to TVDB through TMDB's external id, then title searches", async () => {
+    const { metadata, http } = service({
+      "/tv/1/season/1": { episodes: [] },
+      "/tv/1": { id: 1, name: "Bleach", external_ids: { tvdb_id: 74796 } },
+      "/login": { data: { token: "t" } },
+      "/series/74796/episodes/default": { data: { episodes: [] } },
+      "/search": { data: [{ tvdb_id: 999 }] },
+      "/series/999/episodes/default": { data: { episodes: [{ seasonNumber: 1, number: 1, image: "/banners/e.jpg" }] } },
+    });
+
+    const image = await metadata.findEpisodeImage({ tmdbId: 1, titles: ["Bleach", "BLEACH"], season: 1, episode: 1 });
+    assert.deepEqual(image, { url: "https://artworks.thetvdb.com/banners/e.jpg", source: "tvdb" });
+    assert.equal(http.requests.find((request) => request.route === "/search").headers.Authorization, "Bearer t");
+    assert.equal(http.requests.filter((request) => request.route === "/search").length, 1);
+  });
+
+  test("reads TVDB episode pages until the episode turns up", async () => {
+    const pages = [
+      { data: { episodes: [{ seasonNumber: 1, number: 1 }] }, links: { next: "page=1" } },
+      { data: { episodes: [{ seasonNumber: 5, number: 3, image: "https://artworks.thetvdb.com/e.jpg" }] }, links: { next: null } },
+    ];
+    const { metadata, http } = service({
+      "/login": { data: { token: "t" } },
+      "/series/74796/episodes/default": ({ page }) => pages[page],
+    });
+    assert.equal(await metadata.tvdbEpisodeImage(74796, 5, 3), "https://artworks.thetvdb.com/e.jpg");
+    assert.equal(await metadata.tvdbEpisodeImage(74796, 5, 4), null);
+    assert.equal(await metadata.tvdbEpisodeImage(74796, 5, 3), "https://artworks.thetvdb.com/e.jpg");
+    assert.deepEqual(
+      http.requests.filter((request) => request.route !== "/login").map((request) => request.params.page),
+      [0, 1],
+    );
+  });
+});
+
+describe("ResponseCache", () => {
+  test("expires each resource after its own TTL", () => {
+    const cache = new ResponseCache({ filePath: path.join(TMP, "ttl.json"), ttls: { seasons: 1 } });
+    cache.set("tmdb:/tv/1", { id: 1 }, "details");
+    cache.set("tmdb:/tv/1/season/1", { episodes: [] }, "seasons");
+    const twoHoursAgo = Date.now() - 2 * 3600 * 1000;
+    for (const entry of Object.values(cache.entries)) entry.storedAt = twoHoursAgo;
+
+    assert.deepEqual(cache.get("tmdb:/tv/1", "details"), { id: 1 });
+    assert.equal(cache.get("tmdb:/tv/1/season/1", "seasons"), undefined);
+    assert.deepEqual(parseTtls("details=72, seasons=6,posters=1,stills=soon"), { details: 72, seasons: 6 });
+  });
+
+  test("counts hits and misses per resource and purges by resource or age", () => {
+    const filePath = path.join(TMP, "stats.json");
+    const cache = new ResponseCache({ filePath });
+    cache.set("tvdb:/search?query=Bleach", { data: [] }, "tvdbSearch");
+    cache.set("tmdb:/tv/1", { id: 1 }, "details");
+    cache.set("tmdb:/tv/2", { id: 2 }, "details");
+    cache.get("tmdb:/tv/1", "details");
+    cache.get("tmdb:/tv/3", "details");
+
+    const stats = cache.stats();
+    assert.deepEqual([stats.entries, stats.hits, stats.misses, stats.hitRate], [3, 1, 1, 0.5]);
+    assert.deepEqual(
+      [stats.resources.details.entries, stats.resources.details.writes, stats.resources.tvdbSearch.ttlHours],
+      [2, 2, 720],
+    );
+
+    assert.equal(cache.purge({ expired: true }), 0);
+    assert.equal(cache.purge({ resource: "details", match: "/tv/2" }), 1);
+    assert.equal(cache.purge({ resource: "details" }), 1);
+    cache.save();
+    assert.deepEqual(Object.keys(new ResponseCache({ filePath }).entries), ["tvdb:/search?query=Bleach"]);
+  });
+});
+
+describe("rate limiting", () => {
+  test("TokenBucket lets a burst through, then queues callers in order", async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 20, capacity: 2 });
+    const started = Date.now();
+    const order = [];
+    await Promise.all([1, 2, 3, 4].map((n) => bucket.schedule(async () => order.push([n, Date.now() - started]))));
+
+    assert.deepEqual(order.map(([n]) => n), [1, 2, 3, 4]);
+    assert.ok(order[1][1] < 40);
+    assert.ok(order[3][1] >= 90);
+  });
+
+  test("TokenBucket holds the queue while paused", async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 100, capacity: 5 });
+    bucket.pause(80);
+    const started = Date.now();
+    await bucket.take();
+    assert.ok(Date.now() - started >= 75);
+    assert.equal(bucket.getStats().throttled, 1);
+  });
+
+  test("retryAfterMs reads seconds and HTTP dates", () => {
+    const withHeader = (value) => ({ response: { status: 429, headers: { "retry-after": value } } });
+    assert.equal(retryAfterMs(withHeader("2")), 2000);
+    const date = retryAfterMs(withHeader(new Date(Date.now() + 10000).toUTCString()));
+    assert.ok(date > 8000 && date <= 10000);
+    assert.equal(retryAfterMs(withHeader("3600")), 5 * 60 * 1000);
+    assert.equal(retryAfterMs({ response: { status: 429, headers: {} } }), null);
+  });
+});
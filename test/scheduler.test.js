@@ -0,0 +1,84 @@
+import { test, describe, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Scheduler, nextFireTime, parseCronExpression } from "../services/scheduler.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-scheduler-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+const at = (iso) => new Date(iso);
+
+describe("nextFireTime", () => {
+  test("every ten minutes", () => {
+    assert.equal(nextFireTime("*/10 * * * *", at("2024-03-01T10:03:20Z"), "UTC").toISOString(), "2024-03-01T10:10:00.000Z");
+    assert.equal(nextFireTime("*/10 * * * *", at("2024-03-01T10:10:00Z"), "UTC").toISOString(), "2024-03-01T10:20:00.000Z");
+  });
+
+  test("nightly and weekly schedules", () => {
+    assert.equal(nextFireTime("0 3 * * *", at("2024-03-01T04:00:00Z"), "UTC").toISOString(), "2024-03-02T03:00:00.000Z");
+    // 2024-03-01 is a Friday; the next Sunday is the 3rd.
+    assert.equal(nextFireTime("0 4 * * 0", at("2024-03-01T04:00:00Z"), "UTC").toISOString(), "2024-03-03T04:00:00.000Z");
+    assert.equal(nextFireTime("0 4 * * sun", at("2024-03-01T04:00:00Z"), "UTC").toISOString(), "2024-03-03T04:00:00.000Z");
+    assert.equal(nextFireTime("30 9 1 jan *", at("2024-03-01T00:00:00Z"), "UTC").toISOString(), "2025-01-01T09:30:00.000Z");
+  });
+
+  test("honours the time zone", () => {
+    // 03:00 in Kolkata is 21:30 UTC the day before.
+    assert.equal(
+      nextFireTime("0 3 * * *", at("2024-03-01T12:00:00Z"), "Asia/Kolkata").toISOString(),
+      "2024-03-01T21:30:00.000Z",
+    );
+  });
+
+  test("six-field expressions fire on the given seconds", () => {
+    assert.equal(nextFireTime("15,45 * * * * *", at("2024-03-01T10:00:20Z"), "UTC").toISOString(), "2024-03-01T10:00:45.000Z");
+  });
+
+  test("an impossible date never fires", () => {
+    assert.equal(nextFireTime("0 0 30 2 *", at("2024-03-01T00:00:00Z"), "UTC"), null);
+  });
+
+  test("rejects malformed expressions", () => {
+    assert.throws(() => parseCronExpression("* * *"));
+    assert.throws(() => parseCronExpression("61 * * * *"));
+  });
+});
+
+describe("Scheduler", () => {
+  test("toggles persist and runs record their result", async () => {
+    const filePath = path.join(TMP, "state.json");
+    const scheduler = new Scheduler({ filePath, timezone: "UTC" });
+    let calls = 0;
+    scheduler.define("demo", { schedule: "0 3 * * *", run: async () => ({ calls: ++calls }) });
+
+    assert.equal(scheduler.list()[0].enabled, false);
+    assert.equal(scheduler.list()[0].nextRunAt, null);
+
+    scheduler.setEnabled("demo", true);
+    assert.ok(scheduler.list()[0].nextRunAt.endsWith("T03:00:00.000Z"));
+
+    const { lastRun } = await scheduler.trigger("demo", "manual");
+    assert.equal(lastRun.status, "succeeded");
+    assert.deepEqual(lastRun.result, { calls: 1 });
+
+    const reloaded = new Scheduler({ filePath, timezone: "UTC" });
+    reloaded.define("demo", { schedule: "0 3 * * *", run: async () => {} });
+    assert.equal(reloaded.list()[0].enabled, true);
+    assert.equal(reloaded.list()[0].lastRun.result.calls, 1);
+  });
+
+  test("a failing run records the error", async () => {
+    const scheduler = new Scheduler({ filePath: path.join(TMP, "fail.json") });
+    scheduler.define("broken", {
+      schedule: "* * * * *",
+      run: async () => {
+        throw new Error("boom");
+      },
+    });
+    const { lastRun } = await scheduler.trigger("broken");
+    assert.equal(lastRun.status, "failed");
+    assert.equal(lastRun.error, "boom");
+  });
+});
@@ -0,0 +1,176 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { ServerHealth, mergeServers, isManualServer } from "../services/server-health.js";
+import { MemoryDatabase } from "../services/storage/memory-client.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-health-"));
+
+// /ok plays, /gone is a 404, /deleted is a 200 page saying the file is gone,
+// /flaky answers 503 and /wrapped is what the resolver maps /player to.
+const server = http.createServer((req, res) => {
+  if (req.url === "/ok" || req.url === "/wrapped") return res.end("<video></video>");
+  if (req.url === "/deleted") return res.end("<h1>File was deleted</h1>");
+  if (req.url === "/flaky") {
+    res.statusCode = 503;
+    return res.end();
+  }
+  res.statusCode = 404;
+  res.end();
+});
+let base;
+
+before(async () => {
+  // Node 20's test runner can misparse a test file's output when emoji log
+  // lines land next to its own messages, so the checker's logs are muted.
+  mock.method(console, "log", () => {});
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+function createHealth(options = {}) {
+  return new ServerHealth({
+    filePath: path.join(TMP, `${Date.now()}-${Math.random()}.json`),
+    probes: { "127.0.0.1": { method: "GET", deadStatuses: [404, 410], deadPatterns: ["file was deleted"] } },
+    minIntervalMs: 0,
+    deadAfterFailures: 2,
+    ...options,
+  });
+}
+
+describe("ServerHealth", () => {
+  test("tells alive, dead and unreachable servers apart", async () => {
+    const health = createHealth();
+    assert.equal((await health.probe(`${base}/ok`)).status, "alive");
+    assert.equal((await health.probe(`${base}/gone`)).status, "dead");
+
+    const deleted = await health.probe(`${base}/deleted`);
+    assert.equal(deleted.status, "dead");
+    assert.equal(deleted.httpStatus, 200);
+
+    const flaky = await health.probe(`${base}/flaky`);
+    assert.equal(flaky.status, "error");
+    assert.equal(flaky.error, "HTTP 503");
+  });
+
+  test("counts an unreachable server as dead only after repeated failures", async () => {
+    const health = createHealth();
+    const first = await health.checkUrl(`${base}/flaky`);
+    assert.equal(first.failures, 1);
+    assert.equal(health.isDead(first), false);
+
+    const second = await health.checkUrl(`${base}/flaky`, { force: true });
+    assert.equal(second.failures, 2);
+    assert.equal(health.isDead(second), true);
+  });
+
+  test("does not re-probe a server checked within the recheck window", async () => {
+    const health = createHealth();
+    const first = await health.checkUrl(`${base}/ok`);
+    const again = await health.checkUrl(`${base}/ok`);
+    assert.equal(again.checkedAt, first.checkedAt);
+  });
+
+  test("probes the URL a resolver maps a player to", async () => {
+    const health = createHealth({ resolvers: { "127.0.0.1": (url) => (url.endsWith("/player") ? `${base}/wrapped` : null) } });
+    const result = await health.probe(`${base}/player`);
+    assert.equal(result.status, "alive");
+    assert.equal(result.probedUrl, `${base}/wrapped`);
+  });
+
+  test("flags episodes whose every server is dead and clears them once one works", async () => {
+    const db = new MemoryDatabase({
+      seed: {
+        episodes: [
+          { series_slug: "bleach", season: 1, episode: 1, servers: [{ real_video: `${base}/gone` }, { real_video: `${base}/deleted` }] },
+          { series_slug: "bleach", season: 1, episode: 2, servers: [{ real_video: `${base}/gone` }, { real_video: `${base}/ok` }] },
+          { series_slug: "bleach", season: 1, episode: 3, servers: [] },
+        ],
+      },
+    });
+    const health = createHealth();
+
+    const summary = await health.run({ db });
+    assert.deepEqual(summary, { episodes: 3, servers: 3, alive: 1, dead: 2, error: 0, flagged: 1, cleared: 0 });
+    assert.deepEqual(
+      health.flagged().map(({ series_slug, season, episode }) => [series_slug, season, episode]),
+      [["bleach", 1, 1]],
+    );
+    assert.equal(health.summary().hosts["127.0.0.1"].dead, 2);
+
+    await db.from("episodes").update({ servers: [{ real_video: `${base}/ok` }] }).eq("id", 1);
+    const rerun = await health.run({ db });
+    assert.equal(rerun.cleared, 1);
+    assert.deepEqual(health.flagged(), []);
+    // Servers no episode uses anymore are forgotten.
+    assert.deepEqual(
+      Object.keys(health.state.servers).sort(),
+      [`${base}/gone`, `${base}/ok`],
+    );
+  });
+
+  test("keeps results across restarts", async () => {
+    const filePath = path.join(TMP, "restart.json");
+    const health = createHealth({ filePath });
+    await health.checkEpisode({ series_slug: "bleach", season: 2, episode: 1, servers: [{ real_video: `${base}/gone` }] });
+    health.save();
+
+    const reloaded = createHealth({ filePath });
+    assert.equal(reloaded.flagged().length, 1);
+    assert.equal(reloaded.servers({ status: "dead" })[0].url, `${base}/gone`);
+  });
+});
+
+describe("mergeServers", () => {
+  const isManual = (server) => isManualServer(server, ["stream.lastanime.in"]);
+
+  test("replaces scraped servers and keeps manual ones after them", () => {
+    const merged = mergeServers(
+      [
+        { option: 1, real_video: "https://stream.lastanime.in/v/abc" },
+        { option: 2, real_video: "https://short.icu/old" },
+        { option: 3, real_video: "https://short.icu/pasted", manual: true },
+      ],
+      [
+        { option: 1, real_video: "https://short.icu/new" },
+        { option: 2, real_video: "https://abysscdn.com/?v=dead" },
+      ],
+      { isManual, isDead: (server) => server.real_video.includes("dead") },
+    );
+
+    assert.deepEqual(merged, [
+      { option: 1, real_video: "https://short.icu/new" },
+      { option: 2, real_video: "https://stream.lastanime.in/v/abc" },
+      { option: 3, real_video: "https://short.icu/pasted", manual: true },
+    ]);
+  });
+
+  test("keeps servers an admin added on any host", () => {
+    const pasted = { option: 1, real_video: "https://streamtape.com/e/pasted", provider: "streamtape", manual: true };
+    const merged = mergeServers([pasted], [{ option: 1, real_video: "https://short.icu/new" }], { isManual });
+    assert.deepEqual(
+      merged.map((server) => [server.real_video, server.manual === true]),
+      [
+        ["https://short.icu/new", false],
+        ["https://streamtape.com/e/pasted", true],
+      ],
+    );
+  });
+
+  test("keeps the stored list when the scrape found nothing usable", () => {
+    assert.equal(mergeServers([{ option: 1, real_video: "https://short.icu/a" }], [], { isManual }), null);
+    assert.equal(
+      mergeServers([], [{ option: 1, real_video: "https://short.icu/b" }], { isDead: () => true }),
+      null,
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeServer,
+  normalizeServers,
+  guessLanguage,
+  rankServers,
+  providerPreference,
+  DEFAULT_PROVIDER_ORDER,
+} from "../services/server-meta.js";
+
+describe("normalizeServer", () => {
+  test("reads provider, language and quality from the label and URL", () => {
+    assert.deepEqual(normalizeServer({ option: 2, real_video: "https://short.icu/abc?lang=hin", label: "Server 1080p" }), {
+      option: 2,
+      real_video: "https://short.icu/abc?lang=hin",
+      host: "short.icu",
+      provider: "hydrax",
+      label: "Server 1080p",
+      language: "Hindi",
+      subtitles: false,
+      quality: "1080p",
+    });
+  });
+
+  test("treats subbed servers as Japanese audio with subtitles", () => {
+    const server = normalizeServer({ real_video: "https://vidnest.fun/tv/1/1/1", label: "Sub" });
+    assert.equal(server.language, "Japanese");
+    assert.equal(server.subtitles, true);
+  });
+
+  test("ignores words in the hostname", () => {
+    const server = normalizeServer({ real_video: "https://sub.hd-player.example/e/1" });
+    assert.equal(server.language, null);
+    assert.equal(server.quality, null);
+    assert.equal(server.label, "sub.hd-player.example");
+  });
+
+  test("prefers stored values, then hints, over guesses", () => {
+    const server = normalizeServer(
+      { real_video: "https://short.icu/a", label: "Tamil", language: "Hindi", quality: "720p" },
+      { language: "english", subtitles: true, quality: "1080p" },
+    );
+    assert.equal(server.language, "Hindi");
+    assert.equal(server.subtitles, true);
+    assert.equal(server.quality, "720p");
+    assert.equal(normalizeServer({ real_video: "https://short.icu/a", label: "Tamil" }, { language: "dub" }).language, "English");
+  });
+
+  test("reads the legacy { name, url } shape and keeps scraper extras", () => {
+    const server = normalizeServer({
+      name: "Main",
+      url: "https://rumble.com/embed/v1",
+      direct_url: "https://rumble.com/hls-vod/1/playlist.m3u8",
+      chain: ["https://rumble.com/embed/v1"],
+    });
+    assert.equal(server.real_video, "https://rumble.com/embed/v1");
+    assert.equal(server.label, "Main");
+    assert.equal(server.provider, "rumble");
+    assert.equal(server.quality, "auto");
+    assert.deepEqual(server.chain, ["https://rumble.com/embed/v1"]);
+    assert.equal("url" in server || "name" in server, false);
+  });
+});
+
+test("normalizeServers drops entries without a URL and numbers the rest", () => {
+  const servers = normalizeServers([{ real_video: "https://stream.lastanime.in/v/x" }, { label: "empty" }, { url: "https://short.icu/b" }]);
+  assert.deepEqual(
+    servers.map(({ option, provider, label }) => [option, provider, label]),
+    [
+      [1, "lastanime", "Lastanime"],
+      [2, "hydrax", "Hydrax"],
+    ],
+  );
+});
+
+test("guessLanguage checks specific languages before generic sub/dub words", () => {
+  assert.equal(guessLanguage("Hindi Dub"), "Hindi");
+  assert.equal(guessLanguage("Multi Audio"), "Multi");
+  assert.equal(guessLanguage("Tamil"), "Tamil");
+  assert.equal(guessLanguage("Server 1"), null);
+});
+
+describe("rankServers", () => {
+  const servers = normalizeServers([
+    { real_video: "https://streamtape.com/e/1" },
+    { real_video: "https://vidnest.fun/tv/1/1/1" },
+    { real_video: "https://short.icu/b" },
+    { real_video: "https://odd-host.example/e/1" },
+    { real_video: "https://short.icu/a" },
+  ]);
+  const urls = (list) => list.map((server) => server.real_video);
+
+  test("orders by provider preference and URL whatever the source order", () => {
+    const expected = [
+      "https://short.icu/a",
+      "https://short.icu/b",
+      "https://vidnest.fun/tv/1/1/1",
+      "https://streamtape.com/e/1",
+      "https://odd-host.example/e/1",
+    ];
+    assert.deepEqual(urls(rankServers(servers)), expected);
+    assert.deepEqual(urls(rankServers([...servers].reverse())), expected);
+    assert.deepEqual(
+      rankServers(servers).map((server) => server.option),
+      [1, 2, 3, 4, 5],
+    );
+  });
+
+  test("puts working servers first and dead ones last", () => {
+    const status = { "https://short.icu/a": "dead", "https://short.icu/b": "error", "https://streamtape.com/e/1": "alive" };
+    assert.deepEqual(urls(rankServers(servers, { statusOf: (url) => status[url] || null })), [
+      "https://streamtape.com/e/1",
+      "https://vidnest.fun/tv/1/1/1",
+      "https://odd-host.example/e/1",
+      "https://short.icu/b",
+      "https://short.icu/a",
+    ]);
+  });
+
+  test("takes the preference from a comma-separated list of providers or hosts", () => {
+    assert.deepEqual(providerPreference(""), DEFAULT_PROVIDER_ORDER);
+    const preference = providerPreference(" odd-host.example, Streamtape ");
+    assert.deepEqual(preference, ["odd-host.example", "streamtape"]);
+    assert.deepEqual(urls(rankServers(servers, { preference })).slice(0, 2), [
+      "https://odd-host.example/e/1",
+      "https://streamtape.com/e/1",
+    ]);
+  });
+});
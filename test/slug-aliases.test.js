@@ -0,0 +1,87 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SlugAliases, DEFAULT_ALIASES } from "../services/slug-aliases.js";
+import { ToonstreamAdapter } from "../services/source-adapters/toonstream.js";
+import { cleanSlug } from "../services/source-adapters/utils.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "slug-aliases-"));
+
+// Load/save warnings carry emoji, which Node 20's test runner can misparse.
+before(() => mock.method(console, "warn", () => {}));
+after(() => mock.restoreAll());
+
+describe("SlugAliases", () => {
+  const aliases = new SlugAliases({ aliases: DEFAULT_ALIASES });
+
+  test("maps every spelling of a source slug or title to the catalog slug", () => {
+    for (const name of ["naruto-shippuden", "Naruto Shippūden", "naruto-shippden", "Naruto Shippuden 2x5"]) {
+      assert.equal(aliases.canonicalSlug(name), "naruto-shippden", name);
+    }
+    assert.equal(aliases.canonicalSlug("Ranma 1/2"), cleanSlug("Ranma 1/2"));
+    assert.equal(cleanSlug("Naruto Shippuden"), "naruto-shippuden");
+  });
+
+  test("gives URL builders the slug the source files a catalog slug under", () => {
+    assert.equal(aliases.sourceSlug("naruto-shippden"), "naruto-shippuden");
+    assert.equal(aliases.sourceSlug("bleach"), "bleach");
+  });
+
+  test("returns the TMDB title or forced id for a slug or title", () => {
+    assert.deepEqual(aliases.tmdbLookup({ slug: "bleach-thousand-year-blood-war" }), { tmdbId: null, title: "Bleach" });
+    assert.deepEqual(aliases.tmdbLookup({ title: "Jujutsu Kaisen Season 2" }), { tmdbId: null, title: "Jujutsu Kaisen" });
+    assert.deepEqual(aliases.tmdbLookup({ slug: "ranma-1-2", title: "Ranma ½" }), { tmdbId: null, title: null });
+
+    const forced = new SlugAliases({ aliases: [{ sourceSlug: "ranma-1-2", tmdbId: "91592" }] });
+    assert.deepEqual(forced.tmdbLookup({ slug: "ranma-1-2" }), { tmdbId: 91592, title: null });
+  });
+
+  test("rejects aliases that map nothing or cannot match", () => {
+    const registry = new SlugAliases({ aliases: [] });
+    assert.throws(() => registry.upsert({ slug: "x" }), /sourceSlug or a pattern/);
+    assert.throws(() => registry.upsert({ sourceSlug: "x" }), /needs a slug, tmdbTitle or tmdbId/);
+    assert.throws(() => registry.upsert({ pattern: "(", slug: "x" }), /Invalid alias pattern/);
+    assert.throws(() => registry.upsert({ sourceSlug: "x", tmdbId: "abc" }), /Invalid TMDB id/);
+  });
+
+  test("persists edits and starts from the defaults without a file", () => {
+    const filePath = path.join(TMP, "aliases.json");
+    const registry = new SlugAliases({ filePath });
+    assert.deepEqual(
+      registry.list().map((alias) => alias.id),
+      DEFAULT_ALIASES.map((alias) => alias.id),
+    );
+
+    registry.upsert({ sourceSlug: "dr-stone", slug: "dr-stone-tv", tmdbTitle: "Dr. STONE" });
+    registry.upsert({ id: "dr-stone", sourceSlug: "dr-stone", slug: "dr-stone-series" });
+    assert.equal(registry.remove("bleach"), true);
+    assert.equal(registry.remove("bleach"), false);
+
+    const reloaded = new SlugAliases({ filePath });
+    assert.deepEqual(
+      reloaded.list().map((alias) => alias.id),
+      ["naruto-shippuden", "jujutsu-kaisen", "dr-stone"],
+    );
+    assert.equal(reloaded.canonicalSlug("dr-stone"), "dr-stone-series");
+    assert.equal(reloaded.get("dr-stone").tmdbTitle, null);
+  });
+});
+
+test("ToonstreamAdapter reads catalog slugs from URLs and builds URLs from source slugs", () => {
+  const aliases = new SlugAliases({ aliases: [{ sourceSlug: "one-piece-hindi", slug: "one-piece" }] });
+  const adapter = new ToonstreamAdapter(
+    { http: null, aliases },
+    { homeUrl: "https://toonstream.one/home/", episodeBaseUrl: "https://toonstream.live/", homeRetryDelaysMs: [] },
+  );
+
+  assert.equal(adapter.seriesSlugFromUrl("https://toonstream.one/series/one-piece-hindi/"), "one-piece");
+  assert.equal(
+    adapter.seriesUrlFromEpisode("https://toonstream.one/episode/one-piece-hindi-1x3/"),
+    "https://toonstream.live/series/one-piece-hindi/",
+  );
+  assert.equal(adapter.seriesUrlFromSlug("one-piece"), "https://toonstream.live/series/one-piece-hindi/");
+  assert.equal(adapter.episodeUrl("one-piece", 1, 3), "https://toonstream.live/episode/one-piece-hindi-1x3/");
+  assert.equal(adapter.movieUrlFromSlug("bleach"), "https://toonstream.live/movies/bleach/");
+});
@@ -0,0 +1,674 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+// Runs the real sync pipeline against the in-memory Supabase stand-in and the
+// saved Toonstream fixtures: no network, no live project.
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures", "toonstream");
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "toonstream-e2e-"));
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: "memory",
+  SYNC_CACHE_DIR: path.join(TMP, "cache"),
+  SYNC_RUNS_FILE: path.join(TMP, "sync_runs.json"),
+  BACKFILL_STATE_FILE: path.join(TMP, "backfill_state.json"),
+  BACKFILL_SERIES_DELAY_MS: "0",
+  SERVER_HEALTH_FILE: path.join(TMP, "server_health.json"),
+  SLUG_ALIASES_FILE: path.join(TMP, "slug_aliases.json"),
+  TMDB_REVIEW_FILE: path.join(TMP, "tmdb_review.json"),
+  METADATA_CACHE_FILE: path.join(TMP, "metadata_cache.json"),
+  TMDB_API_KEY: "",
+  TVDB_API_KEY: "",
+  HOME_RETRY_DELAYS_MS: "0",
+});
+
+const { getMemoryDatabase } = await import("../services/storage/index.js");
+const { ToonstreamAdapter } = await import("../services/source-adapters/toonstream.js");
+const sync = await import("../toonstream-supabase-sync.js");
+const { collectSeriesCoverage } = await import("../services/coverage-report.js");
+const { TmdbReviewQueue } = await import("../services/tmdb-review.js");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf-8");
+}
+
+// Every series page is the Bleach fixture and every episode page the data-src
+// fixture; the season API only knows season 2.
+const fixtureHttp = {
+  fetchHtml: async (url) => {
+    if (url === "https://toonstream.one/home/") return fixture("home.html");
+    if (url.includes("/series/")) return fixture("series.html");
+    if (url.includes("/episode/")) return fixture("episode-data-src.html");
+    if (url.includes("/movies/")) return fixture("movie.html");
+    throw new Error(`Unexpected request: ${url}`);
+  },
+  get: async (url, config) => {
+    if (!url.endsWith("/fetch_episodes.php")) throw new Error(`Unexpected request: ${url}`);
+    return { data: config.params.season === 2 ? JSON.parse(fixture("season-api.json")) : "" };
+  },
+  buildHeaders: () => ({}),
+  userAgent: () => "e2e-test",
+};
+
+sync.sources.register(
+  new ToonstreamAdapter(
+    { http: fixtureHttp },
+    {
+      homeUrl: "https://toonstream.one/home/",
+      episodeBaseUrl: "https://toonstream.live/",
+      seasonApiUrl: "https://toonstream.dad/home/fetch_episodes.php",
+      homeRetryDelaysMs: [],
+    },
+  ),
+);
+
+const db = getMemoryDatabase();
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+describe("fetchFullSeries", () => {
+  before(() => db.reset());
+
+  test("creates the series and every discovered episode", async () => {
+    const result = await sync.fetchFullSeries("https://toonstream.one/series/bleach/", null, {});
+
+    assert.equal(result.total, 5);
+    assert.equal(result.done, 5);
+    assert.equal(result.failed, 0);
+
+    const { data: series } = await db.from("series").select("*").eq("slug", "bleach").single();
+    assert.equal(series.title, "Bleach (2004)");
+    assert.ok(series.random_key);
+
+    const { data: episodes } = await db
+      .from("episodes")
+      .select("season, episode, servers")
+      .eq("series_slug", "bleach")
+      .order("season")
+      .order("episode");
+    assert.deepEqual(
+      episodes.map((ep) => `${ep.season}x${ep.episode}`),
+      ["1x1", "1x2", "2x1", "2x2", "2x3"],
+    );
+    // Ranked by provider preference, then URL, not by the page's tab order.
+    assert.deepEqual(
+      episodes[0].servers.map((server) => server.real_video),
+      ["https://abysscdn.com/?v=XyZ", "https://short.icu/AbCdEf", "https://streamtape.com/e/123"],
+    );
+
+    const { count } = await db.from("latest_episodes").select("*", { count: "exact", head: true });
+    assert.equal(count, 5);
+
+    const run = await sync.runStore.get(result.runId);
+    assert.equal(run.status, "succeeded");
+    assert.equal(run.summary.newEpisodes, 5);
+  });
+
+  test("a second run changes nothing", async () => {
+    const { data: before } = await db.from("series").select("random_key").eq("slug", "bleach").single();
+    const result = await sync.fetchFullSeries("https://toonstream.one/series/bleach/", null, {});
+    const run = await sync.runStore.get(result.runId);
+
+    assert.equal(run.summary.newEpisodes, 0);
+    assert.equal(run.summary.updatedEpisodes, 0);
+    assert.equal(run.summary.unchangedEpisodes, 5);
+    const { data: afterRow } = await db.from("series").select("random_key").eq("slug", "bleach").single();
+    assert.equal(afterRow.random_key, before.random_key);
+  });
+
+  test("dry run plans the writes without touching the database", async () => {
+    db.reset();
+    const result = await sync.fetchFullSeries("https://toonstream.one/series/bleach/", null, { dryRun: true });
+
+    assert.equal(result.plan.summary.seriesToCreate, 1);
+    assert.equal(result.plan.summary.episodesToInsert, 5);
+    assert.deepEqual(db.rows("series"), []);
+    assert.deepEqual(db.rows("episodes"), []);
+  });
+});
+
+describe("fetchFullMovie", () => {
+  before(() => db.reset());
+
+  test("creates the movie row with its servers and leaves an unchanged movie alone", async () => {
+    const url = "https://toonstream.one/movies/some-movie/";
+    const first = await sync.fetchFullMovie(url, null, {});
+    assert.equal(first.outcome, "new");
+    assert.equal(first.servers, 2);
+
+    const [movie] = db.rows("movies");
+    assert.equal(movie.title, "Some Movie (2021)");
+    assert.equal(movie.servers[0].real_video, "https://short.icu/MovieHin");
+    assert.deepEqual(db.rows("series"), []);
+    assert.deepEqual(db.rows("episodes"), []);
+
+    const again = await sync.fetchFullMovie(url, null, {});
+    assert.equal(again.outcome, "unchanged");
+  });
+
+  test("plans the movie without writing on a dry run", async () => {
+    db.reset();
+    const result = await sync.fetchFullMovie("https://toonstream.one/movies/some-movie/", null, { dryRun: true });
+    assert.equal(result.plan.summary.seriesToCreate, 1);
+    assert.equal(result.plan.summary.moviesToSync, 1);
+    assert.deepEqual(db.rows("movies"), []);
+  });
+
+  test("refuses a series URL", async () => {
+    await assert.rejects(sync.fetchFullMovie("https://toonstream.one/series/bleach/", null, {}), /Not a movie URL/);
+  });
+});
+
+describe("home sync (start)", () => {
+  before(() => db.reset());
+
+  test("syncs every series listed on the home page", async () => {
+    const report = await sync.start({ trigger: "test" });
+
+    assert.equal(report.status, "succeeded");
+    const slugs = db.rows("series").map((row) => row.slug).sort();
+    assert.deepEqual(slugs, ["bleach", "naruto-shippden", "ranma-1-2"]);
+
+    // The movie card is synced into the movies table, not as a series.
+    const [movie] = db.rows("movies");
+    assert.equal(movie.slug, "some-movie");
+    assert.deepEqual(
+      movie.servers.map(({ option, real_video, provider, language }) => [option, real_video, provider, language]),
+      [
+        [1, "https://short.icu/MovieHin", "hydrax", "Hindi"],
+        [2, "https://rumble.com/embed/v5mov/?pub=4oi67i", "rumble", "English"],
+      ],
+    );
+    assert.deepEqual(
+      report.movies.map(({ slug, outcome }) => [slug, outcome]),
+      [["some-movie", "new"]],
+    );
+
+    // The trigger episode is not in the series listing, so it is synced from
+    // its own URL on top of the discovered ones.
+    const { data: trigger } = await db
+      .from("episodes")
+      .select("title")
+      .match({ series_slug: "bleach", season: 1, episode: 12 })
+      .maybeSingle();
+    assert.ok(trigger);
+  });
+});
+
+describe("backfillCatalog", () => {
+  before(() => db.reset());
+
+  test("fills the missing episodes of every series row", async () => {
+    await db.from("series").insert({ slug: "bleach", title: "Bleach" });
+    await db.from("episodes").insert({ series_slug: "bleach", season: 1, episode: 1, servers: [] });
+
+    const result = await sync.backfillCatalog({ trigger: "test", restart: true });
+
+    assert.equal(result.status, "completed");
+    assert.equal(result.failed, 0);
+    assert.equal(result.progress.processed, 1);
+    assert.equal(result.progress.filled, 4);
+    const { count } = await db.from("episodes").select("*", { count: "exact", head: true }).eq("series_slug", "bleach");
+    assert.equal(count, 5);
+  });
+
+  test("pauses after the per-run limit and resumes where it stopped", async () => {
+    db.reset();
+    await db.from("series").insert([
+      { slug: "bleach", title: "Bleach" },
+      { slug: "naruto", title: "Naruto" },
+      { slug: "ranma", title: "Ranma" },
+    ]);
+
+    const first = await sync.backfillCatalog({ trigger: "test", restart: true, maxSeries: 2 });
+    assert.equal(first.status, "paused");
+    assert.equal(first.progress.cursor, 2);
+    assert.equal(first.progress.percent, 67);
+
+    const second = await sync.backfillCatalog({ trigger: "test", maxSeries: 2 });
+    assert.equal(second.status, "completed");
+    assert.equal(second.handled, 1);
+    assert.equal(second.progress.processed, 3);
+    assert.equal(second.progress.runs, 2);
+    assert.equal(db.rows("episodes").filter((ep) => ep.series_slug === "ranma").length, 5);
+  });
+});
+
+// The fixture episode page lists these three servers. Probe results are
+// seeded as fresh so nothing is probed over the network.
+const FIXTURE_SERVERS = ["https://short.icu/AbCdEf", "https://abysscdn.com/?v=XyZ", "https://streamtape.com/e/123"];
+
+function seedServerHealth(statuses) {
+  const checkedAt = new Date().toISOString();
+  for (const [url, status] of Object.entries(statuses)) {
+    sync.serverHealth.state.servers[url] = { url, status, checkedAt, failures: status === "alive" ? 0 : 1 };
+  }
+}
+
+describe("dead server re-scrape", () => {
+  before(() => {
+    db.reset();
+    seedServerHealth({
+      "https://short.icu/dead": "dead",
+      "https://short.icu/AbCdEf": "alive",
+      "https://abysscdn.com/?v=XyZ": "alive",
+      "https://streamtape.com/e/123": "dead",
+    });
+  });
+
+  test("merges working scraped servers and keeps manual ones", async () => {
+    await db.from("episodes").insert({
+      series_slug: "bleach",
+      season: 1,
+      episode: 13,
+      servers: [
+        { option: 1, real_video: "https://short.icu/dead" },
+        { option: 2, real_video: "https://stream.lastanime.in/v/grdgrdgAbc" },
+      ],
+    });
+
+    const summary = await sync.rescrapeEpisodes([{ series_slug: "bleach", season: 1, episode: 13 }], { trigger: "test" });
+
+    assert.deepEqual(summary.results.map((result) => [result.url, result.status]), [
+      ["https://toonstream.live/episode/bleach-1x13/", "rescraped"],
+    ]);
+    assert.equal(summary.recovered, 1);
+    const { data } = await db.from("episodes").select("servers").eq("series_slug", "bleach").eq("episode", 13).single();
+    assert.deepEqual(
+      data.servers.map((server) => [server.option, server.real_video]),
+      [
+        [1, "https://abysscdn.com/?v=XyZ"],
+        [2, "https://short.icu/AbCdEf"],
+        [3, "https://stream.lastanime.in/v/grdgrdgAbc"],
+      ],
+    );
+    // The kept manual server is brought up to the current server schema.
+    assert.equal(data.servers[2].provider, "lastanime");
+    assert.equal(data.servers[2].label, "Lastanime");
+  });
+
+  test("the series sync re-scrapes stored episodes whose servers all fail first", async () => {
+    db.reset();
+    const working = [{ option: 1, real_video: FIXTURE_SERVERS[0] }];
+    await db.from("series").insert({ slug: "bleach", title: "Bleach" });
+    await db.from("episodes").insert(
+      [
+        [1, 1],
+        [1, 2],
+        [2, 1],
+        [2, 2],
+        [2, 3],
+      ].map(([season, episode]) => ({
+        series_slug: "bleach",
+        season,
+        episode,
+        servers: season === 1 && episode === 2 ? [{ option: 1, real_video: "https://short.icu/dead" }] : working,
+      })),
+    );
+
+    const result = await sync.backfillCatalog({ trigger: "test", restart: true });
+
+    assert.equal(result.progress.filled, 1);
+    const { data } = await db.from("episodes").select("servers").match({ series_slug: "bleach", season: 1, episode: 2 }).single();
+    assert.deepEqual(data.servers.map((server) => server.real_video), [FIXTURE_SERVERS[1], FIXTURE_SERVERS[0]]);
+    assert.equal(sync.serverHealth.flagged().length, 0);
+  });
+
+  test("a dry run judges stored servers by the saved health state without probing", async () => {
+    db.reset();
+    await db.from("series").insert({ slug: "bleach", title: "Bleach" });
+    await db.from("episodes").insert([
+      { series_slug: "bleach", season: 1, episode: 1, servers: [{ option: 1, real_video: "https://short.icu/never-probed" }] },
+      { series_slug: "bleach", season: 1, episode: 2, servers: [{ option: 1, real_video: "https://short.icu/dead" }] },
+    ]);
+    // Never-probed scraped servers: the re-scrape of S1E2 would probe them.
+    for (const url of FIXTURE_SERVERS) delete sync.serverHealth.state.servers[url];
+    const healthFile = process.env.SERVER_HEALTH_FILE;
+    const savedHealth = fs.existsSync(healthFile) ? fs.readFileSync(healthFile, "utf-8") : null;
+    const state = JSON.stringify(sync.serverHealth.state);
+
+    const plan = await sync.start({ dryRun: true });
+
+    assert.ok(plan.summary.episodesToInsert > 0);
+    assert.equal(JSON.stringify(sync.serverHealth.state), state);
+    assert.equal(sync.serverHealth.state.servers["https://short.icu/never-probed"], undefined);
+    assert.equal(fs.existsSync(healthFile) ? fs.readFileSync(healthFile, "utf-8") : null, savedHealth);
+  });
+});
+
+describe("coverage report", () => {
+  before(() => db.reset());
+
+  test("compares the database with the source season API and TMDB", async () => {
+    await db.from("episodes").insert([
+      { series_slug: "bleach", season: 1, episode: 1, servers: [{ real_video: "https://short.icu/a" }] },
+      { series_slug: "bleach", season: 2, episode: 1, servers: [] },
+    ]);
+    const tmdb = {
+      apiKey: "test",
+      getSeasons: async () => [{ season_number: 0 }, { season_number: 1 }, { season_number: 2 }],
+      getSeasonEpisodes: async () => [1, 2, 3].map((n) => ({ episode_number: n })),
+    };
+
+    const report = await collectSeriesCoverage(
+      { slug: "bleach", title: "Bleach", tmdb_id: 30984 },
+      { db, tmdb, sources: sync.sources },
+    );
+
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(
+      report.seasons.map(({ season, db: stored, source, tmdb: onTmdb }) => [season, stored, source, onTmdb]),
+      [
+        [1, 1, 2, 3],
+        [2, 1, 3, 3],
+      ],
+    );
+    assert.deepEqual(report.gaps.map((gap) => gap.label), ["S1E2", "S1E3", "S2E2", "S2E3"]);
+    assert.deepEqual(report.zeroServers, [{ season: 2, episode: 1 }]);
+  });
+});
+
+describe("sync-server routes", () => {
+  const port = 20000 + (process.pid % 20000);
+  const base = `http://127.0.0.1:${port}`;
+  const dbDir = path.join(TMP, "server-db");
+  let server;
+
+  before(async () => {
+    fs.mkdirSync(dbDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dbDir, "primary.json"),
+      JSON.stringify({
+        tables: { series: [{ id: 1, slug: "bleach", title: "Bleach", updated_at: "2024-01-01T00:00:00.000Z" }] },
+        nextIds: { series: 2 },
+      }),
+    );
+    const reviewQueue = new TmdbReviewQueue({ filePath: path.join(TMP, "server_tmdb_review.json") });
+    reviewQueue.add({
+      table: "series",
+      slug: "bleach",
+      title: "Bleach",
+      source: "sync",
+      candidates: [{ tmdbId: 30984, title: "Bleach", year: 2004, score: 0.7 }],
+    });
+    fs.writeFileSync(
+      path.join(TMP, "server_metadata_cache.json"),
+      JSON.stringify({
+        entries: {
+          "tmdb:/tv/30984?append_to_response=images,external_ids&language=en-US": { resource: "details", storedAt: Date.now(), value: { id: 30984 } },
+          "tvdb:/search?query=Bleach&type=series": { resource: "tvdbSearch", storedAt: Date.now(), value: { data: [] } },
+        },
+      }),
+    );
+
+    server = spawn(process.execPath, ["sync-server.js"], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        MEMORY_DB_DIR: dbDir,
+        SYNC_QUEUE_FILE: path.join(TMP, "sync_queue.json"),
+        AUDIT_LOG_FILE: path.join(TMP, "audit_log.json"),
+        SCHEDULER_STATE_FILE: path.join(TMP, "scheduler_state.json"),
+        SERVER_HEALTH_FILE: path.join(TMP, "server_health.json"),
+        TMDB_REVIEW_FILE: path.join(TMP, "server_tmdb_review.json"),
+        METADATA_CACHE_FILE: path.join(TMP, "server_metadata_cache.json"),
+        CRON_TIMEZONE: "UTC",
+        ENABLE_TELEGRAM_TRIGGER: "false",
+        ENABLE_CRON_SYNC: "false",
+        AUTO_SYNC_ON_START: "false",
+        AUTH_USERS: "editor:editor-pass:admin,reader:reader-pass:viewer",
+        AUTH_TOKENS: "admin-token:admin:test",
+        AUTH_SECRET: "e2e-secret",
+      },
+      stdio: "ignore",
+    });
+
+    for (let i = 0; i < 50; i++) {
+      try {
+        await fetch(`${base}/status`);
+        return;
+      } catch {
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      }
+    }
+    throw new Error("sync-server did not start");
+  });
+
+  after(() => server?.kill());
+
+  const asAdmin = { Authorization: "Bearer admin-token" };
+
+  test("searches the seeded series", async () => {
+    const res = await fetch(`${base}/api/series?q=blea`, { headers: asAdmin });
+    const rows = await res.json();
+    assert.deepEqual(rows.map((row) => row.slug), ["bleach"]);
+  });
+
+  test("adds an episode and upserts it on the second call", async () => {
+    const add = (serversRaw) =>
+      fetch(`${base}/api/episodes/add-single`, {
+        method: "POST",
+        headers: { ...asAdmin, "Content-Type": "application/json" },
+        body: JSON.stringify({ seriesSlug: "bleach", season: 1, episode: 3, serversRaw }),
+      }).then((res) => res.json());
+
+    assert.equal((await add("https://short.icu/one")).success, true);
+    assert.equal((await add("https://short.icu/two\nHindi 720p | https://abysscdn.com/?v=x")).success, true);
+
+    const episodes = await fetch(`${base}/api/episodes?slug=bleach&season=1`, { headers: asAdmin }).then((res) => res.json());
+    assert.equal(episodes.length, 1);
+    assert.deepEqual(
+      episodes[0].servers.map((server) => server.real_video),
+      ["https://abysscdn.com/?v=x", "https://short.icu/two"],
+    );
+    assert.deepEqual(episodes[0].servers[0], {
+      option: 1,
+      real_video: "https://abysscdn.com/?v=x",
+      host: "abysscdn.com",
+      provider: "hydrax",
+      label: "Hindi 720p",
+      language: "Hindi",
+      subtitles: false,
+      quality: "720p",
+      manual: true,
+    });
+  });
+
+  test("records who changed which row, with before and after", async () => {
+    const rename = await fetch(`${base}/api/series/rename`, {
+      method: "POST",
+      headers: { ...asAdmin, "Content-Type": "application/json" },
+      body: JSON.stringify({ id: 1, newName: "Bleach (2004)" }),
+    });
+    assert.equal(rename.status, 200);
+
+    const { entries } = await fetch(`${base}/api/audit?table=series`, { headers: asAdmin }).then((res) => res.json());
+    assert.equal(entries[0].actor, "test");
+    assert.equal(entries[0].action, "series.rename");
+    assert.equal(entries[0].route, "POST /api/series/rename");
+    assert.deepEqual(entries[0].changedFields, ["title"]);
+    assert.equal(entries[0].before.title, "Bleach");
+    assert.equal(entries[0].after.title, "Bleach (2004)");
+
+    const revert = await fetch(`${base}/api/audit/${entries[0].id}/revert`, { method: "POST", headers: asAdmin });
+    assert.equal(revert.status, 200);
+    const [series] = await fetch(`${base}/api/series?q=blea`, { headers: asAdmin }).then((res) => res.json());
+    assert.equal(series.title, "Bleach");
+
+    const episodeHistory = await fetch(`${base}/api/audit?slug=bleach&season=1&episode=3`, { headers: asAdmin }).then((res) =>
+      res.json(),
+    );
+    assert.deepEqual(
+      episodeHistory.entries.map((entry) => [entry.before === null, entry.changedFields.includes("servers")]),
+      [
+        [false, true],
+        [true, true],
+      ],
+    );
+  });
+
+  test("rejects anonymous API calls and sends browsers to the login form", async () => {
+    assert.equal((await fetch(`${base}/api/series?q=blea`)).status, 401);
+    assert.equal((await fetch(`${base}/api/logs/stream`)).status, 401);
+    assert.equal((await fetch(`${base}/sync`)).status, 401);
+
+    const page = await fetch(`${base}/admin/`, { headers: { Accept: "text/html" }, redirect: "manual" });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get("location"), "/login?next=%2Fadmin%2F");
+  });
+
+  test("a viewer session can read but not write", async () => {
+    const login = await fetch(`${base}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: "reader", password: "reader-pass" }),
+    });
+    assert.equal(login.status, 200);
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+
+    const me = await fetch(`${base}/api/me`, { headers: { cookie } }).then((res) => res.json());
+    assert.deepEqual(me, { name: "reader", role: "viewer", via: "session" });
+    assert.equal((await fetch(`${base}/api/series?q=blea`, { headers: { cookie } })).status, 200);
+
+    const write = await fetch(`${base}/api/series/rename`, {
+      method: "POST",
+      headers: { cookie, "Content-Type": "application/json" },
+      body: JSON.stringify({ id: 1, newName: "Hacked" }),
+    });
+    assert.equal(write.status, 403);
+  });
+
+  test("rejects a wrong password", async () => {
+    const res = await fetch(`${base}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: "editor", password: "nope" }),
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("lists the schedules with their next run in /status", async () => {
+    const status = await fetch(`${base}/status`).then((res) => res.json());
+    const names = status.schedules.map((schedule) => schedule.name);
+    assert.deepEqual(names, ["latest-home", "nightly-backfill", "tmdb-refresh", "hydrax-rotation", "server-health"]);
+    assert.equal(status.schedules[0].enabled, false);
+
+    const enabled = await fetch(`${base}/api/schedules/nightly-backfill`, {
+      method: "POST",
+      headers: { ...asAdmin, "Content-Type": "application/json" },
+      body: JSON.stringify({ enabled: true }),
+    }).then((res) => res.json());
+    assert.match(enabled.nextRunAt, /T03:00:00\.000Z$/);
+
+    const after = await fetch(`${base}/status`).then((res) => res.json());
+    assert.equal(after.syncStatus.nextRunTime, enabled.nextRunAt);
+  });
+
+  test("serves a database-only coverage report", async () => {
+    const report = await fetch(`${base}/api/reports/coverage?slug=bleach&source=false&tmdb=false`, {
+      headers: asAdmin,
+    }).then((res) => res.json());
+    assert.equal(report.series.length, 1);
+    assert.equal(report.series[0].slug, "bleach");
+    assert.equal(report.series[0].totals.source, null);
+    assert.equal(report.summary.zeroServers, 0);
+
+    const missing = await fetch(`${base}/api/reports/coverage?slug=nope`, { headers: asAdmin });
+    assert.equal(missing.status, 404);
+  });
+
+  test("reports server health and queues a check", async () => {
+    const summary = await fetch(`${base}/api/server-health`, { headers: asAdmin }).then((res) => res.json());
+    assert.equal(summary.flagged, 0);
+    assert.equal(summary.lastRun, null);
+
+    const queued = await fetch(`${base}/api/server-health/run`, {
+      method: "POST",
+      headers: { ...asAdmin, "Content-Type": "application/json" },
+      body: JSON.stringify({ slug: "bleach" }),
+    });
+    assert.equal(queued.status, 202);
+    const { jobId } = await queued.json();
+
+    let job;
+    for (let i = 0; i < 50 && job?.state !== "succeeded"; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      job = await fetch(`${base}/api/jobs/${jobId}`, { headers: asAdmin }).then((res) => res.json());
+    }
+    assert.equal(job.state, "succeeded");
+    const flagged = await fetch(`${base}/api/server-health/flagged`, { headers: asAdmin }).then((res) => res.json());
+    assert.deepEqual(flagged, { episodes: [], total: 0 });
+  });
+
+  test("edits the slug alias registry", async () => {
+    const post = (body) =>
+      fetch(`${base}/api/aliases`, {
+        method: "POST",
+        headers: { ...asAdmin, "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+    const saved = await post({ sourceSlug: "ranma-1-2", tmdbId: "1234" });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(await saved.json(), {
+      id: "ranma-1-2",
+      sourceSlug: "ranma-1-2",
+      pattern: null,
+      slug: null,
+      tmdbTitle: null,
+      tmdbId: 1234,
+    });
+    assert.equal((await post({ sourceSlug: "ranma-1-2" })).status, 400);
+
+    const list = await fetch(`${base}/api/aliases`, { headers: asAdmin }).then((res) => res.json());
+    assert.deepEqual(
+      list.aliases.map((alias) => alias.id),
+      ["naruto-shippuden", "bleach", "jujutsu-kaisen", "ranma-1-2"],
+    );
+
+    const removed = await fetch(`${base}/api/aliases/ranma-1-2`, { method: "DELETE", headers: asAdmin });
+    assert.equal(removed.status, 200);
+    const again = await fetch(`${base}/api/aliases/ranma-1-2`, { method: "DELETE", headers: asAdmin });
+    assert.equal(again.status, 404);
+  });
+
+  test("lists rows waiting for a TMDB pick and dismisses them", async () => {
+    const pending = await fetch(`${base}/api/tmdb/review`, { headers: asAdmin }).then((res) => res.json());
+    assert.deepEqual(
+      pending.entries.map((entry) => [entry.id, entry.candidates[0].tmdbId]),
+      [["series:bleach", 30984]],
+    );
+
+    const resolve = await fetch(`${base}/api/tmdb/review/series:bleach/resolve`, {
+      method: "POST",
+      headers: { ...asAdmin, "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    });
+    assert.equal(resolve.status, 400);
+
+    const dismissed = await fetch(`${base}/api/tmdb/review/series:bleach/dismiss`, { method: "POST", headers: asAdmin });
+    assert.equal((await dismissed.json()).status, "dismissed");
+    const status = await fetch(`${base}/status`).then((res) => res.json());
+    assert.deepEqual(status.tmdbReview, { pending: 0 });
+  });
+
+  test("reports and purges the metadata cache", async () => {
+    const stats = await fetch(`${base}/api/metadata/cache`, { headers: asAdmin }).then((res) => res.json());
+    assert.equal(stats.entries, 2);
+    assert.deepEqual([stats.resources.details.entries, stats.resources.tvdbSearch.entries], [1, 1]);
+
+    const unknown = await fetch(`${base}/api/metadata/cache?resource=posters`, { method: "DELETE", headers: asAdmin });
+    assert.equal(unknown.status, 400);
+    const purged = await fetch(`${base}/api/metadata/cache?resource=details`, { method: "DELETE", headers: asAdmin });
+    assert.equal((await purged.json()).removed, 1);
+
+    const status = await fetch(`${base}/status`).then((res) => res.json());
+    assert.equal(status.metadataCache.entries, 1);
+  });
+});
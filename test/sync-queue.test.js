@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SyncQueue } from "../services/sync-queue.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "sync-queue-"));
+
+test("a series queued by an earlier home run keeps reporting to that run", async () => {
+  const queue = new SyncQueue({ filePath: path.join(TMP, "queue.json") });
+  // Like sync-server's home job: fan out one series job per slug, reporting
+  // to the home job's run.
+  queue.register("home", async ({ episode }, ctx) => {
+    const { job, created } = ctx.enqueue(
+      "series",
+      { slug: "bleach", triggeringEpisode: episode, runId: ctx.job.id },
+      { dedupeKey: "series:bleach", keep: ["runId"] },
+    );
+    return { created, runId: job.payload.runId };
+  });
+  queue.register("series", async () => null);
+
+  // The queue is not started, so the series job is still queued when the
+  // second home run finds the same series.
+  const { job: first } = queue.enqueue("home", { episode: 12 });
+  await queue.runJob(first);
+  const { job: second } = queue.enqueue("home", { episode: 13 });
+  await queue.runJob(second);
+
+  assert.deepEqual(first.result, { created: true, runId: first.id });
+  assert.deepEqual(second.result, { created: false, runId: first.id });
+  const series = queue.list({ type: "series" });
+  assert.equal(series.length, 1);
+  assert.deepEqual([series[0].payload.runId, series[0].payload.triggeringEpisode], [first.id, 13]);
+});
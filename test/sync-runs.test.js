@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SyncRunReport } from "../services/sync-runs.js";
+
+test("a run whose series job failed outright is not reported as succeeded", () => {
+  const failedOnly = new SyncRunReport({ id: "a" });
+  failedOnly.touchSeries("bleach", "Bleach");
+  failedOnly.recordSeriesError("bleach", new Error("Series page timed out"));
+  assert.equal(failedOnly.finish().status, "failed");
+  assert.equal(failedOnly.getSummary().failedSeries, 1);
+
+  const mixed = new SyncRunReport({ id: "b" });
+  mixed.recordNew({ series_slug: "naruto-shippden", season: 1, episode: 1 });
+  mixed.recordSeriesError("bleach", new Error("Series page timed out"));
+  assert.equal(mixed.finish().status, "partial");
+
+  const clean = new SyncRunReport({ id: "c" });
+  clean.recordUnchanged({ series_slug: "bleach", season: 1, episode: 1 });
+  assert.equal(clean.finish().status, "succeeded");
+});
@@ -0,0 +1,110 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { matchTmdbResults, scoreCandidate, titleSimilarity } from "../services/tmdb/tmdb-match.js";
+import { TmdbReviewQueue } from "../services/tmdb-review.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "tmdb-match-"));
+
+// Trimmed /search/tv results: the 2004 anime, a live-action namesake and an
+// unrelated show that shares a word.
+const BLEACH_RESULTS = [
+  { id: 1, name: "Bleach", original_name: "BLEACH", first_air_date: "2018-07-20", genre_ids: [18], original_language: "hi" },
+  { id: 30984, name: "Bleach", original_name: "BLEACH", first_air_date: "2004-10-05", genre_ids: [16, 10759], original_language: "ja" },
+  { id: 3, name: "Bleached Hearts", first_air_date: "2004-01-01", genre_ids: [18], original_language: "en" },
+];
+
+test("titleSimilarity ignores case, accents and punctuation", () => {
+  assert.equal(titleSimilarity("Naruto Shippūden", "naruto shippuden"), 1);
+  assert.equal(titleSimilarity("Ranma ½", "Ranma 1/2"), 1);
+  assert.ok(titleSimilarity("Bleach", "Bleached Hearts") < 0.6);
+  assert.equal(titleSimilarity("", "Bleach"), 0);
+});
+
+describe("scoreCandidate", () => {
+  test("rewards the animated, original-language, same-year result", () => {
+    const [liveAction, anime, other] = BLEACH_RESULTS.map((result) =>
+      scoreCandidate(result, { titles: ["Bleach"], year: 2004 }),
+    );
+    assert.equal(anime.score, 1);
+    assert.deepEqual(anime.signals, { title: 1, year: 1, animation: 1, language: 1 });
+    assert.ok(liveAction.score < 0.8);
+    assert.ok(other.score < 0.8);
+  });
+
+  test("checks the episode coverage when details are given", () => {
+    const result = BLEACH_RESULTS[1];
+    const scored = scoreCandidate(result, { titles: ["Bleach"], seasons: 4, episodes: 100 }, { total_seasons: 2, total_episodes: 366 });
+    assert.equal(scored.signals.episodes, 0.75);
+  });
+});
+
+describe("matchTmdbResults", () => {
+  test("takes a confident match even when TMDB lists it second", async () => {
+    const match = await matchTmdbResults(BLEACH_RESULTS, { titles: ["Bleach"] });
+    assert.equal(match.accepted, true);
+    assert.equal(match.best.tmdbId, 30984);
+    assert.deepEqual(
+      match.candidates.map((candidate) => candidate.tmdbId),
+      [30984, 1, 3],
+    );
+  });
+
+  test("leaves weak matches for review", async () => {
+    const match = await matchTmdbResults(BLEACH_RESULTS, { titles: ["Blue Lock"] });
+    assert.equal(match.accepted, false);
+    assert.equal(match.candidates.length, 3);
+    assert.equal((await matchTmdbResults([], { titles: ["Bleach"] })).best, null);
+  });
+
+  test("re-scores the top candidates with their details and returns the winner's", async () => {
+    const results = [
+      { id: 10, name: "Dragon Ball", genre_ids: [16], original_language: "ja" },
+      { id: 11, name: "Dragon Ball", genre_ids: [16], original_language: "ja" },
+    ];
+    const details = { 10: { total_seasons: 1, total_episodes: 13 }, 11: { total_seasons: 5, total_episodes: 153 } };
+    const requested = [];
+    const match = await matchTmdbResults(
+      results,
+      { titles: ["Dragon Ball"], seasons: 5, episodes: 150 },
+      { getDetails: async (id) => (requested.push(id), details[id]), detailsFor: 2 },
+    );
+    assert.deepEqual(requested, [10, 11]);
+    assert.equal(match.best.tmdbId, 11);
+    assert.equal(match.details, details[11]);
+  });
+
+  test("uses the configured confidence threshold", async () => {
+    const match = await matchTmdbResults(BLEACH_RESULTS, { titles: ["Bleach"] }, { minConfidence: 1.01 });
+    assert.equal(match.accepted, false);
+  });
+});
+
+describe("TmdbReviewQueue", () => {
+  test("keeps one pending entry per row and persists picks", () => {
+    const filePath = path.join(TMP, "review.json");
+    const queue = new TmdbReviewQueue({ filePath });
+    const first = queue.add({ table: "series", slug: "bleach", title: "Bleach", source: "sync", candidates: [{ tmdbId: 1 }] });
+    queue.add({ table: "series", slug: "bleach", title: "Bleach", source: "refetch", candidates: [{ tmdbId: 2 }] });
+    queue.add({ table: "movies", slug: "akira", title: "Akira", source: "sync", candidates: [] });
+
+    assert.deepEqual(
+      queue.list().map((entry) => [entry.id, entry.type, entry.source]),
+      [
+        ["series:bleach", "tv", "refetch"],
+        ["movies:akira", "movie", "sync"],
+      ],
+    );
+    assert.equal(queue.get("series:bleach").createdAt, first.createdAt);
+
+    queue.resolve("series:bleach", { tmdbId: 30984, actor: { name: "editor" } });
+    assert.equal(queue.dismiss("missing", { actor: null }), null);
+
+    const reloaded = new TmdbReviewQueue({ filePath });
+    assert.deepEqual(reloaded.summary(), { pending: 1 });
+    const resolved = reloaded.get("series:bleach");
+    assert.deepEqual([resolved.status, resolved.resolvedTmdbId, resolved.resolvedBy], ["resolved", 30984, "editor"]);
+  });
+});
@@ -0,0 +1,389 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  ToonstreamAdapter,
+  extractEpisodeCards,
+  extractMovieCards,
+  extractNonce,
+  extractPostId,
+  extractSeasonNumbers,
+  extractSeriesEpisodeLinks,
+  extractSeriesMeta,
+} from "../services/source-adapters/toonstream.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "toonstream");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf-8");
+}
+
+// Serves saved pages by URL and fails loudly on anything else, so a parser
+// that starts fetching something new shows up as a test failure rather than
+// a network call.
+function fakeHttp(pages = {}) {
+  const requests = [];
+  const lookup = (url) => {
+    requests.push(url);
+    if (!(url in pages)) throw new Error(`Unexpected request: ${url}`);
+    const page = pages[url];
+    if (page instanceof Error) throw page;
+    return page;
+  };
+  return {
+    requests,
+    fetchHtml: async (url) => lookup(url),
+    get: async (url) => ({ data: lookup(url) }),
+    buildHeaders: () => ({}),
+    userAgent: () => "fixture-test",
+  };
+}
+
+function createAdapter(pages) {
+  const http = fakeHttp(pages);
+  const adapter = new ToonstreamAdapter(
+    { http },
+    {
+      homeUrl: "https://toonstream.one/home/",
+      episodeBaseUrl: "https://toonstream.live/",
+      seasonApiUrl: "https://toonstream.dad/home/fetch_episodes.php",
+      homeRetryDelaysMs: [],
+    },
+  );
+  return { adapter, http };
+}
+
+describe("extractEpisodeCards", () => {
+  const cards = extractEpisodeCards(fixture("home.html"), "https://toonstream.one/home/");
+
+  test("returns one card per episode link, skipping duplicates and non-episode posts", () => {
+    assert.deepEqual(
+      cards.map((card) => card.url),
+      [
+        "https://toonstream.one/episode/bleach-1x12/",
+        "https://toonstream.one/episode/naruto-shippuden-2x5/",
+        "https://toonstream.one/episode/ranma-1-2-3x1/",
+        "https://toonstream.one/episode/",
+      ],
+    );
+  });
+
+  test("reads titles from the heading, falling back to the link title", () => {
+    assert.equal(cards[0].title, "Bleach 1x12");
+    assert.equal(cards[2].title, "Ranma 1/2 3x1");
+  });
+
+  test("prefers lazy-load data-src and resolves protocol-relative and relative images", () => {
+    assert.equal(cards[0].thumb, "https://image.tmdb.org/t/p/w185/bleach-s1e12.jpg");
+    assert.equal(cards[1].thumb, "https://toonstream.one/wp-content/uploads/naruto-2x5.jpg");
+    assert.equal(cards[2].thumb, null);
+  });
+});
+
+test("extractMovieCards returns the movie posts only", () => {
+  assert.deepEqual(extractMovieCards(fixture("home.html"), "https://toonstream.one/home/"), [
+    { url: "https://toonstream.one/movies/some-movie/", title: "Some Movie", thumb: null },
+  ]);
+});
+
+describe("fetchLatestEpisodes", () => {
+  test("maps home cards to live-domain episode URLs and skips cards without an episode code", async () => {
+    const { adapter } = createAdapter({ "https://toonstream.one/home/": fixture("home.html") });
+    const skipped = [];
+    const episodes = await adapter.fetchLatestEpisodes({
+      report: { skip: (reason, ref) => skipped.push({ reason, url: ref.url }) },
+    });
+
+    assert.deepEqual(
+      episodes.map(({ url, seriesUrl, season, episode }) => ({ url, seriesUrl, season, episode })),
+      [
+        {
+          url: "https://toonstream.live/episode/bleach-1x12/",
+          seriesUrl: "https://toonstream.live/series/bleach/",
+          season: 1,
+          episode: 12,
+        },
+        {
+          url: "https://toonstream.live/episode/naruto-shippuden-2x5/",
+          seriesUrl: "https://toonstream.live/series/naruto-shippuden/",
+          season: 2,
+          episode: 5,
+        },
+        {
+          url: "https://toonstream.live/episode/ranma-1-2-3x1/",
+          seriesUrl: "https://toonstream.live/series/ranma-1-2/",
+          season: 3,
+          episode: 1,
+        },
+      ],
+    );
+    assert.equal(episodes[0].sourceUrl, "https://toonstream.one/episode/bleach-1x12/");
+    assert.deepEqual(skipped, [{ reason: "invalid-url", url: "https://toonstream.one/episode/" }]);
+  });
+
+  test("fetchLatest lists the home page's movies next to its episodes from one fetch", async () => {
+    const { adapter, http } = createAdapter({ "https://toonstream.one/home/": fixture("home.html") });
+    const { episodes, movies } = await adapter.fetchLatest();
+    assert.equal(episodes.length, 3);
+    assert.deepEqual(movies, [
+      {
+        url: "https://toonstream.live/movies/some-movie/",
+        sourceUrl: "https://toonstream.one/movies/some-movie/",
+        slug: "some-movie",
+        title: "Some Movie",
+        thumb: null,
+      },
+    ]);
+    assert.equal(http.requests.length, 1);
+    assert.equal(adapter.isMovieUrl(movies[0].url), true);
+    assert.equal(adapter.isMovieUrl("https://toonstream.live/series/bleach/"), false);
+  });
+
+  test("surfaces a failed home fetch", async () => {
+    const { adapter } = createAdapter({ "https://toonstream.one/home/": new Error("403") });
+    await assert.rejects(adapter.fetchLatestEpisodes(), /403/);
+  });
+});
+
+describe("series page parsers", () => {
+  const html = fixture("series.html");
+
+  test("extractSeasonNumbers reads data-season attributes", () => {
+    assert.deepEqual(extractSeasonNumbers(html), [1, 2, 3]);
+  });
+
+  test("extractSeasonNumbers falls back to season headings, sorted", () => {
+    assert.deepEqual(extractSeasonNumbers(fixture("series-season-headings.html")), [1, 2]);
+  });
+
+  test("extractSeasonNumbers assumes a single season when nothing is listed", () => {
+    assert.deepEqual(extractSeasonNumbers(fixture("series-no-seasons.html")), [1]);
+  });
+
+  test("extractPostId and extractNonce read the season selector and theme config", () => {
+    assert.equal(extractPostId(html), "1914");
+    assert.equal(extractNonce(html), "a1b2c3d4e5");
+    assert.equal(extractPostId(fixture("series-no-seasons.html")), null);
+  });
+
+  test("extractSeriesEpisodeLinks dedupes by season and episode", () => {
+    const links = extractSeriesEpisodeLinks(html, "https://toonstream.one/series/bleach/");
+    assert.deepEqual(
+      links.map(({ season, episode, title }) => ({ season, episode, title })),
+      [
+        { season: 1, episode: 1, title: "Bleach 1x1" },
+        { season: 1, episode: 2, title: "Bleach 1x2" },
+      ],
+    );
+  });
+
+  test("extractSeriesMeta reads title, year, genres, poster and season count", () => {
+    const meta = extractSeriesMeta(html, "https://toonstream.one/series/bleach/");
+    assert.equal(meta.title, "Bleach (2004)");
+    assert.equal(meta.year, 2004);
+    assert.equal(meta.seasons, 3);
+    assert.deepEqual(meta.genres, ["Action", "Anime"]);
+    assert.equal(meta.poster, "https://toonstream.one/wp-content/uploads/bleach-poster.jpg");
+  });
+});
+
+describe("extractEpisodesFromSeasonApiResponse", () => {
+  const { adapter } = createAdapter();
+
+  test("parses the html and episodes fields of a JSON response without duplicates", () => {
+    const episodes = adapter.extractEpisodesFromSeasonApiResponse(
+      JSON.parse(fixture("season-api.json")),
+      2,
+      "https://toonstream.one/series/bleach/",
+    );
+    assert.deepEqual(episodes, [
+      { season: 2, episode: 1, url: "https://toonstream.live/home/episode/bleach-2x1/", title: "Bleach 2x1" },
+      { season: 2, episode: 2, url: "https://toonstream.live/home/episode/bleach-2x2/", title: "Bleach 2x2" },
+      { season: 2, episode: 3, url: "https://toonstream.live/episode/bleach-2x3/", title: "Bleach 2x3" },
+    ]);
+  });
+
+  test("falls back to bare episode URLs in a text response", () => {
+    const episodes = adapter.extractEpisodesFromSeasonApiResponse(
+      fixture("season-api-urls.txt"),
+      3,
+      "https://toonstream.one/series/bleach/",
+    );
+    assert.deepEqual(
+      episodes.map((ep) => ep.url),
+      ["https://toonstream.live/episode/bleach-3x1/", "https://toonstream.live/episode/bleach-3x2/"],
+    );
+  });
+
+  test("returns nothing for empty or unexpected payloads", () => {
+    assert.deepEqual(adapter.extractEpisodesFromSeasonApiResponse(null, 1), []);
+    assert.deepEqual(adapter.extractEpisodesFromSeasonApiResponse({ success: false }, 1), []);
+    assert.deepEqual(adapter.extractEpisodesFromSeasonApiResponse([{ url: "https://toonstream.one/series/x/" }], 1), []);
+  });
+});
+
+describe("discoverEpisodes", () => {
+  test("combines the season API with the series page's own links", async () => {
+    const seriesUrl = "https://toonstream.one/series/bleach/";
+    const seasonApi = "https://toonstream.dad/home/fetch_episodes.php";
+    const calls = [];
+    const { adapter, http } = createAdapter({ [seriesUrl]: fixture("series.html") });
+    http.get = async (url, config) => {
+      calls.push({ url, params: config.params });
+      if (config.params.season === 2) return { data: JSON.parse(fixture("season-api.json")) };
+      return { data: "" };
+    };
+
+    const result = await adapter.discoverEpisodes(seriesUrl, { log: () => {} });
+
+    assert.deepEqual(result.seasons, [1, 2, 3]);
+    assert.deepEqual(calls, [
+      { url: seasonApi, params: { post: "1914", season: 1 } },
+      { url: seasonApi, params: { post: "1914", season: 2 } },
+      { url: seasonApi, params: { post: "1914", season: 3 } },
+    ]);
+    assert.deepEqual(
+      result.episodes.map((ep) => `${ep.season}x${ep.episode}`),
+      ["1x1", "1x2", "2x1", "2x2", "2x3"],
+    );
+  });
+});
+
+describe("resolveTrembedUrl", () => {
+  const episodeUrl = "https://toonstream.live/episode/bleach-1x13/";
+
+  test("returns the first iframe that is not a Toonstream page", async () => {
+    const trembedUrl = "https://toonstream.live/?trembed=0&trid=9021&trtype=2";
+    const { adapter } = createAdapter({ [trembedUrl]: fixture("trembed-iframe.html") });
+    assert.equal(
+      await adapter.resolveTrembedUrl(trembedUrl, episodeUrl),
+      "https://short.icu/Trembed0?autoplay=1&lang=hin",
+    );
+  });
+
+  test("falls back to an external source in inline scripts", async () => {
+    const trembedUrl = "https://toonstream.live/?trembed=1&trid=9021&trtype=2";
+    const { adapter } = createAdapter({ [trembedUrl]: fixture("trembed-script.html") });
+    assert.equal(
+      await adapter.resolveTrembedUrl(trembedUrl, episodeUrl),
+      "https://cdn.example-video.net/hls/bleach-1x13/master.m3u8",
+    );
+  });
+
+  test("returns null when only Toonstream frames are present or the request fails", async () => {
+    const empty = "https://toonstream.live/?trembed=2&trid=9021&trtype=2";
+    const broken = "https://toonstream.live/?trembed=3&trid=9021&trtype=2";
+    const httpErrors = [];
+    const { adapter } = createAdapter({
+      [empty]: fixture("trembed-empty.html"),
+      [broken]: Object.assign(new Error("Request failed with status code 502"), { response: { status: 502 } }),
+    });
+    assert.equal(await adapter.resolveTrembedUrl(empty, episodeUrl), null);
+    assert.equal(
+      await adapter.resolveTrembedUrl(broken, episodeUrl, {
+        report: { recordHttpError: (url) => httpErrors.push(url) },
+      }),
+      null,
+    );
+    assert.deepEqual(httpErrors, [broken]);
+  });
+});
+
+describe("extractEmbeds", () => {
+  test("uses data-src server links without any network request", async () => {
+    const { adapter, http } = createAdapter();
+    const embeds = await adapter.extractEmbeds(
+      fixture("episode-data-src.html"),
+      "https://toonstream.live/episode/bleach-1x12/",
+    );
+    const meta = { language: null, subtitles: false, quality: null };
+    assert.deepEqual(embeds, [
+      {
+        option: 1,
+        real_video: "https://short.icu/AbCdEf",
+        label: "Hydrax",
+        chain: ["https://short.icu/AbCdEf"],
+        host: "short.icu",
+        provider: "hydrax",
+        ...meta,
+      },
+      {
+        option: 2,
+        real_video: "https://abysscdn.com/?v=XyZ",
+        label: "Abyss",
+        chain: ["https://abysscdn.com/?v=XyZ"],
+        host: "abysscdn.com",
+        provider: "hydrax",
+        ...meta,
+      },
+      {
+        option: 3,
+        real_video: "https://streamtape.com/e/123",
+        label: "Server 4",
+        chain: ["https://streamtape.com/e/123"],
+        host: "streamtape.com",
+        provider: "streamtape",
+        ...meta,
+      },
+    ]);
+    assert.deepEqual(http.requests, []);
+  });
+
+  test("resolves each unique trembed iframe on the live domain", async () => {
+    const { adapter, http } = createAdapter({
+      "https://toonstream.live/home/?trembed=0&trid=9021&trtype=2": fixture("trembed-iframe.html"),
+      "https://toonstream.live/?trembed=1&trid=9021&trtype=2": fixture("trembed-script.html"),
+      "https://toonstream.live/?trembed=2&trid=9021&trtype=2": fixture("trembed-empty.html"),
+    });
+    const embeds = await adapter.extractEmbeds(
+      fixture("episode-trembed.html"),
+      "https://toonstream.live/episode/bleach-1x13/",
+    );
+    assert.deepEqual(embeds, [
+      {
+        option: 1,
+        real_video: "https://short.icu/Trembed0?autoplay=1&lang=hin",
+        label: "Hindi 1080p",
+        chain: ["https://toonstream.live/home/?trembed=0&trid=9021&trtype=2", "https://short.icu/Trembed0?autoplay=1&lang=hin"],
+        host: "short.icu",
+        provider: "hydrax",
+        language: "Hindi",
+        subtitles: false,
+        quality: "1080p",
+      },
+      {
+        option: 2,
+        real_video: "https://cdn.example-video.net/hls/bleach-1x13/master.m3u8",
+        label: "Japanese Sub",
+        chain: ["https://toonstream.live/?trembed=1&trid=9021&trtype=2", "https://cdn.example-video.net/hls/bleach-1x13/master.m3u8"],
+        host: "cdn.example-video.net",
+        provider: "cdn.example-video.net",
+        language: "Japanese",
+        subtitles: true,
+        quality: "auto",
+      },
+    ]);
+    assert.equal(http.requests.length, 3);
+  });
+
+  test("builds trembed URLs from trid/trtype pairs when no iframe is present", async () => {
+    const { adapter, http } = createAdapter({
+      "https://toonstream.live/?trembed=0&trid=9055&trtype=2": fixture("trembed-iframe.html"),
+      "https://toonstream.live/?trembed=1&trid=9056&trtype=2": fixture("trembed-empty.html"),
+    });
+    const embeds = await adapter.extractEmbeds(
+      fixture("episode-trid-only.html"),
+      "https://toonstream.live/episode/bleach-1x14/",
+    );
+    assert.deepEqual(http.requests, [
+      "https://toonstream.live/?trembed=0&trid=9055&trtype=2",
+      "https://toonstream.live/?trembed=1&trid=9056&trtype=2",
+    ]);
+    assert.deepEqual(
+      embeds.map((embed) => [embed.option, embed.real_video]),
+      [[1, "https://short.icu/Trembed0?autoplay=1&lang=hin"]],
+    );
+  });
+});
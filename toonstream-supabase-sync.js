@@ -1,17 +1,29 @@
 import "dotenv/config";
 import axios from "axios";
-import * as cheerio from "cheerio";
-import { createClient } from "@supabase/supabase-js";
 import ProxyManager from "./proxy-manager.js";
 import fs from "fs";
 import path from "path";
 import { randomBytes } from "crypto";
-
-const REQUIRED_ENV = [
-  "SUPABASE_URL",
-  "SUPABASE_SERVICE_ROLE_KEY",
-  "TMDB_API_KEY",
-];
+import { HostLimiter, runWithConcurrency } from "./services/concurrency.js";
+import { SyncPlan } from "./services/sync-plan.js";
+import { diffEpisode, diffServers, serversChanged, EPISODE_DIFF_COLUMNS } from "./services/episode-diff.js";
+import { RunStore, SyncRunReport } from "./services/sync-runs.js";
+import { BackfillProgress } from "./services/backfill-progress.js";
+import { ServerHealth, isManualServer, mergeServers, episodeHealthKey } from "./services/server-health.js";
+import { normalizeServers, rankServers, providerPreference } from "./services/server-meta.js";
+import { SourceAdapterRegistry, ToonstreamAdapter } from "./services/source-adapters/index.js";
+import { createEmbedResolvers } from "./services/embed-resolvers/index.js";
+import { cleanSlug } from "./services/source-adapters/utils.js";
+import { SlugAliases } from "./services/slug-aliases.js";
+import { TmdbReviewQueue } from "./services/tmdb-review.js";
+import { matchTmdbResults } from "./services/tmdb/tmdb-match.js";
+import { MetadataService } from "./services/tmdb/metadata-service.js";
+import { createDatabaseClient, isMemoryStorage } from "./services/storage/index.js";
+
+// TMDB is optional (see README); without it series keep the scraped metadata.
+const REQUIRED_ENV = isMemoryStorage()
+  ? []
+  : ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"];
 
 const missing = REQUIRED_ENV.filter((key) => !process.env[key]);
 if (missing.length) {
@@ -19,40 +31,34 @@ if (missing.length) {
   process.exit(1);
 }
 
-const supabase = createClient(
+const supabase = createDatabaseClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY,
 );
 
 const CONFIG = {
-  homeUrl: process.env.TOONSTREAM_HOME_URL || "https://toonstram-home.chanchalsaroha8950.workers.dev/api/home",
-  episodeBaseUrl: process.env.TOONSTREAM_EPISODE_BASE_URL || "https://toonstream.live/",
-  homeRetryDelaysMs: (process.env.HOME_RETRY_DELAYS_MS || "20000,40000,120000")
+  sources: (process.env.SYNC_SOURCES || "toonstream")
     .split(",")
-    .map((v) => Number(v.trim()))
-    .filter((v) => Number.isFinite(v) && v > 0),
+    .map((name) => name.trim())
+    .filter(Boolean),
   pollIntervalMs: Number(process.env.POLL_INTERVAL_MS || 60_000),
   requestTimeout: 30_000,
   maxRetries: 3,
   maxParallelSeriesFetch: Number(process.env.MAX_PARALLEL_SERIES || 4),
+  maxParallelEpisodeFetch: Number(process.env.MAX_PARALLEL_EPISODES || 2),
   embedMaxDepth: Number(process.env.EMBED_MAX_DEPTH || 3),
-  toonstreamCookies: process.env.TOONSTREAM_COOKIES?.trim() || null,
-  ajaxUrl:
-    process.env.TOONSTREAM_AJAX_URL ||
-    "https://toonstream.dad/home/wp-admin/admin-ajax.php",
+  embedResolveDirect: process.env.EMBED_RESOLVE_DIRECT === "true",
+  backfillSeriesDelayMs: Number(process.env.BACKFILL_SERIES_DELAY_MS ?? 2000),
+  backfillMaxSeriesPerRun: Number(process.env.BACKFILL_MAX_SERIES_PER_RUN || 0),
+  probeStoredServers: process.env.SYNC_PROBE_SERVERS !== "false",
+  manualServerHosts: (process.env.MANUAL_SERVER_HOSTS || "stream.lastanime.in")
+    .split(",")
+    .map((host) => host.trim())
+    .filter(Boolean),
+  serverProviderOrder: providerPreference(),
+  syncMovies: process.env.SYNC_MOVIES !== "false",
 };
 
-const defaultFallbacks = [`${CONFIG.homeUrl}home/`, `${CONFIG.homeUrl}page/1/`];
-
-const envFallbacks = (process.env.TOONSTREAM_HOME_FALLBACKS || "")
-  .split(",")
-  .map((u) => u.trim())
-  .filter(Boolean);
-
-CONFIG.homepageCandidates = Array.from(
-  new Set([CONFIG.homeUrl, ...envFallbacks, ...defaultFallbacks]),
-);
-
 const USER_AGENTS = [
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
@@ -60,117 +66,9 @@ const USER_AGENTS = [
   "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
 ];
 
-const TMDB_BASE_URL = "https://api.themoviedb.org/3";
-const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/original";
-
 const seriesCache = new Map();
 
-const TVDB_API_KEY = process.env.TVDB_API_KEY;
-const TVDB_BASE_URL = "https://api4.thetvdb.com/v4";
-let tvdbToken = null;
-
-async function getTVDBToken() {
-  if (tvdbToken) return tvdbToken;
-  try {
-    const res = await axios.post(
-      `${TVDB_BASE_URL}/login`,
-      {
-        apikey: TVDB_API_KEY,
-      },
-      {
-        headers: { "Content-Type": "application/json" },
-      },
-    );
-    tvdbToken = res.data?.data?.token;
-    return tvdbToken;
-  } catch (err) {
-    console.warn(`   ⚠️ TVDB: Login failed: ${err.message}`);
-    return null;
-  }
-}
-
-async function searchTVDBSeries(title) {
-  const token = await getTVDBToken();
-  if (!token) return null;
-  try {
-    const res = await axios.get(
-      `${TVDB_BASE_URL}/search?query=${encodeURIComponent(title)}&type=series`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      },
-    );
-    return res.data?.data?.[0]?.tvdb_id || null;
-  } catch (err) {
-    console.warn(
-      `   ⚠️ TVDB: Series search failed for "${title}": ${err.message}`,
-    );
-    return null;
-  }
-}
-
-async function fetchTVDBEpisodeImage(tvdbId, seasonNum, episodeNum) {
-  const token = await getTVDBToken();
-  if (!token || !tvdbId) return null;
-  try {
-    const res = await axios.get(
-      `${TVDB_BASE_URL}/series/${tvdbId}/episodes/default?page=0`,
-      {
-        headers: { Authorization: `Bearer ${token}` },
-      },
-    );
-
-    const episodes = res.data?.data?.episodes || [];
-    const ep = episodes.find(
-      (e) => e.seasonNumber === seasonNum && e.number === episodeNum,
-    );
-
-    if (ep && ep.image) {
-      return ep.image.startsWith("http")
-        ? ep.image
-        : `https://artworks.thetvdb.com${ep.image}`;
-    }
-    return null;
-  } catch (err) {
-    console.warn(
-      `   ⚠️ TVDB: Episode image fetch failed for ID ${tvdbId} S${seasonNum}E${episodeNum}: ${err.message}`,
-    );
-    return null;
-  }
-}
-
-const TOONSTREAM_HOST = (() => {
-  try {
-    return new URL(CONFIG.homeUrl).hostname.replace(/^www\./, "");
-  } catch {
-    return null;
-  }
-})();
-
-const TOONSTREAM_ORIGIN = (() => {
-  try {
-    return new URL(CONFIG.homeUrl).origin;
-  } catch {
-    return CONFIG.homeUrl;
-  }
-})();
-
-const TOONSTREAM_EPISODE_ORIGIN = (() => {
-  try {
-    return new URL(CONFIG.episodeBaseUrl).origin;
-  } catch {
-    return "https://toonstream.live";
-  }
-})();
-
-const TOONSTREAM_EPISODE_HOST = (() => {
-  try {
-    return new URL(TOONSTREAM_EPISODE_ORIGIN).hostname.replace(/^www\./, "");
-  } catch {
-    return "toonstream.live";
-  }
-})();
-
-const CACHE_DIR = path.join(process.cwd(), "bin");
+const CACHE_DIR = process.env.SYNC_CACHE_DIR || path.join(process.cwd(), "bin");
 const SERIES_CACHE_FILE = path.join(CACHE_DIR, "series_cache.json");
 const EPISODE_CACHE_FILE = path.join(CACHE_DIR, "episode_cache.json");
 
@@ -201,17 +99,12 @@ const localSeriesCache = loadCache(SERIES_CACHE_FILE);
 const localEpisodeCache = loadCache(EPISODE_CACHE_FILE);
 const processedEpisodes = new Set();
 const proxyManager = new ProxyManager();
+const hostLimiter = new HostLimiter();
 
 const completedSeries = new Set();
 
-const stats = {
-  newEpisodes: 0,
-  updatedEpisodes: 0,
-  failedEpisodes: 0,
-  skippedEpisodes: 0,
-  totalServers: 0,
-  seriesProcessed: new Set(),
-};
+export const runStore = new RunStore({ supabase });
+export const serverHealth = new ServerHealth();
 
 function makeEpisodeKey(slug, season, episode) {
   return `${slug}::${season}x${episode}`;
@@ -242,132 +135,6 @@ function getUA() {
   return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
 }
 
-function cleanSlug(name) {
-  if (!name) return "item";
-  let cleaned = name.toLowerCase();
-  if (
-    cleaned.includes("naruto shippūden") ||
-    cleaned.includes("naruto shippuden") ||
-    cleaned.includes("naruto-shippuden") ||
-    cleaned.includes("naruto-shippden")
-  ) {
-    return "naruto-shippden";
-  }
-  if (/^naruto-shipp[u]?den(-\d+x\d+)?$/i.test(cleaned)) {
-    return "naruto-shippden";
-  }
-  return cleaned
-    .replace(/['"]/g, "")
-    .replace(/[^\w\s-]/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-+|-+$/g, "");
-}
-
-function decodeHtmlEntities(str) {
-  if (!str) return str;
-  return str
-    .replace(/&#038;/g, "&")
-    .replace(/&#38;/g, "&")
-    .replace(/&amp;/g, "&")
-    .replace(/&#039;/g, "'")
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'")
-    .replace(/&#034;/g, '"')
-    .replace(/&#34;/g, '"')
-    .replace(/&quot;/g, '"')
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">");
-}
-
-function normalizeUrl(rawUrl, base = CONFIG.homeUrl) {
-  if (!rawUrl || /^javascript:/i.test(rawUrl)) return null;
-  try {
-    const decodedUrl = decodeHtmlEntities(rawUrl);
-    return new URL(decodedUrl, base).href;
-  } catch {
-    return null;
-  }
-}
-
-function forceToEpisodeDomain(rawUrl, base = TOONSTREAM_EPISODE_ORIGIN) {
-  const normalized = normalizeUrl(rawUrl, base);
-  if (!normalized) return null;
-
-  try {
-    const urlObj = new URL(normalized);
-    const host = urlObj.hostname.replace(/^www\./, "");
-    if (!host.includes("toonstream")) return normalized;
-
-    const targetOrigin = new URL(TOONSTREAM_EPISODE_ORIGIN);
-    urlObj.protocol = targetOrigin.protocol;
-    urlObj.hostname = targetOrigin.hostname;
-    urlObj.port = targetOrigin.port;
-
-    return urlObj.href;
-  } catch {
-    return normalized;
-  }
-}
-
-function isToonstreamUrl(url) {
-  if (!url) return false;
-  try {
-    const hostname = new URL(url).hostname.replace(/^www\./, "");
-    return hostname === TOONSTREAM_HOST || hostname === TOONSTREAM_EPISODE_HOST;
-  } catch {
-    return false;
-  }
-}
-
-function extractSeriesSlugFromUrl(seriesUrl) {
-  try {
-    const u = new URL(seriesUrl);
-    const parts = u.pathname.split("/").filter(Boolean);
-    const slug = parts.pop() || null;
-    return cleanSlug(slug);
-  } catch {
-    return null;
-  }
-}
-
-function deriveSeriesUrlFromEpisode(episodeUrl) {
-  try {
-    const u = new URL(episodeUrl);
-    const parts = u.pathname.split("/").filter(Boolean);
-    const episodeSlug = parts[1] || parts[parts.length - 1] || "";
-    if (!episodeSlug) return null;
-    const baseSlug = episodeSlug.replace(/-\d+x\d+$/i, "") || episodeSlug;
-    const normalizedSlug = cleanSlug(baseSlug);
-    return `${TOONSTREAM_EPISODE_ORIGIN}/series/${normalizedSlug}/`;
-  } catch {
-    return null;
-  }
-}
-
-function buildSeriesUrlFromSlug(seriesSlug) {
-  if (!seriesSlug) return null;
-  const urlSlug =
-    seriesSlug === "naruto-shippden" ? "naruto-shippuden" : seriesSlug;
-  return `${TOONSTREAM_EPISODE_ORIGIN}/series/${urlSlug}/`;
-}
-
-function buildEpisodeUrl(seriesSlug, season, episode) {
-  if (!seriesSlug) return null;
-  const urlSlug =
-    seriesSlug === "naruto-shippden" ? "naruto-shippuden" : seriesSlug;
-  return `${TOONSTREAM_EPISODE_ORIGIN}/episode/${urlSlug}-${season}x${episode}/`;
-}
-
-function isValidEpisodeUrl(url) {
-  if (!url || typeof url !== "string") return false;
-  if (!url.includes("/episode/")) return false;
-  const episodePart = url.split("/episode/")[1];
-  if (!episodePart || episodePart === "" || episodePart === "/") return false;
-  if (url.endsWith("/episode/") || url.endsWith("/episode")) return false;
-  return true;
-}
-
 function buildRequestHeaders(url, options = {}) {
   const headers = {
     "User-Agent": getUA(),
@@ -379,21 +146,13 @@ function buildRequestHeaders(url, options = {}) {
   };
   if (options.referer) headers.Referer = options.referer;
   if (options.headers) Object.assign(headers, options.headers);
-  if (isToonstreamUrl(url)) {
-    if (!headers.Referer) headers.Referer = CONFIG.homeUrl;
-    const reqOrigin = (() => {
-      try {
-        return new URL(url).origin;
-      } catch {
-        return TOONSTREAM_ORIGIN;
-      }
-    })();
-    headers.Origin = reqOrigin;
-    headers["Sec-Fetch-Dest"] = "document";
-    headers["Sec-Fetch-Mode"] = "navigate";
-    headers["Sec-Fetch-Site"] = "same-origin";
-    headers["Sec-Fetch-User"] = "?1";
-    if (CONFIG.toonstreamCookies) headers.Cookie = CONFIG.toonstreamCookies;
+  // Site-specific headers (Toonstream's cookies, Sec-Fetch-*) come from the
+  // adapter that owns the URL; an explicit referer always wins.
+  const siteHeaders = sources.forUrl(url)?.requestHeaders?.(url);
+  if (siteHeaders) {
+    const referer = headers.Referer;
+    Object.assign(headers, siteHeaders);
+    if (referer) headers.Referer = referer;
   }
   return headers;
 }
@@ -421,7 +180,7 @@ async function fetchHtmlWithRetry(
         config.httpAgent = proxyAgent;
         config.httpsAgent = proxyAgent;
       }
-      const res = await axios.get(url, config);
+      const res = await hostLimiter.schedule(url, () => axios.get(url, config));
       return String(res.data || "");
     } catch (err) {
       lastErr = err;
@@ -431,6 +190,7 @@ async function fetchHtmlWithRetry(
       ) {
         proxyManager.markProxyAsFailed(currentProxy);
       }
+      options.report?.recordHttpError(url, err);
       const status = err.response?.status;
       if (status)
         console.warn(
@@ -444,44 +204,44 @@ async function fetchHtmlWithRetry(
   );
 }
 
-async function fetchHomeHtmlWithBackoff() {
-  const delays = CONFIG.homeRetryDelaysMs;
-  const maxAttempts = delays.length + 1;
-  let lastError = null;
+const sourceHttp = {
+  fetchHtml: fetchHtmlWithRetry,
+  get: (url, config) => hostLimiter.schedule(url, () => axios.get(url, config)),
+  buildHeaders: buildRequestHeaders,
+  userAgent: getUA,
+};
 
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      // Keep per-attempt fetch strict to avoid fast triple-retry spam on 403.
-      return await fetchHtmlWithRetry(CONFIG.homeUrl, 1);
-    } catch (err) {
-      lastError = err;
-      const delayMs = delays[attempt - 1];
-      if (!delayMs) break;
+// Player plugins shared by every source; more can be registered on it.
+export const embedResolvers = createEmbedResolvers({
+  maxDepth: CONFIG.embedMaxDepth,
+  direct: CONFIG.embedResolveDirect,
+});
 
-      const status = err?.response?.status;
-      const delaySec = Math.round(delayMs / 1000);
-      if (status) {
-        console.warn(
-          `  ⚠️ Home fetch failed (${status}) [attempt ${attempt}/${maxAttempts}] - retrying in ${delaySec}s...`,
-        );
-      } else {
-        console.warn(
-          `  ⚠️ Home fetch failed [attempt ${attempt}/${maxAttempts}] - retrying in ${delaySec}s...`,
-        );
-      }
+// TMDB/TVDB lookups, shared with sync-server.js.
+export const metadata = new MetadataService();
 
-      await delay(delayMs);
-    }
-  }
+// Source slug -> catalog slug / TMDB title / TMDB id overrides, editable from
+// the admin UI.
+export const slugAliases = new SlugAliases();
+
+// Rows whose TMDB match was not confident enough, for the admin to pick.
+export const tmdbReview = new TmdbReviewQueue();
+
+export const sources = new SourceAdapterRegistry({ defaultName: "toonstream" });
+sources.register(
+  new ToonstreamAdapter(
+    { http: sourceHttp, embeds: embedResolvers, aliases: slugAliases },
+    { maxRetries: CONFIG.maxRetries },
+  ),
+);
 
-  throw lastError || new Error(`Failed to fetch ${CONFIG.homeUrl}`);
+function sourceFor(options = {}, url = null) {
+  return options.source || sources.resolve({ url });
 }
 
 function cleanTitleForTMDB(title) {
   if (!title) return title;
   let cleaned = title;
-  if (cleaned.toLowerCase().includes("bleach")) return "Bleach";
-  if (cleaned.toLowerCase().includes("jujutsu kaisen")) return "Jujutsu Kaisen";
   cleaned = cleaned.replace(/(\w+)1[-\/]2/gi, "$1 1/2");
   cleaned = cleaned.replace(/(\w+)-1[-\/]2/gi, "$1 1/2");
   cleaned = cleaned.replace(/-/g, " ");
@@ -510,9 +270,10 @@ function extractSeriesNameFromSlug(slug) {
   return name.trim();
 }
 
+// Search results for the first of the title variants TMDB finds anything
+// for, with every variant tried so scoring can compare against all of them.
 async function searchTMDB(title, type = "tv") {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey) return null;
+  if (!metadata.apiKey) return { queries: [], results: [] };
   const cleanedTitle = cleanTitleForTMDB(title);
   const searchQueries = [cleanedTitle];
   if (cleanedTitle !== title) searchQueries.push(title);
@@ -522,698 +283,200 @@ async function searchTMDB(title, type = "tv") {
   if (withoutSuffix && withoutSuffix !== cleanedTitle)
     searchQueries.push(withoutSuffix);
   for (const query of searchQueries) {
-    const url = `${TMDB_BASE_URL}/search/${type}?api_key=${apiKey}&query=${encodeURIComponent(query)}&language=en-US`;
-    try {
-      const res = await fetch(url);
-      if (!res.ok) continue;
-      const json = await res.json();
-      if (json.results && json.results.length > 0) return json.results[0].id;
-    } catch (err) {}
+    const results = await metadata.search(query, type);
+    if (results.length > 0) return { queries: searchQueries, results };
   }
-  return null;
-}
-
-async function fetchTMDBDetails(tmdbId, type = "tv") {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey || !tmdbId) return null;
-  const url = `${TMDB_BASE_URL}/${type}/${tmdbId}?api_key=${apiKey}&language=en-US&append_to_response=images`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  const posters = [];
-  if (data.poster_path) posters.push(`${TMDB_IMAGE_BASE}${data.poster_path}`);
-  data.images?.posters?.slice(0, 5).forEach((img) => {
-    const src = `${TMDB_IMAGE_BASE}${img.file_path}`;
-    if (!posters.includes(src)) posters.push(src);
-  });
-  const backdrops = [];
-  if (data.backdrop_path)
-    backdrops.push(`${TMDB_IMAGE_BASE}${data.backdrop_path}`);
-  data.images?.backdrops?.slice(0, 5).forEach((img) => {
-    const src = `${TMDB_IMAGE_BASE}${img.file_path}`;
-    if (!backdrops.includes(src)) backdrops.push(src);
-  });
-  return {
-    tmdb_id: data.id,
-    title: data.name || data.title || null,
-    description: data.overview || null,
-    rating: data.vote_average ? parseFloat(data.vote_average.toFixed(2)) : null,
-    popularity: data.popularity ? parseFloat(data.popularity.toFixed(3)) : null,
-    status: data.status || null,
-    genres: data.genres?.map((g) => g.name) || [],
-    studios: data.production_companies?.map((c) => c.name) || [],
-    release_date: data.first_air_date || data.release_date || null,
-    total_seasons: data.number_of_seasons || null,
-    total_episodes: data.number_of_episodes || null,
-    runtime: data.runtime || null,
-    posters,
-    backdrops,
-    poster: posters[0] || null,
-    banner_image: backdrops[0] || null,
-  };
+  return { queries: searchQueries, results: [] };
 }
 
-async function getTMDBData(title, isMovie = false) {
+// Returns { data, candidates }: `data` holds the TMDB details when a match
+// was taken, `candidates` the scored search results when none was confident
+// enough (they go to the review queue). An alias for the slug or title can
+// force the TMDB id or the search title. `hints` ({ year, seasons }) come
+// from the source page and feed the scoring.
+async function getTMDBData(title, isMovie = false, slug = null, hints = {}) {
   const type = isMovie ? "movie" : "tv";
-  const tmdbId = await searchTMDB(title, type);
-  if (!tmdbId) return null;
-  return await fetchTMDBDetails(tmdbId, type);
+  const alias = slugAliases.tmdbLookup({ slug, title });
+  if (alias.tmdbId) return { data: await metadata.getDetails(alias.tmdbId, type), candidates: [] };
+
+  const { queries, results } = await searchTMDB(alias.title || title, type);
+  if (!results.length) return { data: null, candidates: [] };
+  const match = await matchTmdbResults(
+    results,
+    { titles: queries, year: hints.year, seasons: isMovie ? null : hints.seasons },
+    { getDetails: (id) => metadata.getDetails(id, type) },
+  );
+  if (!match.accepted) {
+    console.log(
+      `   🤔 TMDB match for "${title}" below confidence (best ${match.best.title} ${match.best.score}) — queued for review`,
+    );
+    return { data: null, candidates: match.candidates };
+  }
+  return { data: match.details || (await metadata.getDetails(match.best.tmdbId, type)), candidates: [] };
 }
 
-async function fetchTMDBEpisodeImage(tmdbId, seasonNum, episodeNum) {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey || !tmdbId) return null;
-  const url = `${TMDB_BASE_URL}/tv/${tmdbId}/season/${seasonNum}/episode/${episodeNum}?api_key=${apiKey}&language=en-US`;
-
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      const response = await axios.get(url, { timeout: 10000 });
-      const data = response.data;
-      if (data && data.still_path) return `${TMDB_IMAGE_BASE}${data.still_path}`;
-      if (attempt === 3) return null;
-    } catch (err) {
-      if (attempt === 3) {
-        try {
-          const res = await fetch(url);
-          if (!res.ok) return null;
-          const data = await res.json();
-          if (data?.still_path) return `${TMDB_IMAGE_BASE}${data.still_path}`;
-        } catch {
-          return null;
-        }
-      }
-      await delay(350 * attempt);
-    }
-  }
-  return null;
+async function getExistingEpisodeSet(seriesSlug) {
+  const { data, error } = await supabase
+    .from("episodes")
+    .select("season, episode")
+    .eq("series_slug", seriesSlug);
+  if (error) throw new Error(`Supabase check failed: ${error.message}`);
+  const set = new Set();
+  data?.forEach((row) =>
+    set.add(makeSeasonEpisodeKey(row.season, row.episode)),
+  );
+  return set;
 }
 
-async function fetchTMDBSeasonEpisodes(tmdbId, seasonNum) {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey || !tmdbId) return {};
-  const url = `${TMDB_BASE_URL}/tv/${tmdbId}/season/${seasonNum}?api_key=${apiKey}&language=en-US`;
+// Re-checks a re-scraped episode so its dead-servers flag follows the
+// servers it has now.
+async function refreshEpisodeHealth(ref, servers) {
+  await serverHealth.checkEpisode({ ...ref, servers });
+  serverHealth.save();
+}
 
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      const response = await axios.get(url, { timeout: 15000 });
-      const data = response.data;
-      const episodeImages = {};
-      if (data && data.episodes && Array.isArray(data.episodes)) {
-        for (const ep of data.episodes) {
-          if (ep.still_path)
-            episodeImages[ep.episode_number] =
-              `${TMDB_IMAGE_BASE}${ep.still_path}`;
-        }
-      }
-      return episodeImages;
-    } catch (err) {
-      if (attempt === 3) {
-        try {
-          const res = await fetch(url);
-          if (!res.ok) return {};
-          const data = await res.json();
-          const episodeImages = {};
-          if (Array.isArray(data?.episodes)) {
-            for (const ep of data.episodes) {
-              if (ep.still_path)
-                episodeImages[ep.episode_number] =
-                  `${TMDB_IMAGE_BASE}${ep.still_path}`;
-            }
-          }
-          return episodeImages;
-        } catch {
-          return {};
-        }
+// Existing episodes of a series whose every stored server fails its probe,
+// as season/episode keys. Probes are cached per URL, so repeated syncs of a
+// series only re-probe servers checked longer ago than the recheck window.
+// A dry run (`readOnly`) goes by the stored health state alone: no probes,
+// no flags changed, nothing saved.
+async function findDeadServerEpisodes(seriesSlug, rows, { readOnly = false } = {}) {
+  const dead = new Set();
+  const withServers = (rows || []).filter((row) => Array.isArray(row.servers) && row.servers.length);
+  if (!CONFIG.probeStoredServers || !withServers.length) return dead;
+
+  if (readOnly) {
+    for (const row of withServers) {
+      const urls = row.servers.map((server) => server?.real_video || server?.url).filter(Boolean);
+      if (urls.length && urls.every((url) => serverHealth.isKnownDead(url))) {
+        dead.add(makeSeasonEpisodeKey(row.season, row.episode));
       }
-      await delay(350 * attempt);
     }
+    return dead;
   }
-  return {};
-}
-
-async function fetchTMDBTitleById(tmdbId) {
-  const apiKey = process.env.TMDB_API_KEY;
-  if (!apiKey || !tmdbId) return null;
-  try {
-    const url = `${TMDB_BASE_URL}/tv/${tmdbId}?api_key=${apiKey}&language=en-US`;
-    const response = await axios.get(url, { timeout: 10000 });
-    const data = response.data;
-    return data?.name || data?.original_name || data?.title || null;
-  } catch {
-    return null;
-  }
-}
 
-const tmdbEpisodeImageCache = new Map();
-
-function extractEpisodeCards(html) {
-  const $ = cheerio.load(html);
-  const cards = [];
-  const seen = new Set();
-  $("article.episodes, article.post").each((_, el) => {
-    const article = $(el);
-    const anchor = article
-      .find('a[href*="/episode/"], a.lnk-blk[href*="/episode/"]')
-      .first();
-    if (!anchor.length) return;
-    const url = normalizeUrl(anchor.attr("href"));
-    if (!url || seen.has(url)) return;
-    seen.add(url);
-    const titleEl = article.find(".entry-title, h2").first();
-    const title = titleEl.text().trim() || anchor.attr("title") || "";
-    const img = article.find("figure img, .post-thumbnail img, img").first();
-    let thumb = null;
-    if (img.length) {
-      thumb =
-        img.attr("data-src") || img.attr("src") || img.attr("data-lazy-src");
-      if (thumb && thumb.startsWith("//")) thumb = "https:" + thumb;
-      else if (thumb) thumb = normalizeUrl(thumb);
+  const results = await runWithConcurrency(withServers, serverHealth.concurrency, (row) =>
+    serverHealth.checkEpisode({ ...row, series_slug: seriesSlug }),
+  );
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled" && result.value.allDead) {
+      dead.add(makeSeasonEpisodeKey(withServers[index].season, withServers[index].episode));
     }
-    cards.push({ url, title, thumb });
   });
-  return cards;
-}
-
-function extractSeriesEpisodeLinks(seriesHtml, seriesUrl) {
-  const $ = cheerio.load(seriesHtml);
-  const links = [];
-  const seen = new Set();
-  const addLink = (anchor) => {
-    const node = $(anchor);
-    const url = normalizeUrl(node.attr("href"), seriesUrl);
-    if (!url || !url.includes("/episode/")) return;
-    const code = parseEpisodeCode(url);
-    if (!code || seen.has(`${code.season}x${code.episode}`)) return;
-    seen.add(`${code.season}x${code.episode}`);
-    links.push({
-      url,
-      season: code.season,
-      episode: code.episode,
-      title: node.attr("title") || node.text().trim(),
-    });
-  };
-  $('a[href*="/episode/"]').each((_, el) => addLink(el));
-  return links;
-}
-
-function parseEpisodeCode(url) {
-  try {
-    const u = new URL(url);
-    const parts = u.pathname.split("/").filter(Boolean);
-    const slug = parts[parts.length - 1];
-    const match = slug.match(/-(\d+)x(\d+)(?:\/?|#.*)?$/i);
-    if (match)
-      return {
-        season: parseInt(match[1], 10),
-        episode: parseInt(match[2], 10),
-      };
-    return null;
-  } catch {
-    return null;
-  }
-}
-
-function extractPostId(html) {
-  const patterns = [
-    // Toonstream season selector: <a data-post="1914"
-    /class=["'][^"']*sel-temp[^"']*"[^>]*>\s*<a[^>]+data-post=["'](\d+)["']/i,
-    /class=["'](?:postid-|wp-post-id-)(\d+)["']/i,
-    /["']postid["']\s*:\s*(\d+)/i,
-    /var\s+post_id\s*=\s*(\d+)/i,
-    /data-post=["'](\d+)["']/i,
-    /"post"\s*:\s*"(\d+)"/i,
-  ];
-  for (const pat of patterns) {
-    const m = html.match(pat);
-    if (m) return m[1];
-  }
-  return null;
-}
-
-function extractNonce(html) {
-  const patterns = [
-    /["']nonce["']\s*:\s*["']([a-f0-9]+)["']/i,
-    /nonce\s*=\s*["']([a-f0-9]+)["']/i,
-    /var\s+nonce\s*=\s*["']([a-f0-9]+)["']/i,
-    /["']doo_nonce["']\s*:\s*["']([a-f0-9]+)["']/i,
-    /["']ajax_nonce["']\s*:\s*["']([a-f0-9]+)["']/i,
-    /_wpnonce["']\s*:\s*["']([a-f0-9]+)["']/i,
-  ];
-  for (const pat of patterns) {
-    const m = html.match(pat);
-    if (m) return m[1];
-  }
-  return null;
+  serverHealth.save();
+  return dead;
 }
 
-function getAjaxUrl(pageUrl) {
+async function syncEpisodeByUrl(url, options = {}) {
   try {
-    const u = new URL(pageUrl || CONFIG.homeUrl);
-    return `${u.origin}/wp-admin/admin-ajax.php`;
-  } catch {
-    return CONFIG.ajaxUrl;
-  }
-}
-
-function getHomeAjaxUrl(pageUrl, pageHtml) {
-  const explicitSeasonApi = process.env.TOONSTREAM_SEASON_API_URL;
-  if (explicitSeasonApi) return explicitSeasonApi;
-
-  if (pageHtml) {
-    const seasonApiMatch = pageHtml.match(
-      /(https?:\/\/[^"'\s]+\/fetch_episodes\.php)/i,
+    const source = sourceFor(options, url);
+    const key = makeEpisodeKey(
+      options.seriesSlug ||
+        source.seriesSlugFromUrl(source.seriesUrlFromEpisode(url)),
+      options.code?.season || 1,
+      options.code?.episode || 1,
     );
-    if (seasonApiMatch?.[1]) return seasonApiMatch[1];
-  }
-
-  return `${TOONSTREAM_EPISODE_ORIGIN}/fetch_episodes.php`;
-}
-
-function extractEpisodesFromSeasonApiResponse(data, season, pageUrl) {
-  const episodes = [];
-  const seen = new Set();
-
-  const pushEpisode = (rawUrl, fallbackTitle = "") => {
-    const url = forceToEpisodeDomain(
-      rawUrl,
-      pageUrl || TOONSTREAM_EPISODE_ORIGIN,
+    if (!options.force && localEpisodeCache[key]) return;
+    const { seriesCtx, code, episodePayload } = await buildEpisodeRecord(
+      url,
+      { ...options, source },
     );
-    if (!url || !url.includes("/episode/")) return;
-
-    const code = parseEpisodeCode(url);
-    if (!code?.episode) return;
 
-    const key = `${code.season}x${code.episode}`;
-    if (seen.has(key)) return;
-    seen.add(key);
-
-    episodes.push({
-      season: code.season || parseInt(season, 10),
+    // Build upsert payload — updated_at is bumped only when something changed,
+    // so untouched episodes keep their place in "latest" views
+    const now = new Date().toISOString();
+    const savePayload = {
+      ...episodePayload,
+      series_slug: seriesCtx.slug,
+      season: code.season,
       episode: code.episode,
-      url,
-      title: fallbackTitle,
-    });
-  };
-
-  if (typeof data === "string") {
-    const $ = cheerio.load(data);
-
-    $("article a[href*='/episode/'], a[href*='/episode/']").each((_, el) => {
-      const anchor = $(el);
-      const href = anchor.attr("href");
-      const title = anchor.attr("title") || anchor.text().trim() || "";
-      pushEpisode(href, title);
-    });
-
-    if (episodes.length > 0) return episodes;
+      updated_at: now,
+    };
 
-    for (const match of data.matchAll(/https?:\/\/[^"'\s]*\/episode\/[^"'\s]+/gi)) {
-      pushEpisode(match[0]);
+    if (savePayload.thumbnail) {
+      const normalizedImage = savePayload.thumbnail;
+      savePayload.episode_main_poster =
+        savePayload.episode_main_poster || normalizedImage;
+      savePayload.episode_card_thumbnail =
+        savePayload.episode_card_thumbnail || normalizedImage;
+      savePayload.episode_list_thumbnail =
+        savePayload.episode_list_thumbnail || normalizedImage;
+      savePayload.video_player_thumbnail =
+        savePayload.video_player_thumbnail || normalizedImage;
     }
 
-    return episodes;
-  }
+    const { data: existing, error: readErr } = await supabase
+      .from("episodes")
+      .select(EPISODE_DIFF_COLUMNS)
+      .eq("series_slug", seriesCtx.slug)
+      .eq("season", code.season)
+      .eq("episode", code.episode)
+      .maybeSingle();
+    if (readErr) throw readErr;
 
-  if (Array.isArray(data)) {
-    data.forEach((item) => {
-      pushEpisode(item?.url || item?.link || item?.episode_url, item?.title || "");
+    // A re-scrape of an episode whose servers died only takes the scraped
+    // servers that answer. Manual servers stored on the row are kept. A dry
+    // run does not probe: it goes by what the health state already knows.
+    if (options.rescrape && !options.plan) {
+      for (const server of savePayload.servers || []) await serverHealth.checkUrl(server.real_video);
+    }
+    // Kept manual servers may predate the server metadata, so the merged
+    // list is normalized as a whole, then ranked so the order (and with it
+    // the primary server) does not follow Toonstream's tab order.
+    const merged = mergeServers(existing?.servers, savePayload.servers, {
+      isManual: (server) => isManualServer(server, CONFIG.manualServerHosts),
+      isDead: (server) => serverHealth.isKnownDead(server.real_video),
     });
-    return episodes;
-  }
-
-  if (data && typeof data === "object") {
-    const candidates = [
-      data.html,
-      data.data,
-      data.episodes,
-      data.results,
-      data.items,
-    ];
-
-    for (const candidate of candidates) {
-      const partial = extractEpisodesFromSeasonApiResponse(
-        candidate,
-        season,
-        pageUrl,
-      );
-      partial.forEach((ep) => {
-        const key = `${ep.season}x${ep.episode}`;
-        if (!seen.has(key)) {
-          seen.add(key);
-          episodes.push(ep);
-        }
+    savePayload.servers =
+      merged &&
+      rankServers(normalizeServers(merged), {
+        preference: CONFIG.serverProviderOrder,
+        statusOf: (url) => serverHealth.statusOf(url),
       });
-    }
-  }
 
-  return episodes;
-}
+    // Never overwrite existing servers with an empty array
+    if (!savePayload.servers) {
+      delete savePayload.servers;
+      console.log(`         ⚠️ No usable servers extracted — keeping existing servers in DB`);
+    } else {
+      console.log(`         💾 Saving ${savePayload.servers.length} server(s) to DB`);
+    }
+    const changes = diffEpisode(existing, savePayload);
+    const ref = {
+      series_slug: seriesCtx.slug,
+      season: code.season,
+      episode: code.episode,
+      url,
+    };
 
-async function fetchEpisodeDataFromAPI(
-  postId,
-  season,
-  nonce,
-  pageUrl,
-  pageHtml,
-) {
-  if (!postId || !season) return [];
-  const referer = pageUrl || CONFIG.homeUrl;
+    if (options.plan) {
+      options.plan.addEpisode(existing, savePayload, changes);
+      if (changes.changed) options.plan.rotateKey(seriesCtx.slug, "episode-synced");
+      console.log(`         📝 [dry-run] Planned S${code.season}E${code.episode} [${seriesCtx.slug}] (${changes.isNew ? "insert" : changes.changed ? "update" : "unchanged"})`);
+      return;
+    }
 
-  // Extract AJAX URL from page HTML first (handles cross-domain like toonstream.one → toonstream.dad)
-  const ajaxUrl = getHomeAjaxUrl(pageUrl, pageHtml);
-  console.log(
-    `         🌐 Season ${season} API: GET ${ajaxUrl}?post=${postId}&season=${season}`,
-  );
+    if (!changes.changed) {
+      console.log(`         ⏭️ Unchanged: S${code.season}E${code.episode} [${seriesCtx.slug}] — skipping write`);
+      localEpisodeCache[key] = { ...episodePayload, updated_at: now };
+      saveCache(EPISODE_CACHE_FILE, localEpisodeCache);
+      if (options.rescrape) await refreshEpisodeHealth(ref, existing.servers);
+      options.report?.recordUnchanged(ref);
+      return;
+    }
 
-  try {
-    const res = await axios.get(ajaxUrl, {
-      params: {
-        post: postId,
-        season,
-      },
-      headers: {
-        Referer: referer,
-        "User-Agent": getUA(),
-        Accept: "application/json,text/html,*/*",
-      },
-      timeout: 15000,
-    });
+    const { error } = await supabase
+      .from("episodes")
+      .upsert(savePayload, { onConflict: "series_slug,season,episode" });
+    if (error) throw error;
 
-    const episodes = extractEpisodesFromSeasonApiResponse(
-      res.data,
-      season,
-      pageUrl,
-    );
-    if (episodes.length > 0) {
+    if (changes.isNew) {
+      console.log(`         ✅ DB saved: S${code.season}E${code.episode} [${seriesCtx.slug}] at ${now}`);
+    } else {
       console.log(
-        `         ✓ Season ${season}: ${episodes.length} episodes parsed from fetch_episodes API`,
+        `         ✅ DB updated: S${code.season}E${code.episode} [${seriesCtx.slug}] (${Object.keys(changes.fields).join(", ")})`,
       );
     }
-    return episodes;
-  } catch (err) {
-    console.warn(
-      `         ⚠️ Season API error (post=${postId}, season=${season}): ${err.message}`,
-    );
-    return [];
-  }
-}
-
-function extractSeriesMeta(html, url) {
-  const $ = cheerio.load(html);
-  const title = $(".data h1, .entry-title").first().text().trim();
-  const description = $(".wp-content p, .description p").first().text().trim();
-  const poster = normalizeUrl($(".poster img").first().attr("src"), url);
-  const genres = [];
-  $(".sgeneros a").each((_, el) => genres.push($(el).text().trim()));
-  const rating = parseFloat($(".dt_rating_vbc").text()) || null;
-  const yearMatch = title.match(/\((\d{4})\)/);
-  const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
-  return { title, description, poster, genres, rating, year };
-}
-
-function extractEpisodeMeta(html) {
-  const $ = cheerio.load(html);
-  const title = $(".data h1").text().trim();
-  const description = $(".wp-content p").text().trim();
-  const thumbnail = normalizeUrl($(".player_nav img").first().attr("src"));
-  return { title, description, thumbnail };
-}
-
-function extractEmbedUrlFromResponse(data) {
-  // 1. Direct embed_url field
-  if (data?.embed_url && data.embed_url.startsWith("http"))
-    return data.embed_url;
-
-  const html = data?.html || (typeof data === "string" ? data : "");
-  if (!html) return null;
-
-  // 2. src inside <iframe>
-  const iframeSrc = html.match(/<iframe[^>]+src=["']([^"']+)["']/i);
-  if (iframeSrc?.[1]) return iframeSrc[1];
-
-  // 3. src anywhere
-  const anySrc = html.match(/src=["']([^"']+)["']/i);
-  if (anySrc?.[1] && anySrc[1].startsWith("http")) return anySrc[1];
-
-  // 4. url or file field in JSON-like string
-  const urlMatch = html.match(/"(?:url|file|src|source)"\s*:\s*"([^"]+)"/i);
-  if (urlMatch?.[1]) return urlMatch[1];
-
-  return null;
-}
-
-function isToonstream(url) {
-  try {
-    const host = new URL(url).hostname;
-    return host.includes("toonstream") || host.includes("trembed");
-  } catch {
-    return false;
-  }
-}
-
-async function resolveTrembedUrl(trembedUrl, episodeUrl) {
-  // Fetch the trembed page and extract the real video URL inside it
-  try {
-    const pageOrigin = (() => {
-      try {
-        return new URL(episodeUrl || trembedUrl).origin;
-      } catch {
-        return "";
-      }
-    })();
-    const res = await axios.get(trembedUrl, {
-      headers: buildRequestHeaders(trembedUrl, {
-        referer: episodeUrl || pageOrigin,
-      }),
-      timeout: 15000,
-      maxRedirects: 5,
-      validateStatus: (status) => status >= 200 && status < 400,
-    });
-    const pageHtml = res.data || "";
-    const $ = cheerio.load(pageHtml);
-
-    // Find any iframe that is NOT a toonstream domain
-    let found = null;
-    $("iframe[src], iframe[data-src]").each((_, el) => {
-      const src = $(el).attr("src") || $(el).attr("data-src");
-      if (!src || src.startsWith("about:") || src.startsWith("javascript:"))
-        return;
-      const cleaned = src.replace(/&#038;/g, "&").replace(/&amp;/g, "&");
-      if (!isToonstream(cleaned) && !found) {
-        found = cleaned;
-      }
-    });
-    if (found) return found;
-
-    // Fallback: check script/inline for any external video URL
-    const srcMatch = pageHtml.match(
-      /(?:src|file|source)\s*[:=]\s*["']((https?:\/\/(?!(?:[^/]*\.)?toonstream)[^"'\s]+))["']/i,
-    );
-    if (srcMatch) return srcMatch[1];
-
-    return null;
-  } catch (err) {
-    console.warn(
-      `            ⚠️ resolveTrembedUrl failed for ${trembedUrl}: ${err.message}`,
-    );
-    return null;
-  }
-}
-
-async function extractEmbeds(html, episodeUrl) {
-  const embeds = [];
-  const seen = new Set();
-
-  try {
-    const $ = cheerio.load(html);
-
-    $("a.myservers[data-src], a[data-src]").each((index, el) => {
-      const rawSrc = $(el).attr("data-src");
-      const resolved = normalizeUrl(rawSrc, episodeUrl);
-      if (!resolved || seen.has(resolved)) return;
-
-      const label = $(el).text().trim();
-      seen.add(resolved);
-      embeds.push({
-        option: embeds.length + 1,
-        real_video: resolved,
-        label: label || `Server ${index + 1}`,
-      });
-    });
-
-    if (embeds.length > 0) {
-      console.log(`            🔌 Found ${embeds.length} server URL(s) from data-src`);
-      return embeds;
-    }
-
-    const pageOrigin = (() => {
-      try {
-        return new URL(episodeUrl).origin;
-      } catch {
-        return TOONSTREAM_EPISODE_ORIGIN;
-      }
-    })();
-
-    // ── Step 1: Collect all trembed URLs from the episode page HTML ──────────
-    // Pattern: <iframe data-src="https://toonstream.dad/home/?trembed=2&trid=9021&trtype=2"
-    const trembedUrls = [];
-    const trembedSeenKeys = new Set();
-
-    // Match all data-src / src that contain trembed or trid
-    const rawMatches = [
-      ...html.matchAll(
-        /(?:data-src|src)=["']([^"']*(?:trembed|trid)[^"']*)["']/gi,
-      ),
-    ];
-    for (const m of rawMatches) {
-      const rawUrl = m[1].replace(/&#038;/g, "&").replace(/&amp;/g, "&");
-      const url = forceToEpisodeDomain(rawUrl, TOONSTREAM_EPISODE_ORIGIN);
-      if (!url) continue;
-      if (!trembedSeenKeys.has(url)) {
-        trembedSeenKeys.add(url);
-        trembedUrls.push(url);
-      }
-    }
-
-    // Also build trembed URLs from trid pattern in HTML (trembed index = 0..N)
-    if (trembedUrls.length === 0) {
-      const pairs = new Map();
-      for (const m of [
-        ...html.matchAll(
-          /trid=(\d+)[^"'\s&]*(?:&(?:amp;)?|&amp;)?trtype=(\d+)/gi,
-        ),
-      ]) {
-        const key = `${m[1]}_${m[2]}`;
-        if (!pairs.has(key)) pairs.set(key, { trid: m[1], trtype: m[2] });
-      }
-      for (const m of [
-        ...html.matchAll(
-          /trtype=(\d+)[^"'\s&]*(?:&(?:amp;)?|&amp;)?trid=(\d+)/gi,
-        ),
-      ]) {
-        const key = `${m[2]}_${m[1]}`;
-        if (!pairs.has(key)) pairs.set(key, { trid: m[2], trtype: m[1] });
-      }
-      let idx = 0;
-      for (const { trid, trtype } of pairs.values()) {
-        const url = `${TOONSTREAM_EPISODE_ORIGIN}/?trembed=${idx}&trid=${trid}&trtype=${trtype}`;
-        trembedUrls.push(url);
-        idx++;
-      }
-    }
-
-    console.log(`            🔌 Found ${trembedUrls.length} trembed URL(s)`);
-
-    // ── Step 2: Fetch each trembed URL and extract the real video URL ────────
-    for (let i = 0; i < trembedUrls.length; i++) {
-      const trembedUrl = trembedUrls[i];
-      console.log(`            🔍 Resolving Server ${i + 1}: ${trembedUrl}`);
-      const realUrl = await resolveTrembedUrl(trembedUrl, episodeUrl);
-      if (realUrl && !seen.has(realUrl)) {
-        seen.add(realUrl);
-        embeds.push({ option: i + 1, real_video: realUrl });
-        console.log(
-          `            ✓ Server ${i + 1} resolved: ${realUrl.substring(0, 80)}`,
-        );
-      } else if (!realUrl) {
-        console.warn(`            ⚠️ Could not resolve Server ${i + 1}`);
-      }
-      await delay(300);
-    }
-  } catch (err) {
-    console.warn(`            ⚠️ extractEmbeds error: ${err.message}`);
-  }
-
-  if (embeds.length === 0) {
-    console.warn(`            ⚠️ No servers found at ${episodeUrl}`);
-  }
-
-  return embeds;
-}
-
-async function getExistingEpisodeSet(seriesSlug) {
-  const { data, error } = await supabase
-    .from("episodes")
-    .select("season, episode")
-    .eq("series_slug", seriesSlug);
-  if (error) throw new Error(`Supabase check failed: ${error.message}`);
-  const set = new Set();
-  data?.forEach((row) =>
-    set.add(makeSeasonEpisodeKey(row.season, row.episode)),
-  );
-  return set;
-}
-
-async function syncEpisodeByUrl(url, options = {}) {
-  try {
-    const key = makeEpisodeKey(
-      options.seriesSlug ||
-        extractSeriesSlugFromUrl(deriveSeriesUrlFromEpisode(url)),
-      options.code?.season || 1,
-      options.code?.episode || 1,
-    );
-    if (!options.force && localEpisodeCache[key]) return;
-    const { seriesCtx, code, episodePayload } = await buildEpisodeRecord(
-      url,
-      options,
-    );
-
-    // Build upsert payload — always update updated_at so it appears in "latest" views
-    const now = new Date().toISOString();
-    const savePayload = {
-      ...episodePayload,
-      series_slug: seriesCtx.slug,
-      season: code.season,
-      episode: code.episode,
-      updated_at: now,
-    };
-
-    if (savePayload.thumbnail) {
-      const normalizedImage = savePayload.thumbnail;
-      savePayload.episode_main_poster =
-        savePayload.episode_main_poster || normalizedImage;
-      savePayload.episode_card_thumbnail =
-        savePayload.episode_card_thumbnail || normalizedImage;
-      savePayload.episode_list_thumbnail =
-        savePayload.episode_list_thumbnail || normalizedImage;
-      savePayload.video_player_thumbnail =
-        savePayload.video_player_thumbnail || normalizedImage;
-    }
-
-    // Never overwrite existing servers with an empty array
-    if (!episodePayload.servers || episodePayload.servers.length === 0) {
-      delete savePayload.servers;
-      console.log(`         ⚠️ No servers extracted — keeping existing servers in DB`);
-    } else {
-      console.log(`         💾 Saving ${episodePayload.servers.length} server(s) to DB`);
-    }
-
-    const { error } = await supabase
-      .from("episodes")
-      .upsert(savePayload, { onConflict: "series_slug,season,episode" });
-    if (error) throw error;
-
-    console.log(`         ✅ DB saved: S${code.season}E${code.episode} [${seriesCtx.slug}] at ${now}`);
-
-    if (savePayload.thumbnail) {
-      const imageValue = savePayload.thumbnail;
-      const { error: imgErr } = await supabase
-        .from("episodes")
-        .update({
-          episode_main_poster: imageValue,
-          episode_card_thumbnail: imageValue,
-          episode_list_thumbnail: imageValue,
-          video_player_thumbnail: imageValue,
-        })
-        .eq("series_slug", seriesCtx.slug)
-        .eq("season", code.season)
-        .eq("episode", code.episode);
-      if (imgErr) {
-        console.warn(
-          `         ⚠️ Episode image normalize failed: ${imgErr.message}`,
-        );
-      }
-    }
 
     // Also save to latest_episodes table so new/updated episodes appear in latest feeds
     const { error: latestErr } = await supabase
@@ -1253,90 +516,53 @@ async function syncEpisodeByUrl(url, options = {}) {
       updated_at: now,
     };
     saveCache(EPISODE_CACHE_FILE, localEpisodeCache);
-    stats.newEpisodes++;
+    if (options.rescrape) await refreshEpisodeHealth(ref, savePayload.servers || existing?.servers);
+    if (changes.isNew) options.report?.recordNew(ref);
+    else options.report?.recordUpdated(ref, changes.fields);
   } catch (err) {
-    stats.failedEpisodes++;
+    if (options.plan) {
+      options.plan.addError(url, err);
+    } else {
+      options.report?.recordFailed(
+        {
+          series_slug: options.seriesSlug,
+          season: options.code?.season,
+          episode: options.code?.episode,
+          url,
+        },
+        err,
+      );
+    }
     console.error(`         ❌ Save failed: ${err.message}`);
     throw err;
   }
 }
 
 async function buildEpisodeRecord(episodeUrl, hints = {}) {
-  const episodeHtml = await fetchHtmlWithRetry(episodeUrl, CONFIG.maxRetries, {
-    referer: hints.seriesUrl || CONFIG.homeUrl,
+  const source = sourceFor(hints, episodeUrl);
+  const episodeHtml = await source.http.fetchHtml(episodeUrl, CONFIG.maxRetries, {
+    referer: hints.seriesUrl || source.homeUrl,
+    report: hints.report,
   });
   const derivedSeriesUrl =
-    hints.seriesUrl || deriveSeriesUrlFromEpisode(episodeUrl);
+    hints.seriesUrl || source.seriesUrlFromEpisode(episodeUrl);
   const seriesCtx = await resolveSeriesContext(
     derivedSeriesUrl,
     hints.seriesTitle,
+    { plan: hints.plan, report: hints.report, source },
   );
-  const meta = extractEpisodeMeta(episodeHtml);
+  const meta = source.extractEpisodeMeta(episodeHtml);
   const code = hints.code ||
-    parseEpisodeCode(episodeUrl) || { season: 1, episode: 1 };
-  const embeds = await extractEmbeds(episodeHtml, episodeUrl);
-  let tmdbEpisodeImage = null;
-  let tmdbTitleFromId = null;
-  let imageSource = "none";
-  if (seriesCtx.tmdb_id && process.env.TMDB_API_KEY) {
-    const cacheKey = `${seriesCtx.tmdb_id}-${code.season}`;
-    if (!tmdbEpisodeImageCache.has(cacheKey)) {
-      const seasonImages = await fetchTMDBSeasonEpisodes(
-        seriesCtx.tmdb_id,
-        code.season,
-      );
-      if (Object.keys(seasonImages).length > 0) {
-        tmdbEpisodeImageCache.set(cacheKey, seasonImages);
-      }
-    }
-    const cachedImages = tmdbEpisodeImageCache.get(cacheKey) || {};
-    tmdbEpisodeImage = cachedImages[code.episode];
-    if (!tmdbEpisodeImage) {
-      tmdbEpisodeImage = await fetchTMDBEpisodeImage(
-        seriesCtx.tmdb_id,
-        code.season,
-        code.episode,
-      );
-      if (tmdbEpisodeImage) {
-        cachedImages[code.episode] = tmdbEpisodeImage;
-        tmdbEpisodeImageCache.set(cacheKey, cachedImages);
-      }
-    }
-    if (tmdbEpisodeImage) imageSource = `tmdb:${seriesCtx.tmdb_id}`;
-  }
-
-  if (!tmdbEpisodeImage) {
-    if (seriesCtx.tmdb_id) {
-      tmdbTitleFromId = await fetchTMDBTitleById(seriesCtx.tmdb_id);
-      if (tmdbTitleFromId) {
-        console.log(
-          `         🔎 TMDB image missing; trying TVDB with TMDB title: ${tmdbTitleFromId}`,
-        );
-      }
-    }
-
-    const tvdbSearchTitle = tmdbTitleFromId || seriesCtx.title || hints.seriesTitle;
-    const tvdbId = tvdbSearchTitle ? await searchTVDBSeries(tvdbSearchTitle) : null;
-
-    if (!tvdbId && seriesCtx.title && tvdbSearchTitle !== seriesCtx.title) {
-      console.log(`         🔎 TVDB retry with series title: ${seriesCtx.title}`);
-      const retryTvdbId = await searchTVDBSeries(seriesCtx.title);
-      if (retryTvdbId)
-        tmdbEpisodeImage = await fetchTVDBEpisodeImage(
-          retryTvdbId,
-          code.season,
-          code.episode,
-        );
-    }
-
-    if (tvdbId && !tmdbEpisodeImage)
-      tmdbEpisodeImage = await fetchTVDBEpisodeImage(
-        tvdbId,
-        code.season,
-        code.episode,
-      );
-    if (tmdbEpisodeImage && imageSource === "none") imageSource = "tvdb";
-  }
+    source.parseEpisodeCode(episodeUrl) || { season: 1, episode: 1 };
+  const embeds = await source.extractEmbeds(episodeHtml, episodeUrl, { report: hints.report });
+  const episodeImage = await metadata.findEpisodeImage({
+    tmdbId: seriesCtx.tmdb_id,
+    titles: [seriesCtx.title, hints.seriesTitle],
+    season: code.season,
+    episode: code.episode,
+  });
+  const tmdbEpisodeImage = episodeImage.url;
+  let imageSource = episodeImage.source || "none";
   const bestImage =
     tmdbEpisodeImage ||
     seriesCtx.poster ||
@@ -1362,11 +588,27 @@ async function buildEpisodeRecord(episodeUrl, hints = {}) {
   return { seriesCtx, code, episodePayload };
 }
 
-async function resolveSeriesContext(seriesUrl, fallbackTitle) {
-  const rawSlug = extractSeriesSlugFromUrl(seriesUrl);
+const seriesContextRequests = new Map();
+
+// Parallel episode workers of the same series share one lookup instead of
+// each creating the series row and hitting TMDB.
+async function resolveSeriesContext(seriesUrl, fallbackTitle, options = {}) {
+  const slugKey = sourceFor(options, seriesUrl).seriesSlugFromUrl(seriesUrl) || seriesUrl;
+  const key = options.plan ? `plan:${slugKey}` : slugKey;
+  if (seriesContextRequests.has(key)) return seriesContextRequests.get(key);
+  const request = loadSeriesContext(seriesUrl, fallbackTitle, options).finally(() =>
+    seriesContextRequests.delete(key),
+  );
+  seriesContextRequests.set(key, request);
+  return request;
+}
+
+async function loadSeriesContext(seriesUrl, fallbackTitle, options = {}) {
+  const { plan } = options;
+  const source = sourceFor(options, seriesUrl);
+  const rawSlug = source.seriesSlugFromUrl(seriesUrl);
   if (!rawSlug) throw new Error(`Could not extract slug from ${seriesUrl}`);
-  const isMovieUrl =
-    seriesUrl.includes("/movie/") || seriesUrl.includes("/watch/");
+  const isMovieUrl = source.isMovieUrl(seriesUrl);
   const finalSlug = cleanSlug(rawSlug);
 
   // Memory cache hit
@@ -1376,8 +618,8 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
       if (cached.tmdb_id) return cached; // Use series cache only when tmdb_id is present
       seriesCache.delete(finalSlug); // stale/incomplete cache, refresh from DB
     }
-    if (isMovieUrl) return cached;      // URL is movie — use movie cache
-    // Was cached as movie but URL is series — clear cache and re-resolve
+    if (isMovieUrl && cached.tmdb_id) return cached; // URL is movie — use a complete movie cache
+    // Cached as movie but URL is series, or no TMDB match yet — clear cache and re-resolve
     seriesCache.delete(finalSlug);
   }
 
@@ -1405,6 +647,11 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
     .maybeSingle();
 
   if (seriesData) {
+    if (plan) {
+      if (!seriesData.random_key) plan.rotateKey(finalSlug, "missing-random-key");
+      return { ...seriesData, url: seriesUrl, sourceSlug: rawSlug, isMovie: false };
+    }
+
     if (!seriesData.random_key) {
       const missingKey = generateRandomKey();
       await supabase
@@ -1433,8 +680,8 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
       if (isMovieUrl) {
         // Genuine movie URL — use movie record
         seriesData = movieData;
-        isMovie = true;
         const ctx = { ...seriesData, url: seriesUrl, sourceSlug: rawSlug, isMovie: true };
+        if (plan) return ctx;
         seriesCache.set(finalSlug, ctx);
         localSeriesCache[finalSlug] = { ...seriesData, isMovie: true };
         saveCache(SERIES_CACHE_FILE, localSeriesCache);
@@ -1445,8 +692,10 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
       }
     }
   }
-  const seriesHtml = await fetchHtmlWithRetry(seriesUrl);
-  const meta = extractSeriesMeta(seriesHtml, seriesUrl);
+  const seriesHtml = await source.http.fetchHtml(seriesUrl, CONFIG.maxRetries, {
+    report: options.report,
+  });
+  const meta = source.extractSeriesMeta(seriesHtml, seriesUrl);
   const titleForTmdb =
     fallbackTitle || meta.title || extractSeriesNameFromSlug(rawSlug);
   // Only use URL-based or explicit type detection — never match on raw HTML text
@@ -1455,7 +704,10 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
     isMovieUrl ||
     (Array.isArray(meta.genres) && meta.genres.some(g => g.toLowerCase() === "movie")) ||
     meta.type === "movie";
-  const tmdbData = await getTMDBData(titleForTmdb, isActuallyMovie);
+  const { data: tmdbData, candidates: tmdbCandidates } = await getTMDBData(titleForTmdb, isActuallyMovie, finalSlug, {
+    year: meta.year,
+    seasons: meta.seasons,
+  });
   const payload = {
     slug: finalSlug,
     title: tmdbData?.title || titleForTmdb,
@@ -1480,6 +732,14 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
     payload.total_episodes = tmdbData?.total_episodes || null;
     payload.random_key = generateRandomKey();
   }
+
+  if (plan) {
+    plan.addSeries(targetTable, payload);
+    if (tmdbCandidates.length) console.log(`   📝 [dry-run] Would queue ${finalSlug} for TMDB review`);
+    console.log(`   📝 [dry-run] Would create ${targetTable} row: ${payload.title} [${finalSlug}]`);
+    return { ...payload, url: seriesUrl, sourceSlug: rawSlug, isMovie: isActuallyMovie };
+  }
+
   const { error: seriesUpsertError } = await supabase
     .from(targetTable)
     .upsert(payload, { onConflict: "slug" });
@@ -1492,6 +752,9 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
   }
 
   console.log(`   ✅ Series saved to DB: ${payload.title} [${finalSlug}]`);
+  if (tmdbCandidates.length) {
+    tmdbReview.add({ table: targetTable, slug: finalSlug, title: titleForTmdb, source: "sync", candidates: tmdbCandidates });
+  }
 
   const ctx = {
     ...payload,
@@ -1505,174 +768,26 @@ async function resolveSeriesContext(seriesUrl, fallbackTitle) {
   return ctx;
 }
 
-function extractSeasonNumbers(html) {
-  const $ = cheerio.load(html);
-  const seasons = new Set();
-  $("[data-season], option[value]").each((_, el) => {
-    const s = $(el).attr("data-season") || $(el).attr("value");
-    if (s && !isNaN(s)) seasons.add(parseInt(s, 10));
-  });
-  if (seasons.size === 0) {
-    $(".aa-cnt .se-c").each((_, el) => {
-      const match = $(el)
-        .find(".se-t")
-        .text()
-        .match(/season\s+(\d+)/i);
-      if (match) seasons.add(parseInt(match[1], 10));
-    });
-  }
-  if (seasons.size === 0) seasons.add(1);
-  return Array.from(seasons).sort((a, b) => a - b);
-}
-
-async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
+async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null, options = {}) {
   try {
-    const seriesUrl = seriesCtx.url || buildSeriesUrlFromSlug(seriesCtx.slug);
-    console.log(`      🔍 Fetching series data: ${seriesUrl}`);
-
-    const html = await fetchHtmlWithRetry(seriesUrl);
-    let postId = extractPostId(html);
-    const nonce = extractNonce(html);
-    let seasons = extractSeasonNumbers(html);
-
-    // Fallback: Extract episodes from HTML if API might fail or to have a backup
-    let htmlEpisodeLinks = extractSeriesEpisodeLinks(html, seriesUrl);
-
-    if ((!postId || htmlEpisodeLinks.length === 0) && triggeringEpisode?.url) {
-      const triggerUrl = forceToEpisodeDomain(triggeringEpisode.url, seriesUrl);
-      if (triggerUrl) {
-        console.log(
-          `      🔁 Enriching series metadata from trigger episode page: ${triggerUrl}`,
-        );
-        try {
-          const triggerHtml = await fetchHtmlWithRetry(triggerUrl, CONFIG.maxRetries, {
-            referer: seriesUrl,
-          });
-
-          const triggerPostId = extractPostId(triggerHtml);
-          if (!postId && triggerPostId) {
-            postId = triggerPostId;
-            console.log(`      ✅ postId resolved from trigger page: ${postId}`);
-          }
-
-          const triggerSeasons = extractSeasonNumbers(triggerHtml);
-          if (triggerSeasons.length > 0) {
-            const combined = new Set([...(seasons || []), ...triggerSeasons]);
-            seasons = Array.from(combined).sort((a, b) => a - b);
-          }
-
-          const triggerEpisodeLinks = extractSeriesEpisodeLinks(
-            triggerHtml,
-            seriesUrl,
-          );
-          if (triggerEpisodeLinks.length > 0) {
-            const seen = new Set(
-              htmlEpisodeLinks.map((ep) => `${ep.season}x${ep.episode}`),
-            );
-            for (const ep of triggerEpisodeLinks) {
-              const key = `${ep.season}x${ep.episode}`;
-              if (seen.has(key)) continue;
-              seen.add(key);
-              htmlEpisodeLinks.push(ep);
-            }
-          }
-        } catch (err) {
-          console.warn(
-            `      ⚠️ Trigger-page metadata fallback failed: ${err.message}`,
-          );
-        }
-      }
-    }
-
-    if (
-      triggeringEpisode?.season &&
-      !seasons.includes(Number(triggeringEpisode.season))
-    ) {
-      seasons.push(Number(triggeringEpisode.season));
-      seasons.sort((a, b) => a - b);
-    }
-
-    if (!postId) {
-      console.warn(
-        `      ⚠️ postId not found for ${seriesCtx.slug}; season API may fail for all seasons`,
-      );
-    }
-
-    const htmlUrlMap = new Map();
-    htmlEpisodeLinks.forEach((ep) => {
-      const key = `${ep.season}x${ep.episode}`;
-      htmlUrlMap.set(key, ep);
+    const source = sourceFor(options, seriesCtx.url);
+    const seriesUrl = seriesCtx.url || source.seriesUrlFromSlug(seriesCtx.slug);
+    console.log(`      🔍 Fetching series data (${source.name}): ${seriesUrl}`);
+    options.report?.touchSeries(seriesCtx.slug, seriesCtx.title);
+
+    const { episodes: allEpisodeLinks } = await source.discoverEpisodes(seriesUrl, {
+      slug: seriesCtx.slug,
+      triggeringEpisode,
+      report: options.report,
     });
 
-    console.log(
-      `      🔍 Found ${seasons.length} season(s) for ${seriesCtx.title}`,
-    );
-
-    const allEpisodeLinks = [];
-    for (const season of seasons) {
-      console.log(`         • Fetching Season ${season}...`);
-      const episodeData = await fetchEpisodeDataFromAPI(
-        postId,
-        season,
-        nonce,
-        seriesUrl,
-        html,
-      );
-
-      if (episodeData.length === 0) {
-        console.log(
-          `         ⚠️ No episode data from API for Season ${season}. Trying HTML fallback...`,
-        );
-        // Fallback to HTML links for this specific season
-        const seasonHtmlLinks = htmlEpisodeLinks.filter(
-          (link) => link.season === season,
-        );
-        if (seasonHtmlLinks.length > 0) {
-          console.log(
-            `         ✓ Found ${seasonHtmlLinks.length} episodes via HTML fallback`,
-          );
-          seasonHtmlLinks.forEach((ep) =>
-            allEpisodeLinks.push({
-              ...ep,
-              url:
-                ep.url ||
-                buildEpisodeUrl(seriesCtx.slug, ep.season, ep.episode),
-            }),
-          );
-        } else {
-          console.log(
-            `         ❌ No episodes found for Season ${season} in HTML either.`,
-          );
-        }
-      } else {
-        console.log(`         ✓ Found ${episodeData.length} episodes via API`);
-        episodeData.forEach((ep) =>
-          allEpisodeLinks.push({
-            ...ep,
-            url:
-              ep.url || buildEpisodeUrl(seriesCtx.slug, ep.season, ep.episode),
-          }),
-        );
-      }
-    }
-
-    // Final fallback: if allEpisodeLinks is still empty but we have htmlEpisodeLinks, use them all
-    if (allEpisodeLinks.length === 0 && htmlEpisodeLinks.length > 0) {
-      console.log(
-        `      ⚠️ API returned nothing for all seasons. Using ${htmlEpisodeLinks.length} episodes found in HTML.`,
-      );
-      htmlEpisodeLinks.forEach((ep) =>
-        allEpisodeLinks.push({
-          ...ep,
-          url: ep.url || buildEpisodeUrl(seriesCtx.slug, ep.season, ep.episode),
-        }),
-      );
-    }
-
     const { data: existingData } = await supabase
       .from("episodes")
-      .select("season, episode")
+      .select("season, episode, servers")
       .eq("series_slug", seriesCtx.slug);
+    const deadServerEpisodes = await findDeadServerEpisodes(seriesCtx.slug, existingData, {
+      readOnly: Boolean(options.plan),
+    });
     const existingEpisodes = new Set();
     const supabaseSeasonMap = new Map();
     existingData?.forEach((ep) => {
@@ -1708,6 +823,8 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
     let checkedCount = 0;
     let skippedCount = 0;
     let foundTriggerInSeries = false;
+    const syncTasks = [];
+    const rescrapeTasks = [];
     for (const ep of allEpisodeLinks) {
       checkedCount++;
       const key = makeSeasonEpisodeKey(ep.season, ep.episode);
@@ -1740,16 +857,23 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
           console.log(`      📺 Syncing: S${ep.season}E${ep.episode}`);
         }
         const syncUrl = isTriggering
-          ? forceToEpisodeDomain(triggeringEpisode?.url || ep.url, seriesUrl)
+          ? source.canonicalEpisodeUrl(triggeringEpisode?.url || ep.url, seriesUrl)
           : ep.url;
 
-        await syncEpisodeByUrl(syncUrl, {
-          seriesUrl,
-          seriesTitle: seriesCtx.title,
-          seriesSlug: seriesCtx.slug,
-          force: true,
+        syncTasks.push({
+          url: syncUrl,
           code: { season: ep.season, episode: ep.episode },
         });
+      } else if (deadServerEpisodes.has(key)) {
+        processCount++;
+        console.log(
+          `      🔎 CHECK S${ep.season}E${ep.episode} -> SYNC (dead-servers-rescrape)`,
+        );
+        rescrapeTasks.push({
+          url: ep.url,
+          code: { season: ep.season, episode: ep.episode },
+          rescrape: true,
+        });
       } else {
         skippedCount++;
         const skipReason = shouldBackfill
@@ -1758,6 +882,11 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
         console.log(
           `      🔎 CHECK S${ep.season}E${ep.episode} -> SKIP (${skipReason})`,
         );
+        options.report?.skip(skipReason, {
+          series_slug: seriesCtx.slug,
+          season: ep.season,
+          episode: ep.episode,
+        });
       }
     }
 
@@ -1766,7 +895,7 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
         `      ⚠️ Trigger episode S${triggeringEpisode.season}E${triggeringEpisode.episode} not found in fetched episode list`,
       );
 
-      const fallbackTriggerUrl = forceToEpisodeDomain(
+      const fallbackTriggerUrl = source.canonicalEpisodeUrl(
         triggeringEpisode.url,
         seriesUrl,
       );
@@ -1774,11 +903,8 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
         console.log(
           `      🔁 Fallback trigger sync via URL: ${fallbackTriggerUrl}`,
         );
-        await syncEpisodeByUrl(fallbackTriggerUrl, {
-          seriesUrl,
-          seriesTitle: seriesCtx.title,
-          seriesSlug: seriesCtx.slug,
-          force: true,
+        syncTasks.push({
+          url: fallbackTriggerUrl,
           code: {
             season: triggeringEpisode.season,
             episode: triggeringEpisode.episode,
@@ -1788,6 +914,26 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
       }
     }
 
+    // Episodes that exist but no longer play go first.
+    syncTasks.unshift(...rescrapeTasks);
+    const syncResults = await runWithConcurrency(
+      syncTasks,
+      CONFIG.maxParallelEpisodeFetch,
+      (task) =>
+        syncEpisodeByUrl(task.url, {
+          seriesUrl,
+          seriesTitle: seriesCtx.title,
+          seriesSlug: seriesCtx.slug,
+          force: true,
+          code: task.code,
+          rescrape: task.rescrape,
+          plan: options.plan,
+          report: options.report,
+          source,
+        }),
+    );
+    const failedSyncs = syncResults.filter((r) => r.status === "rejected");
+
     console.log(
       `      📌 Episode check summary: checked=${checkedCount}, synced=${processCount}, skipped=${skippedCount}`,
     );
@@ -1797,210 +943,611 @@ async function ensureSeriesComplete(seriesCtx, triggeringEpisode = null) {
         `      ✅ All episodes already synced for ${seriesCtx.title}`,
       );
     }
+
+    if (failedSyncs.length > 0) {
+      throw new Error(
+        `${failedSyncs.length}/${syncTasks.length} episode sync(s) failed: ${failedSyncs[0].reason?.message}`,
+      );
+    }
+    return { checked: checkedCount, synced: processCount, skipped: skippedCount };
   } catch (err) {
     console.error(`   ⚠️ ensureSeriesComplete failed: ${err.message}`);
+    throw err;
+  }
+}
+
+export async function syncSeriesFromTrigger(slug, triggeringEpisode, options = {}) {
+  const { data: seriesData } = await supabase
+    .from("series")
+    .select("title")
+    .eq("slug", slug)
+    .maybeSingle();
+  const seriesTitle = seriesData?.title || slug;
+  console.log(
+    `\n   📺 Processing: ${seriesTitle} (triggered by S${triggeringEpisode.season}E${triggeringEpisode.episode})`,
+  );
+  if (triggeringEpisode?.sourceUrl || triggeringEpisode?.url) {
+    console.log(
+      `   🔗 Trigger episode URL: ${triggeringEpisode.sourceUrl || triggeringEpisode.url}`,
+    );
+  }
+  if (
+    triggeringEpisode?.sourceUrl &&
+    triggeringEpisode?.url &&
+    triggeringEpisode.sourceUrl !== triggeringEpisode.url
+  ) {
+    console.log(`   🔁 Trigger URL converted: ${triggeringEpisode.url}`);
   }
+
+  const source = options.source || sources.resolve({ name: triggeringEpisode?.source });
+  await ensureSeriesComplete(
+    { slug, title: seriesTitle, url: source.seriesUrlFromSlug(slug) },
+    triggeringEpisode,
+    { ...options, source },
+  );
 }
 
-async function updateSeriesFromLatestEpisodes(latestSeriesMap) {
+async function updateSeriesFromLatestEpisodes(latestSeriesMap, options = {}) {
   if (latestSeriesMap.size === 0) {
     console.log(`\n   ℹ️  No series to update from latest episodes`);
     return;
   }
 
   console.log(
-    `\n🔄 Smart sync: Checking ${latestSeriesMap.size} series with new episodes...`,
+    `\n🔄 Smart sync: Checking ${latestSeriesMap.size} series with new episodes (${CONFIG.maxParallelSeriesFetch} in parallel)...`,
   );
 
-  for (const [slug, triggeringEpisode] of latestSeriesMap) {
-    try {
-      const { data: seriesData } = await supabase
-        .from("series")
-        .select("title")
-        .eq("slug", slug)
-        .maybeSingle();
-      const seriesTitle = seriesData?.title || slug;
-      console.log(
-        `\n   📺 Processing: ${seriesTitle} (triggered by S${triggeringEpisode.season}E${triggeringEpisode.episode})`,
-      );
-      if (triggeringEpisode?.sourceUrl || triggeringEpisode?.url) {
-        console.log(
-          `   🔗 Trigger episode URL: ${triggeringEpisode.sourceUrl || triggeringEpisode.url}`,
-        );
-      }
-      if (
-        triggeringEpisode?.sourceUrl &&
-        triggeringEpisode?.url &&
-        triggeringEpisode.sourceUrl !== triggeringEpisode.url
-      ) {
-        console.log(`   🔁 Trigger URL converted: ${triggeringEpisode.url}`);
+  await runWithConcurrency(
+    latestSeriesMap,
+    CONFIG.maxParallelSeriesFetch,
+    async ([slug, triggeringEpisode]) => {
+      try {
+        await syncSeriesFromTrigger(slug, triggeringEpisode, options);
+      } catch (err) {
+        options.plan?.addError(slug, err);
+        options.report?.recordSeriesError(slug, err);
+        console.error(`   ❌ Failed to process ${slug}: ${err.message}`);
       }
+    },
+  );
+}
 
-      await ensureSeriesComplete(
-        { slug, title: seriesTitle, url: buildSeriesUrlFromSlug(slug) },
-        triggeringEpisode,
-      );
+// Reads the home page of every enabled source (SYNC_SOURCES) and keeps the
+// newest episode per series slug and every movie per movie slug; the first
+// source listing a slug wins. Sources without `fetchLatest` only list
+// episodes.
+export async function collectLatest(options = {}) {
+  const enabled = sources.pick(CONFIG.sources);
+  const latestSeriesMap = new Map();
+  const latestMovieMap = new Map();
+  const failures = [];
+
+  for (const source of enabled) {
+    console.log(`📡 Fetching latest episodes from ${source.name}...`);
+    let latest;
+    try {
+      latest = source.fetchLatest
+        ? await source.fetchLatest({ report: options.report })
+        : { episodes: await source.fetchLatestEpisodes({ report: options.report }), movies: [] };
     } catch (err) {
-      console.error(`   ❌ Failed to process ${slug}: ${err.message}`);
+      console.error(`   ❌ ${source.name}: latest episodes failed: ${err.message}`);
+      failures.push(err);
+      continue;
+    }
+
+    for (const ep of latest.episodes) {
+      const slug = source.seriesSlugFromUrl(ep.seriesUrl);
+      if (!slug || latestSeriesMap.has(slug)) continue;
+      latestSeriesMap.set(slug, {
+        source: source.name,
+        season: ep.season,
+        episode: ep.episode,
+        sourceUrl: ep.sourceUrl,
+        url: ep.url,
+      });
+      if (ep.sourceUrl && ep.url && ep.sourceUrl !== ep.url) {
+        console.log(`   🔁 Trigger URL mapped: ${ep.sourceUrl} -> ${ep.url}`);
+      }
+    }
+
+    if (!CONFIG.syncMovies) continue;
+    for (const movie of latest.movies || []) {
+      if (latestMovieMap.has(movie.slug)) continue;
+      latestMovieMap.set(movie.slug, { source: source.name, url: movie.url, title: movie.title });
     }
   }
-}
 
-async function main() {
-  console.log(`\n${"=".repeat(60)}`);
-  console.log(`🚀 Toonstream -> Supabase sync started`);
-  console.log(`📡 Fetching latest episodes from Toonstream...`);
+  // One failing site should not hold back the others, but if every source
+  // failed the caller has to know so the job is retried.
+  if (failures.length === enabled.length && failures.length > 0) throw failures[0];
+  failures.forEach((err) => options.report?.recordError(err));
 
-  const html = await fetchHomeHtmlWithBackoff();
-  const cards = extractEpisodeCards(html);
-  console.log(`🔍 Found ${cards.length} candidate episodes`);
+  return { series: latestSeriesMap, movies: latestMovieMap };
+}
 
-  const latestSeriesMap = new Map();
-  for (const card of cards) {
-    const code = parseEpisodeCode(card.url);
-    if (!code) {
-      console.log(`   ⏭️ Skipping invalid URL: ${card.url}`);
-      stats.skippedEpisodes++;
-      continue;
+async function updateMoviesFromLatest(latestMovieMap, options = {}) {
+  if (latestMovieMap.size === 0) return;
+  console.log(`\n🎬 Syncing ${latestMovieMap.size} movie(s) from the home page...`);
+
+  await runWithConcurrency(latestMovieMap, CONFIG.maxParallelSeriesFetch, async ([, movie]) => {
+    try {
+      await syncLatestMovie(movie, options);
+    } catch {
+      // Recorded on the report by syncMovieByUrl.
     }
-    const sourceEpisodeUrl = normalizeUrl(card.url, CONFIG.homeUrl);
-    const liveEpisodeUrl = forceToEpisodeDomain(sourceEpisodeUrl, CONFIG.homeUrl);
-    const seriesUrl = deriveSeriesUrlFromEpisode(liveEpisodeUrl || card.url);
-    const slug = extractSeriesSlugFromUrl(seriesUrl);
-    if (slug) {
-      if (!latestSeriesMap.has(slug)) {
-        latestSeriesMap.set(slug, {
-          season: code.season,
-          episode: code.episode,
-          sourceUrl: sourceEpisodeUrl,
-          url: liveEpisodeUrl,
-        });
-        if (sourceEpisodeUrl && liveEpisodeUrl && sourceEpisodeUrl !== liveEpisodeUrl) {
-          console.log(
-            `   🔁 Trigger URL mapped: ${sourceEpisodeUrl} -> ${liveEpisodeUrl}`,
-          );
-        }
-      }
+  });
+}
+
+async function main(options = {}) {
+  const plan = options.dryRun ? new SyncPlan({ source: "home" }) : null;
+  const ownsReport = !plan && !options.report;
+  const report = plan
+    ? null
+    : options.report ||
+      runStore.start(new SyncRunReport({ trigger: options.trigger || "cli", type: "home" }));
+
+  console.log(`\n${"=".repeat(60)}`);
+  console.log(
+    `🚀 Toonstream -> Supabase sync started${plan ? " (dry run — nothing will be written)" : ""}`,
+  );
+
+  try {
+    const latest = await collectLatest({ report });
+    await updateSeriesFromLatestEpisodes(latest.series, { plan, report });
+    await updateMoviesFromLatest(latest.movies, { plan, report });
+  } catch (err) {
+    if (ownsReport) {
+      report.recordError(err);
+      await runStore.complete(report.finish());
     }
+    throw err;
+  }
+
+  if (plan) {
+    const result = plan.finish();
+    printPlanSummary(result);
+    return result;
   }
 
-  await updateSeriesFromLatestEpisodes(latestSeriesMap);
+  if (ownsReport) await runStore.complete(report.finish());
+  printRunSummary(report);
+  return report.toJSON();
+}
 
+export function printRunSummary(report) {
+  const summary = report.getSummary();
   console.log(`\n${"=".repeat(60)}`);
-  console.log("📊 SYNC SUMMARY");
+  console.log(`📊 SYNC SUMMARY (run ${report.id}, trigger: ${report.trigger})`);
   console.log("=".repeat(60));
-  console.log(`\n✅ Success:`);
-  console.log(`   • New Episodes Added: ${stats.newEpisodes}`);
-  console.log(`   • Failed Episodes: ${stats.failedEpisodes}`);
-  console.log(`   • Skipped: ${stats.skippedEpisodes}`);
-  console.log(`\n✅ Sync completed successfully`);
+  console.log(`   • Series touched: ${summary.seriesTouched}`);
+  if (summary.failedSeries > 0) console.log(`   • Failed Series: ${summary.failedSeries}`);
+  console.log(`   • New Episodes Added: ${summary.newEpisodes}`);
+  console.log(`   • Episodes Updated: ${summary.updatedEpisodes}`);
+  console.log(`   • Unchanged (not rewritten): ${summary.unchangedEpisodes}`);
+  const fieldCounts = {};
+  for (const change of report.episodes.updated) {
+    for (const field of Object.keys(change.fields)) {
+      fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+    }
+  }
+  if (Object.keys(fieldCounts).length > 0) {
+    console.log(
+      `   • Changed fields: ${Object.entries(fieldCounts).map(([field, count]) => `${field}=${count}`).join(", ")}`,
+    );
+  }
+  console.log(`   • Failed Episodes: ${summary.failedEpisodes}`);
+  if (report.movies.length > 0) {
+    console.log(
+      `   • Movies: ${summary.newMovies} new, ${summary.updatedMovies} updated, ${summary.failedMovies} failed`,
+    );
+  }
+  console.log(`   • Skipped: ${summary.skippedEpisodes}`);
+  for (const [host, entry] of Object.entries(report.httpErrors)) {
+    console.log(`   • HTTP errors from ${host}: ${entry.count}`);
+  }
+  console.log(`\n${report.status === "succeeded" ? "✅" : "⚠️"} Sync finished: ${report.status}`);
   console.log("=".repeat(60) + "\n");
 }
 
-export async function start() {
-  await main();
+function printPlanSummary(result) {
+  console.log(`\n${"=".repeat(60)}`);
+  console.log("📝 DRY RUN PLAN");
+  console.log("=".repeat(60));
+  console.log(`   • Series to create: ${result.summary.seriesToCreate}`);
+  console.log(`   • Episodes to insert: ${result.summary.episodesToInsert}`);
+  console.log(`   • Episodes to update: ${result.summary.episodesToUpdate}`);
+  console.log(`   • Episodes unchanged: ${result.summary.episodesUnchanged}`);
+  console.log(`   • Episodes with server changes: ${result.summary.episodesWithServerChanges}`);
+  console.log(`   • Movies to sync: ${result.summary.moviesToSync}`);
+  console.log(`   • random_key rotations: ${result.summary.keyRotations}`);
+  console.log(`   • Errors: ${result.summary.errors}`);
+  console.log("=".repeat(60) + "\n");
 }
 
-export async function fetchFullSeries(seriesUrl, onProgress) {
+export async function start(options = {}) {
+  return await main(options);
+}
+
+export async function fetchFullSeries(seriesUrl, onProgress, options = {}) {
+  const plan = options.dryRun ? new SyncPlan({ source: "full-series", seriesUrl }) : null;
+  const ownsReport = !plan && !options.report;
+  const report = plan
+    ? null
+    : options.report ||
+      runStore.start(
+        new SyncRunReport({
+          trigger: options.trigger || "cli",
+          type: "full-series",
+          meta: { seriesUrl },
+        }),
+      );
   try {
     const log = (msg) => {
       console.log(msg);
       if (onProgress) onProgress(msg);
     };
 
-    log(`🔍 Fetching series: ${seriesUrl}`);
-    const html = await fetchHtmlWithRetry(seriesUrl);
-    const postId = extractPostId(html);
-    const nonce = extractNonce(html);
-    const seasons = extractSeasonNumbers(html);
-    const htmlEpisodeLinks = extractSeriesEpisodeLinks(html, seriesUrl);
-    const meta = extractSeriesMeta(html, seriesUrl);
-    const rawSlug = extractSeriesSlugFromUrl(seriesUrl);
-    const seriesSlug = cleanSlug(rawSlug);
+    const source = options.source || sources.resolve({ url: seriesUrl });
+    log(`🔍 Fetching series (${source.name}): ${seriesUrl}${plan ? " (dry run)" : ""}`);
+    const seriesSlug = cleanSlug(source.seriesSlugFromUrl(seriesUrl));
+    const { meta, seasons, episodes: allEpisodeLinks } = await source.discoverEpisodes(
+      seriesUrl,
+      { slug: seriesSlug, report, log },
+    );
 
     log(`📺 Title: ${meta.title || seriesSlug}`);
     log(`🗂️ Seasons found: ${seasons.join(", ")}`);
-    log(`🔗 Episodes in HTML: ${htmlEpisodeLinks.length}`);
-
-    const allEpisodeLinks = [];
-    for (const season of seasons) {
-      log(`   ↳ Season ${season}: calling API...`);
-      const apiEps = await fetchEpisodeDataFromAPI(
-        postId,
-        season,
-        nonce,
-        seriesUrl,
-        html,
-      );
-      if (apiEps.length > 0) {
-        log(`   ✓ Season ${season}: ${apiEps.length} episodes from API`);
-        apiEps.forEach((ep) =>
-          allEpisodeLinks.push({
-            ...ep,
-            url: ep.url || buildEpisodeUrl(seriesSlug, ep.season, ep.episode),
-          }),
-        );
-      } else {
-        const htmlSeason = htmlEpisodeLinks.filter((e) => e.season === season);
-        log(
-          `   ⚠️ Season ${season}: API empty, HTML fallback: ${htmlSeason.length} episodes`,
-        );
-        htmlSeason.forEach((ep) => allEpisodeLinks.push(ep));
-      }
-      await delay(300);
-    }
-
-    if (allEpisodeLinks.length === 0 && htmlEpisodeLinks.length > 0) {
-      log(`⚠️ Using all HTML episodes as final fallback`);
-      htmlEpisodeLinks.forEach((ep) => allEpisodeLinks.push(ep));
-    }
 
     log(`\n📋 Total episodes to sync: ${allEpisodeLinks.length}`);
 
     // Resolve series context (creates/updates DB record)
-    const seriesCtx = await resolveSeriesContext(seriesUrl, meta.title);
-    log(`✅ Series saved: ${seriesCtx.title} (slug: ${seriesCtx.slug})`);
+    const seriesCtx = await resolveSeriesContext(seriesUrl, meta.title, { plan, report, source });
+    report?.touchSeries(seriesCtx.slug, seriesCtx.title);
+    log(
+      plan
+        ? `📝 Series resolved (dry run): ${seriesCtx.title} (slug: ${seriesCtx.slug})`
+        : `✅ Series saved: ${seriesCtx.title} (slug: ${seriesCtx.slug})`,
+    );
 
     let done = 0,
       failed = 0;
-    for (const ep of allEpisodeLinks) {
-      try {
-        log(
-          `   [${done + 1}/${allEpisodeLinks.length}] Syncing S${ep.season}E${ep.episode}...`,
-        );
-        await syncEpisodeByUrl(ep.url, {
-          seriesUrl,
-          seriesTitle: seriesCtx.title,
-          seriesSlug: seriesCtx.slug,
-          force: true,
-          code: { season: ep.season, episode: ep.episode },
-        });
-        done++;
-        log(`   ✅ S${ep.season}E${ep.episode} done`);
-      } catch (err) {
-        failed++;
-        log(`   ❌ S${ep.season}E${ep.episode} failed: ${err.message}`);
-      }
-      await delay(400);
-    }
+    await runWithConcurrency(
+      allEpisodeLinks,
+      CONFIG.maxParallelEpisodeFetch,
+      async (ep, index) => {
+        try {
+          log(
+            `   [${index + 1}/${allEpisodeLinks.length}] Syncing S${ep.season}E${ep.episode}...`,
+          );
+          await syncEpisodeByUrl(ep.url, {
+            seriesUrl,
+            seriesTitle: seriesCtx.title,
+            seriesSlug: seriesCtx.slug,
+            force: true,
+            code: { season: ep.season, episode: ep.episode },
+            plan,
+            report,
+            source,
+          });
+          done++;
+          log(`   ✅ S${ep.season}E${ep.episode} done`);
+        } catch (err) {
+          failed++;
+          log(`   ❌ S${ep.season}E${ep.episode} failed: ${err.message}`);
+        }
+      },
+    );
 
-    log(`\n🎉 Finished! ${done} synced, ${failed} failed`);
-    return {
+    log(`\n🎉 Finished! ${done} ${plan ? "planned" : "synced"}, ${failed} failed`);
+    const result = {
       success: true,
       total: allEpisodeLinks.length,
       done,
       failed,
       title: seriesCtx.title,
     };
+    if (plan) {
+      result.plan = plan.finish();
+      printPlanSummary(result.plan);
+    } else {
+      result.runId = report.id;
+      if (ownsReport) await runStore.complete(report.finish());
+    }
+    return result;
   } catch (err) {
     console.error(`fetchFullSeries error: ${err.message}`);
+    if (ownsReport) {
+      report.recordError(err);
+      await runStore.complete(report.finish());
+    }
+    throw err;
+  }
+}
+
+// Scrapes a movie page's players into the `servers` column of its `movies`
+// row. The row itself (and its TMDB match) comes from resolveSeriesContext,
+// which files /movies/ URLs under `movies`. Servers are merged, normalized
+// and ranked exactly like an episode's.
+async function syncMovieByUrl(movieUrl, options = {}) {
+  const source = sourceFor(options, movieUrl);
+  const ref = { slug: source.seriesSlugFromUrl(movieUrl), title: options.title || null, url: movieUrl };
+  try {
+    const html = await source.http.fetchHtml(movieUrl, CONFIG.maxRetries, {
+      referer: source.homeUrl,
+      report: options.report,
+    });
+    const movieCtx = await resolveSeriesContext(movieUrl, options.title, {
+      plan: options.plan,
+      report: options.report,
+      source,
+    });
+    if (!movieCtx.isMovie) throw new Error(`"${movieCtx.slug}" is stored as a series, not a movie`);
+    Object.assign(ref, { slug: movieCtx.slug, title: movieCtx.title });
+
+    const embeds = await source.extractEmbeds(html, movieUrl, { report: options.report });
+    const { data: existing, error: readErr } = await supabase
+      .from("movies")
+      .select("slug, title, servers")
+      .eq("slug", movieCtx.slug)
+      .maybeSingle();
+    if (readErr) throw readErr;
+
+    const merged = mergeServers(existing?.servers, embeds, {
+      isManual: (server) => isManualServer(server, CONFIG.manualServerHosts),
+      isDead: (server) => serverHealth.isKnownDead(server.real_video),
+    });
+    const servers =
+      merged &&
+      rankServers(normalizeServers(merged), {
+        preference: CONFIG.serverProviderOrder,
+        statusOf: (url) => serverHealth.statusOf(url),
+      });
+    if (!servers) {
+      if (!existing?.servers?.length) throw new Error("No servers found");
+      console.log(`   ⚠️ No usable servers extracted for movie [${movieCtx.slug}] — keeping existing servers`);
+      options.report?.recordMovie(ref, "unchanged");
+      return { ...ref, servers: existing.servers.length, outcome: "unchanged" };
+    }
+
+    const hadServers = Boolean(existing?.servers?.length);
+    const changes = diffServers(existing?.servers, servers);
+    const changed = !hadServers || serversChanged(changes);
+
+    if (options.plan) {
+      options.plan.addMovie(existing, { slug: movieCtx.slug, title: movieCtx.title, servers }, changes);
+      console.log(`   📝 [dry-run] Planned movie [${movieCtx.slug}] (${!existing ? "insert" : changed ? "update" : "unchanged"})`);
+      return { ...ref, servers: servers.length, outcome: changed ? "planned" : "unchanged" };
+    }
+
+    if (!changed) {
+      console.log(`   ⏭️ Unchanged movie [${movieCtx.slug}] — skipping write`);
+      options.report?.recordMovie(ref, "unchanged");
+      return { ...ref, servers: servers.length, outcome: "unchanged" };
+    }
+
+    const { error } = await supabase
+      .from("movies")
+      .update({ servers, updated_at: new Date().toISOString() })
+      .eq("slug", movieCtx.slug);
+    if (error) throw error;
+
+    const outcome = hadServers ? "updated" : "new";
+    console.log(`   ✅ Movie ${outcome === "new" ? "saved" : "updated"}: ${movieCtx.title} [${movieCtx.slug}] (${servers.length} server(s))`);
+    options.report?.recordMovie(ref, outcome, outcome === "updated" ? { servers: changes } : null);
+    return { ...ref, servers: servers.length, outcome };
+  } catch (err) {
+    if (options.plan) options.plan.addError(movieUrl, err);
+    else options.report?.recordMovie(ref, "failed", err);
+    console.error(`   ❌ Movie sync failed for ${movieUrl}: ${err.message}`);
     throw err;
   }
 }
 
+// One movie from collectLatest, as the home sync and the "movie" queue job
+// receive it.
+export async function syncLatestMovie(movie, options = {}) {
+  const source = options.source || sources.resolve({ name: movie.source, url: movie.url });
+  return await syncMovieByUrl(movie.url, { ...options, title: movie.title, source });
+}
+
+// The movie counterpart of fetchFullSeries: syncs one movie page on its own,
+// with its own run report (or dry-run plan).
+export async function fetchFullMovie(movieUrl, onProgress, options = {}) {
+  const plan = options.dryRun ? new SyncPlan({ source: "full-movie", movieUrl }) : null;
+  const ownsReport = !plan && !options.report;
+  const report = plan
+    ? null
+    : options.report ||
+      runStore.start(
+        new SyncRunReport({
+          trigger: options.trigger || "cli",
+          type: "full-movie",
+          meta: { movieUrl },
+        }),
+      );
+  try {
+    const log = (msg) => {
+      console.log(msg);
+      if (onProgress) onProgress(msg);
+    };
+
+    const source = options.source || sources.resolve({ url: movieUrl });
+    if (!source.isMovieUrl(movieUrl)) throw new Error(`Not a movie URL: ${movieUrl}`);
+    log(`🎬 Fetching movie (${source.name}): ${movieUrl}${plan ? " (dry run)" : ""}`);
+
+    const movie = await syncMovieByUrl(movieUrl, { plan, report, source });
+    log(`🎉 Finished! ${movie.title} [${movie.slug}]: ${movie.servers} server(s), ${movie.outcome}`);
+
+    const result = { success: true, ...movie };
+    if (plan) {
+      result.plan = plan.finish();
+      printPlanSummary(result.plan);
+    } else {
+      result.runId = report.id;
+      if (ownsReport) await runStore.complete(report.finish());
+    }
+    return result;
+  } catch (err) {
+    console.error(`fetchFullMovie error: ${err.message}`);
+    if (ownsReport) {
+      report.recordError(err);
+      await runStore.complete(report.finish());
+    }
+    throw err;
+  }
+}
+
+export const backfillProgress = new BackfillProgress();
+
+// Runs the seasonal comparison of ensureSeriesComplete for every row of the
+// series table, not only the series on the home page. Progress is
+// checkpointed after each series, so the next run resumes an unfinished pass;
+// `restart` starts a new one. Series are handled one at a time with a pause
+// in between, and a run stops after `maxSeries` series when set.
+export async function backfillCatalog(options = {}) {
+  const ownsReport = !options.report;
+  const report =
+    options.report ||
+    runStore.start(new SyncRunReport({ trigger: options.trigger || "cli", type: "backfill" }));
+  const source = options.source || sources.getDefault();
+  const progress = options.progress || backfillProgress;
+  const delayMs = options.delayMs ?? CONFIG.backfillSeriesDelayMs;
+  const maxSeries = options.maxSeries ?? CONFIG.backfillMaxSeriesPerRun;
+  const batchSize = 100;
+  let handled = 0;
+  let failed = 0;
+  let status = "completed";
+
+  try {
+    const { count, error: countError } = await supabase
+      .from("series")
+      .select("*", { count: "exact", head: true });
+    if (countError) throw new Error(`Failed to count series: ${countError.message}`);
+
+    const state = progress.begin({ total: count || 0, restart: options.restart });
+    console.log(
+      `\n🧹 Catalog backfill (${source.name}): ${state.processed}/${state.total} series done, resuming after id ${state.cursor}`,
+    );
+
+    outer: for (;;) {
+      const { data: rows, error } = await supabase
+        .from("series")
+        .select("id, slug, title")
+        .gt("id", progress.state.cursor)
+        .order("id", { ascending: true })
+        .limit(batchSize);
+      if (error) throw new Error(`Failed to load series: ${error.message}`);
+      if (!rows?.length) break;
+
+      for (const row of rows) {
+        if (maxSeries && handled >= maxSeries) {
+          status = "paused";
+          break outer;
+        }
+        if (handled > 0 && delayMs) await delay(delayMs);
+        handled++;
+
+        const { processed, total } = progress.state;
+        console.log(`\n   📺 [${processed + 1}/${total}] Backfilling ${row.title || row.slug}`);
+        progress.startSeries(row);
+        try {
+          const result = await ensureSeriesComplete(
+            { slug: row.slug, title: row.title || row.slug, url: source.seriesUrlFromSlug(row.slug) },
+            null,
+            { report, source },
+          );
+          progress.finishSeries(row, { filled: result?.synced || 0 });
+        } catch (err) {
+          failed++;
+          report.recordSeriesError(row.slug, err);
+          progress.finishSeries(row, { error: err });
+        }
+      }
+      if (rows.length < batchSize) break;
+    }
+  } catch (err) {
+    if (progress.state) progress.end("paused");
+    if (ownsReport) {
+      report.recordError(err);
+      await runStore.complete(report.finish());
+    }
+    throw err;
+  }
+
+  const state = progress.end(status);
+  console.log(
+    status === "completed"
+      ? `\n🧹 Catalog backfill finished: ${state.processed} series checked, ${state.filled} episode(s) synced, ${state.failed} failed`
+      : `\n⏸️ Catalog backfill paused after ${handled} series (${state.processed}/${state.total}); the next run continues`,
+  );
+  if (ownsReport) await runStore.complete(report.finish());
+  return { runId: report.id, status, handled, failed, progress: progress.toJSON() };
+}
+
+// Re-scrapes the given episodes ({ series_slug, season, episode }) from
+// their page on the source, e.g. the ones the server health check found
+// with only dead servers. New servers are probed and only working ones are
+// merged in; an episode is "rescraped" once it has a working server again.
+export async function rescrapeEpisodes(episodes, options = {}) {
+  const ownsReport = !options.report;
+  const report =
+    options.report ||
+    runStore.start(new SyncRunReport({ trigger: options.trigger || "cli", type: "rescrape" }));
+  const source = options.source || sources.getDefault();
+  const results = [];
+
+  console.log(`\n♻️ Re-scraping ${episodes.length} episode(s) with dead servers (${source.name})`);
+  for (const ep of episodes) {
+    const url = source.episodeUrl(ep.series_slug, ep.season, ep.episode);
+    const result = { series_slug: ep.series_slug, season: ep.season, episode: ep.episode, url, status: "rescraped" };
+    try {
+      await syncEpisodeByUrl(url, {
+        seriesSlug: ep.series_slug,
+        force: true,
+        code: { season: ep.season, episode: ep.episode },
+        rescrape: true,
+        report,
+        source,
+      });
+      if (serverHealth.state.flagged[episodeHealthKey(ep.series_slug, ep.season, ep.episode)]) {
+        result.status = "still_dead";
+      }
+    } catch (err) {
+      result.status = "failed";
+      result.error = err.message;
+    }
+    results.push(result);
+  }
+
+  if (ownsReport) await runStore.complete(report.finish());
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const summary = { recovered: count("rescraped"), stillDead: count("still_dead"), failed: count("failed") };
+  console.log(
+    `♻️ Re-scrape finished: ${summary.recovered} recovered, ${summary.stillDead} still without a working server, ${summary.failed} failed`,
+  );
+  return { runId: report.id, ...summary, results };
+}
+
 if (process.argv[1]?.includes("toonstream-supabase-sync.js")) {
-  start().catch((err) => {
-    console.error(err);
-    process.exit(1);
-  });
+  // Usage: node toonstream-supabase-sync.js [--dry-run] [--series <seriesUrl>]
+  //        node toonstream-supabase-sync.js --backfill [--restart]
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const seriesArgIndex = args.indexOf("--series");
+  const seriesUrl = seriesArgIndex >= 0 ? args[seriesArgIndex + 1] : null;
+
+  const run = args.includes("--backfill")
+    ? backfillCatalog({ restart: args.includes("--restart") }).then(() => null)
+    : seriesUrl
+      ? fetchFullSeries(seriesUrl, null, { dryRun }).then((result) => result.plan)
+      : start({ dryRun });
+
+  run
+    .then((result) => {
+      if (dryRun && result) console.log(JSON.stringify(result, null, 2));
+    })
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
 }